@@ -0,0 +1,612 @@
+/**
+ * Focus — timer engine.
+ *
+ * The DOM-free state machine behind the timer: a timeline of segments,
+ * the position in it and a wall-clock countdown. Time comes from an
+ * injectable clock/scheduler, so the same engine runs in a browser tab
+ * or under Node with a fake clock. The UI layer subscribes to its events
+ * and never runs the countdown itself.
+ *
+ * Loaded as a plain script it defines window.FocusEngine; under Node,
+ * require('./engine.js') returns the same object.
+ *
+ * @file Timer engine — state machine, countdown and transition events.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FocusEngine = factory();
+})(this, function () {
+  'use strict';
+
+  /** @constant {number} Tick interval (ms) while a segment is running. */
+  var TICK_INTERVAL = 250;
+
+  /**
+   * Time source and timers. Tests pass a fake one to run hours of
+   * schedule in milliseconds.
+   * @typedef {Object} Clock
+   * @property {function(): number} now - Current time (ms since the epoch).
+   * @property {function(function(): void, number): *} setTimeout
+   * @property {function(*): void} clearTimeout
+   * @property {function(function(): void, number): *} setInterval
+   * @property {function(*): void} clearInterval
+   */
+
+  /** @constant {Clock} The real clock and timers. */
+  var SYSTEM_CLOCK = {
+    now: function () { return Date.now(); },
+    setTimeout: function (fn, ms) { return setTimeout(fn, ms); },
+    clearTimeout: function (id) { clearTimeout(id); },
+    setInterval: function (fn, ms) { return setInterval(fn, ms); },
+    clearInterval: function (id) { clearInterval(id); }
+  };
+
+  /**
+   * Create a timer engine.
+   *
+   * State is kept in plain public fields so the UI layer can snapshot,
+   * restore and mirror it; transitions go through the methods, which emit:
+   *   segmentStart {index, segment}       a segment starts running
+   *   segmentEnd   {index, segment, reason, to?}
+   *                                       a segment is left — reason is
+   *                                       elapsed | skip | jump | ended
+   *   advance      {index, segment, reason, late?}
+   *                                       the engine moved to a new segment;
+   *                                       after the countdown, late is how
+   *                                       long (ms) after its planned end the
+   *                                       previous segment was left
+   *   warning      {index, segment, lead} the running segment ends in lead
+   *                                       seconds (once per segment)
+   *   overtime     {index, segment}       a segment that counts past zero
+   *                                       just reached it
+   *   stateChange  {from, to, at?}        idle | running | paused | waiting | done
+   *   load         {}                     the state was replaced by load(),
+   *                                       after any stateChange it caused
+   *   complete     {quiet}                the timeline ran out
+   *   tick         {remainingSeconds, advanced}
+   *                                       every tick of a running segment
+   * Listeners run synchronously, before the method returns; segmentEnd
+   * fires while the ended segment is still current.
+   *
+   * @param {Object} [options]
+   * @param {Clock} [options.clock=SYSTEM_CLOCK] - Time source and timers.
+   * @param {function(?Object): boolean} [options.overtime] - Whether a segment
+   *   keeps counting past zero (into negative remainingSeconds) until ended
+   *   by hand, instead of moving on. Default: never.
+   * @param {function(number): boolean} [options.fill] - Called after moving
+   *   to the next index, with the time (ms) that segment would start. May
+   *   grow the timeline; returns false to end the session there. Default:
+   *   whether the timeline has a segment at the new index.
+   * @param {function(): boolean} [options.autoContinue] - Whether a segment
+   *   reached by the countdown starts running on its own, rather than
+   *   waiting for continueWaiting(). Default: always.
+   * @param {function(Object): number} [options.warning] - Seconds before a
+   *   segment's end to emit warning, or 0 for none. Segments no longer
+   *   than that get no warning. Default: none.
+   * @returns {Object} The engine.
+   */
+  function create(options) {
+    options = options || {};
+    var clock = options.clock || SYSTEM_CLOCK;
+    var overtime = options.overtime || function () { return false; };
+    var autoContinue = options.autoContinue || function () { return true; };
+    var warning = options.warning || function () { return 0; };
+    var fill = options.fill || function () {
+      return engine.currentIndex < engine.timeline.length;
+    };
+
+    /** @type {Object<string, Array<function(Object): void>>} Event listeners by type. */
+    var listeners = {};
+    /** @type {*} Interval ID for the tick loop. */
+    var tickId = null;
+    /** @type {*} Timeout ID for the exact segment-end transition. */
+    var transitionId = null;
+
+    var engine = {
+      /** @type {Array<{type: string, duration: number}>} Flat timeline of segments (durations in seconds). */
+      timeline: [],
+      /** @type {number} Index of the current segment in the timeline. */
+      currentIndex: 0,
+      /** @type {number} Seconds remaining in the current segment; negative past zero in overtime. */
+      remainingSeconds: 0,
+      /** @type {number} Wall-clock timestamp (ms) when the current segment ends. */
+      targetTime: 0,
+      /** @type {string} idle | running | paused | waiting | done. */
+      state: 'idle',
+      /** @type {number} Work segments completed or skipped this session. */
+      cycleCount: 0,
+      /** @type {boolean} Whether the current segment's warning has been emitted. */
+      warned: false,
+
+      on: on,
+      off: off,
+      now: now,
+      start: start,
+      tick: tick,
+      pause: pause,
+      resume: resume,
+      continueWaiting: continueWaiting,
+      skip: skip,
+      jump: jump,
+      adjust: adjust,
+      endSegment: endSegment,
+      advance: advance,
+      complete: complete,
+      reset: reset,
+      load: load,
+      run: run,
+      catchUp: catchUp,
+      syncRemaining: syncRemaining,
+      snapshot: snapshot,
+      startTicking: startTicking,
+      stopTicking: stopTicking
+    };
+
+    /**
+     * Subscribe to an engine event.
+     * @param {string} type - Event type, see create().
+     * @param {function(Object): void} fn - Listener, called with the event detail.
+     */
+    function on(type, fn) {
+      (listeners[type] = listeners[type] || []).push(fn);
+    }
+
+    /**
+     * Unsubscribe from an engine event.
+     * @param {string} type - Event type.
+     * @param {function(Object): void} fn - Listener passed to on().
+     */
+    function off(type, fn) {
+      var list = listeners[type] || [];
+      var i = list.indexOf(fn);
+      if (i !== -1) list.splice(i, 1);
+    }
+
+    /**
+     * Call every listener for an event.
+     * @param {string} type - Event type.
+     * @param {Object} detail - Event detail.
+     */
+    function emit(type, detail) {
+      var list = (listeners[type] || []).slice();
+      for (var i = 0; i < list.length; i++) list[i](detail);
+    }
+
+    /**
+     * Current time according to the engine's clock.
+     * @returns {number} Timestamp (ms).
+     */
+    function now() {
+      return clock.now();
+    }
+
+    /**
+     * Event detail describing the current segment.
+     * @param {Object} [extra] - Extra fields to add.
+     * @returns {{index: number, segment: Object}} Detail.
+     */
+    function current(extra) {
+      var detail = { index: engine.currentIndex, segment: engine.timeline[engine.currentIndex] };
+      for (var key in extra) detail[key] = extra[key];
+      return detail;
+    }
+
+    /**
+     * Change state, emitting stateChange if it actually changed.
+     * @param {string} to - New state.
+     * @param {number} [at] - When the change took effect, if not now (backdated pauses).
+     */
+    function setState(to, at) {
+      var from = engine.state;
+      if (from === to) return;
+      engine.state = to;
+      emit('stateChange', { from: from, to: to, at: at });
+    }
+
+    /** Start the tick interval and schedule a precise transition timer. */
+    function startTicking() {
+      clock.clearInterval(tickId);
+      tickId = clock.setInterval(tick, TICK_INTERVAL);
+      scheduleTransition();
+    }
+
+    /** Stop the tick interval and clear the transition timer. */
+    function stopTicking() {
+      clock.clearInterval(tickId);
+      tickId = null;
+      clearTransition();
+    }
+
+    /**
+     * Schedule a one-shot timer for the exact moment the current segment
+     * ends, or its warning is due if that comes first. Unlike an interval
+     * (throttled to ~1/min in background tabs), a timeout for a specific
+     * future time fires within a few hundred ms of the actual transition.
+     */
+    function scheduleTransition() {
+      clearTransition();
+      if (engine.state !== 'running' || !engine.targetTime) return;
+      var at = clock.now();
+      var due = engine.targetTime;
+      var lead = engine.warned ? 0 : warningLead();
+      if (lead && due - lead * 1000 > at) due -= lead * 1000;
+      transitionId = clock.setTimeout(function () {
+        transitionId = null;
+        if (engine.state !== 'running') return;
+        tick();
+        // Fired at the warning, or a moment early: arm the next one. Past
+        // the end (overtime) there is nothing left to arm for.
+        if (engine.state === 'running' && transitionId === null && engine.targetTime > clock.now()) scheduleTransition();
+      }, Math.max(0, due - at));
+    }
+
+    /**
+     * Warning lead for the current segment.
+     * @returns {number} Seconds before its end, or 0 for no warning.
+     */
+    function warningLead() {
+      var seg = engine.timeline[engine.currentIndex];
+      var lead = seg ? warning(seg) : 0;
+      return lead > 0 && lead < seg.duration ? lead : 0;
+    }
+
+    /** Clear the one-shot transition timer if active. */
+    function clearTransition() {
+      if (transitionId !== null) {
+        clock.clearTimeout(transitionId);
+        transitionId = null;
+      }
+    }
+
+    /**
+     * Restart the countdown of the current segment from its full duration.
+     * A running segment is started (segmentStart); otherwise it stays
+     * paused or waiting at its start.
+     */
+    function beginCurrent() {
+      engine.remainingSeconds = engine.timeline[engine.currentIndex].duration;
+      engine.warned = false;
+      if (engine.state === 'running') {
+        engine.targetTime = clock.now() + engine.remainingSeconds * 1000;
+        scheduleTransition();
+        emit('segmentStart', current());
+      }
+    }
+
+    /**
+     * Start a session.
+     * @param {Array<{type: string, duration: number}>} timeline - Segments to run.
+     * @returns {boolean} False if the timeline is empty.
+     */
+    function start(timeline) {
+      if (!timeline || timeline.length === 0) return false;
+      stopTicking();
+      engine.timeline = timeline;
+      engine.currentIndex = 0;
+      engine.remainingSeconds = timeline[0].duration;
+      engine.cycleCount = 0;
+      engine.warned = false;
+      engine.targetTime = clock.now() + engine.remainingSeconds * 1000;
+      setState('running');
+      startTicking();
+      emit('segmentStart', current());
+      return true;
+    }
+
+    /**
+     * Move to the next segment, starting it at the given time. Counts
+     * completed work cycles and lets the fill option grow the timeline.
+     * Emits nothing, so it can also replay time that passed while the
+     * engine wasn't running (restoring a checkpoint).
+     * @param {number} startAt - Timestamp (ms) at which the new segment begins.
+     * @returns {boolean} False if the session is over.
+     */
+    function advance(startAt) {
+      var seg = engine.timeline[engine.currentIndex];
+      if (seg && seg.type === 'work') engine.cycleCount++;
+      engine.currentIndex++;
+      if (!fill(startAt) || !engine.timeline[engine.currentIndex]) return false;
+      engine.remainingSeconds = engine.timeline[engine.currentIndex].duration;
+      engine.targetTime = startAt + engine.remainingSeconds * 1000;
+      engine.warned = false;
+      return true;
+    }
+
+    /**
+     * Core tick — recompute the remaining time from the clock and move on
+     * when the segment is over. Runs every TICK_INTERVAL while running, at
+     * the exact end of each segment, and whenever the host calls it (e.g.
+     * when a background tab becomes visible).
+     */
+    function tick() {
+      if (engine.state !== 'running') return;
+      var at = clock.now();
+      var secsLeft = Math.ceil((engine.targetTime - at) / 1000);
+      var seg = engine.timeline[engine.currentIndex];
+
+      // Heads-up before the end, once per segment; a pause keeps it from firing twice
+      if (!engine.warned && at < engine.targetTime) {
+        var lead = warningLead();
+        if (lead && engine.targetTime - at <= lead * 1000) {
+          engine.warned = true;
+          emit('warning', current({ lead: lead }));
+        }
+      }
+
+      // Overtime: the segment keeps counting past zero until it is ended by hand
+      if (overtime(seg)) {
+        var crossed = engine.remainingSeconds > 0 && secsLeft <= 0;
+        engine.remainingSeconds = secsLeft;
+        if (crossed) emit('overtime', current());
+        emit('tick', { remainingSeconds: secsLeft, advanced: false });
+        return;
+      }
+
+      engine.remainingSeconds = Math.max(0, secsLeft);
+      if (engine.remainingSeconds > 0) {
+        emit('tick', { remainingSeconds: engine.remainingSeconds, advanced: false });
+        return;
+      }
+
+      var endedAt = engine.targetTime;
+      emit('segmentEnd', current({ reason: 'elapsed' }));
+      if (!advance(at)) {
+        complete();
+        return;
+      }
+      emit('advance', current({ reason: 'elapsed', late: at - endedAt }));
+
+      if (autoContinue()) {
+        scheduleTransition();
+        emit('segmentStart', current());
+      } else {
+        stopTicking();
+        setState('waiting');
+      }
+      emit('tick', { remainingSeconds: engine.remainingSeconds, advanced: true });
+    }
+
+    /**
+     * Pause the running segment, keeping its remaining time.
+     * @param {number} [at] - Backdate the pause to this timestamp (ms),
+     *   giving back the time since.
+     */
+    function pause(at) {
+      if (engine.state !== 'running') return;
+      stopTicking();
+      if (at) engine.remainingSeconds = Math.ceil((engine.targetTime - at) / 1000);
+      setState('paused', at);
+    }
+
+    /**
+     * Resume a paused segment.
+     * @param {number} [since] - Backdate the resume to this timestamp (ms),
+     *   counting the time since as run. The segment may have ended by now;
+     *   it then moves on at once.
+     */
+    function resume(since) {
+      if (engine.state !== 'paused') return;
+      engine.targetTime = (since || clock.now()) + engine.remainingSeconds * 1000;
+      setState('running');
+      startTicking();
+      if (since) tick();
+    }
+
+    /** Start the segment the engine is waiting at (when autoContinue is off). */
+    function continueWaiting() {
+      if (engine.state !== 'waiting') return;
+      engine.targetTime = clock.now() + engine.remainingSeconds * 1000;
+      setState('running');
+      startTicking();
+      emit('segmentStart', current());
+    }
+
+    /**
+     * Skip the rest of the current segment. The next one starts if the
+     * engine is running, and otherwise stays paused or waiting at its start.
+     * @returns {boolean} False if that ended the session.
+     */
+    function skip() {
+      if (engine.state !== 'running' && engine.state !== 'paused' && engine.state !== 'waiting') return false;
+      emit('segmentEnd', current({ reason: 'skip' }));
+      if (!advance(clock.now())) {
+        complete();
+        return false;
+      }
+      emit('advance', current({ reason: 'skip' }));
+      beginCurrent();
+      return true;
+    }
+
+    /**
+     * Jump straight to another segment, backwards or forwards. Segments in
+     * between are not ended; the cycle count is recounted as the work
+     * segments before the target, so going back doesn't count them twice.
+     * @param {number} index - Timeline index to jump to.
+     * @returns {boolean} False if there is nothing to jump to.
+     */
+    function jump(index) {
+      if (engine.state !== 'running' && engine.state !== 'paused' && engine.state !== 'waiting') return false;
+      if (index === engine.currentIndex || !engine.timeline[index]) return false;
+      emit('segmentEnd', current({ reason: 'jump', to: index }));
+      engine.currentIndex = index;
+      engine.cycleCount = 0;
+      for (var i = 0; i < index; i++) {
+        if (engine.timeline[i].type === 'work') engine.cycleCount++;
+      }
+      emit('advance', current({ reason: 'jump' }));
+      beginCurrent();
+      return true;
+    }
+
+    /**
+     * Change the current segment's length, moving its end and its planned
+     * duration together so elapsed time is unchanged. At least one second
+     * is left on the segment unless exact is set. Moving the end back past
+     * the warning lead re-arms the warning.
+     * @param {number} delta - Seconds to add (negative to remove).
+     * @param {boolean} [exact=false] - Apply the delta unclamped (used by
+     *   undo, which may need to return a segment to overtime).
+     * @returns {number} Seconds actually applied after clamping.
+     */
+    function adjust(delta, exact) {
+      var seg = engine.timeline[engine.currentIndex];
+      var newRemaining = exact ? engine.remainingSeconds + delta : Math.max(1, engine.remainingSeconds + delta);
+      var applied = newRemaining - engine.remainingSeconds;
+      seg.duration += applied;
+      engine.remainingSeconds = newRemaining;
+      if (engine.warned && newRemaining > warningLead()) engine.warned = false;
+      if (engine.state === 'running') {
+        engine.targetTime += applied * 1000;
+        scheduleTransition();
+      }
+      return applied;
+    }
+
+    /**
+     * End the current segment now and run the next one, even if paused —
+     * for segments that count past zero and are ended by hand.
+     * @param {number} [duration] - Fix the segment's length to this many
+     *   seconds first, all of it elapsed (open-ended segments).
+     * @returns {boolean} False if that ended the session.
+     */
+    function endSegment(duration) {
+      if (engine.state !== 'running' && engine.state !== 'paused') return false;
+      if (duration !== undefined) {
+        engine.timeline[engine.currentIndex].duration = duration;
+        engine.remainingSeconds = 0;
+      }
+      emit('segmentEnd', current({ reason: 'ended' }));
+      if (!advance(clock.now())) {
+        complete();
+        return false;
+      }
+      emit('advance', current({ reason: 'ended' }));
+      setState('running');
+      startTicking();
+      emit('segmentStart', current());
+      return true;
+    }
+
+    /**
+     * Finish the session.
+     * @param {Object} [detail] - Passed on to complete listeners; quiet: true
+     *   means nobody saw it happen (it finished during a catch-up).
+     */
+    function complete(detail) {
+      stopTicking();
+      engine.remainingSeconds = 0;
+      setState('done');
+      emit('complete', { quiet: !!(detail && detail.quiet) });
+    }
+
+    /** Stop and clear the session, back to idle. */
+    function reset() {
+      stopTicking();
+      engine.timeline = [];
+      engine.currentIndex = 0;
+      engine.remainingSeconds = 0;
+      engine.targetTime = 0;
+      engine.cycleCount = 0;
+      engine.warned = false;
+      setState('idle');
+    }
+
+    /**
+     * Replace the engine state wholesale (restoring a checkpoint or undo
+     * snapshot, or mirroring another tab). Timers are stopped; stateChange
+     * is emitted if the state differs, then load. No segment events are
+     * emitted; call run() to start a restored running session.
+     * @param {Object} snap - Fields as returned by snapshot().
+     */
+    function load(snap) {
+      stopTicking();
+      engine.timeline = snap.timeline || [];
+      engine.currentIndex = snap.currentIndex || 0;
+      engine.remainingSeconds = snap.remainingSeconds || 0;
+      engine.targetTime = snap.targetTime || 0;
+      engine.cycleCount = snap.cycleCount || 0;
+      engine.warned = !!snap.warned;
+      setState(snap.state || 'idle');
+      emit('load', {});
+    }
+
+    /**
+     * Start the timers of a session restored with load(), if it is running.
+     * @param {boolean} [fromNow=false] - Count its remaining seconds down
+     *   from now instead of keeping the loaded end time (undo, where time
+     *   since the snapshot was taken doesn't count).
+     */
+    function run(fromNow) {
+      if (engine.state !== 'running') return;
+      if (fromNow) engine.targetTime = clock.now() + engine.remainingSeconds * 1000;
+      startTicking();
+    }
+
+    /**
+     * Replay the segment boundaries a loaded running session crossed while
+     * nothing was ticking (the page was closed), chaining each segment
+     * from the previous one's end so the schedule stays on the wall clock.
+     * Emits no segment events; onBoundary sees each boundary instead.
+     * Stops at a segment in overtime, or waits at the next one if it
+     * doesn't continue on its own.
+     * @param {number} at - Timestamp (ms) to catch up to.
+     * @param {function(string, number): void} [onBoundary] - Called with
+     *   'segmentEnd' while each ended segment is still current, and
+     *   'segmentStart' once the next one runs, with the boundary time (ms).
+     * @returns {boolean} False if the session ran out; call complete().
+     */
+    function catchUp(at, onBoundary) {
+      if (engine.state !== 'running') return true;
+      while (engine.targetTime <= at && !overtime(engine.timeline[engine.currentIndex])) {
+        var endedAt = engine.targetTime;
+        engine.remainingSeconds = 0;
+        if (onBoundary) onBoundary('segmentEnd', endedAt);
+        if (!advance(endedAt)) return false;
+        if (!autoContinue()) {
+          setState('waiting');
+          return true;
+        }
+        if (onBoundary) onBoundary('segmentStart', endedAt);
+      }
+      syncRemaining(at);
+      return true;
+    }
+
+    /**
+     * Recount the remaining seconds from targetTime without ticking — for
+     * a restored session, or a tab mirroring another tab's countdown.
+     * @param {number} at - Timestamp (ms) to count from.
+     * @returns {number} The new remainingSeconds.
+     */
+    function syncRemaining(at) {
+      var secsLeft = Math.ceil((engine.targetTime - at) / 1000);
+      engine.remainingSeconds = overtime(engine.timeline[engine.currentIndex]) ? secsLeft : Math.max(0, secsLeft);
+      return engine.remainingSeconds;
+    }
+
+    /**
+     * The engine state as a plain object. Not a copy: the timeline is shared.
+     * @returns {{timeline: Array<Object>, currentIndex: number, remainingSeconds: number,
+     *   targetTime: number, state: string, cycleCount: number, warned: boolean}}
+     */
+    function snapshot() {
+      return {
+        timeline: engine.timeline,
+        currentIndex: engine.currentIndex,
+        remainingSeconds: engine.remainingSeconds,
+        targetTime: engine.targetTime,
+        state: engine.state,
+        cycleCount: engine.cycleCount,
+        warned: engine.warned
+      };
+    }
+
+    return engine;
+  }
+
+  return {
+    create: create,
+    SYSTEM_CLOCK: SYSTEM_CLOCK
+  };
+});
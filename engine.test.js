@@ -0,0 +1,360 @@
+/**
+ * Focus — timer engine tests.
+ *
+ * Drives the engine with a fake clock through a multi-block schedule and
+ * checks the events it emits. No test framework: run it with
+ *   node engine.test.js
+ * and it exits non-zero on the first failed assertion.
+ *
+ * @file Engine tests under Node.
+ */
+'use strict';
+
+var assert = require('assert');
+var FocusEngine = require('./engine.js');
+
+/* ================================================================
+   FAKE CLOCK
+   ================================================================ */
+
+/**
+ * A clock whose time only moves when told to. Timers fire in due order
+ * as it passes them, each seeing the time it was due at.
+ * @param {number} start - Initial time (ms).
+ * @returns {Object} Clock for FocusEngine.create(), plus advance(ms).
+ */
+function createFakeClock(start) {
+  var time = start;
+  var nextId = 1;
+  var timers = {};
+
+  /**
+   * Add a timer.
+   * @param {function(): void} fn - Callback.
+   * @param {number} ms - Delay.
+   * @param {boolean} repeat - Keep firing every ms.
+   * @returns {number} Timer ID.
+   */
+  function add(fn, ms, repeat) {
+    var id = nextId++;
+    timers[id] = { fn: fn, at: time + Math.max(0, ms), every: repeat ? Math.max(1, ms) : 0 };
+    return id;
+  }
+
+  /**
+   * The timer due soonest, oldest first on a tie.
+   * @returns {?number} Timer ID, or null if none are set.
+   */
+  function nextDue() {
+    var best = null;
+    for (var id in timers) {
+      if (best === null || timers[id].at < timers[best].at) best = id;
+    }
+    return best;
+  }
+
+  return {
+    now: function () { return time; },
+    setTimeout: function (fn, ms) { return add(fn, ms, false); },
+    clearTimeout: function (id) { delete timers[id]; },
+    setInterval: function (fn, ms) { return add(fn, ms, true); },
+    clearInterval: function (id) { delete timers[id]; },
+
+    /**
+     * Move time forward, firing every timer that falls due on the way.
+     * @param {number} ms - How far to move.
+     */
+    advance: function (ms) {
+      var end = time + ms;
+      for (var id = nextDue(); id !== null && timers[id].at <= end; id = nextDue()) {
+        var timer = timers[id];
+        time = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else delete timers[id];
+        timer.fn();
+      }
+      time = end;
+    }
+  };
+}
+
+/* ================================================================
+   HELPERS
+   ================================================================ */
+
+/** @constant {number} Start of every test (ms): 2026-01-05 09:00 UTC. */
+var T0 = Date.UTC(2026, 0, 5, 9, 0, 0);
+
+/**
+ * Two blocks: two 25-minute work cycles with a 15-minute break after the
+ * block, then a 50-minute cycle with a 10-minute break.
+ * @returns {Array<{type: string, duration: number}>} Timeline (seconds).
+ */
+function schedule() {
+  return [
+    { type: 'work', duration: 1500 },
+    { type: 'break', duration: 300 },
+    { type: 'work', duration: 1500 },
+    { type: 'majorBreak', duration: 900 },
+    { type: 'work', duration: 3000 },
+    { type: 'break', duration: 600 }
+  ];
+}
+
+/**
+ * Total length of a timeline.
+ * @param {Array<{duration: number}>} timeline - Segments.
+ * @returns {number} Seconds.
+ */
+function totalSeconds(timeline) {
+  return timeline.reduce(function (sum, seg) { return sum + seg.duration; }, 0);
+}
+
+/**
+ * Create an engine on a fake clock that records every event it emits.
+ * @param {Object} [options] - Extra FocusEngine.create() options.
+ * @returns {{engine: Object, clock: Object, events: Array<Object>}} Test rig.
+ */
+function rig(options) {
+  var clock = createFakeClock(T0);
+  var opts = { clock: clock };
+  for (var key in options) opts[key] = options[key];
+  var engine = FocusEngine.create(opts);
+  var events = [];
+  ['segmentStart', 'segmentEnd', 'advance', 'warning', 'overtime', 'stateChange', 'load', 'complete'].forEach(function (type) {
+    engine.on(type, function (detail) {
+      events.push({ type: type, at: clock.now(), detail: detail });
+    });
+  });
+  return { engine: engine, clock: clock, events: events };
+}
+
+/**
+ * The recorded events of one type.
+ * @param {Array<Object>} events - Recorded events.
+ * @param {string} type - Event type.
+ * @returns {Array<Object>} Matching events, in order.
+ */
+function ofType(events, type) {
+  return events.filter(function (e) { return e.type === type; });
+}
+
+/* ================================================================
+   TESTS
+   ================================================================ */
+
+var tests = {
+  'runs a multi-block schedule to the end on time': function () {
+    var t = rig();
+    var timeline = schedule();
+    t.engine.start(timeline);
+    t.clock.advance(totalSeconds(timeline) * 1000 + 5000);
+
+    var starts = ofType(t.events, 'segmentStart');
+    assert.deepStrictEqual(starts.map(function (e) { return e.detail.segment.type; }),
+      ['work', 'break', 'work', 'majorBreak', 'work', 'break']);
+    // Each segment starts exactly where the previous one was planned to end
+    var at = T0;
+    starts.forEach(function (e, i) {
+      assert.strictEqual(e.at, at, 'segment ' + i + ' start');
+      at += timeline[i].duration * 1000;
+    });
+    ofType(t.events, 'advance').forEach(function (e) {
+      assert.strictEqual(e.detail.reason, 'elapsed');
+      assert.strictEqual(e.detail.late, 0);
+    });
+
+    var done = ofType(t.events, 'complete');
+    assert.strictEqual(done.length, 1);
+    assert.strictEqual(done[0].at, at);
+    assert.strictEqual(t.engine.state, 'done');
+    assert.strictEqual(t.engine.cycleCount, 3);
+  },
+
+  'warns once per segment, lead seconds before its end': function () {
+    var t = rig({ warning: function (seg) { return seg.type === 'work' ? 60 : 0; } });
+    var timeline = schedule();
+    t.engine.start(timeline);
+    t.clock.advance(totalSeconds(timeline) * 1000);
+
+    var warnings = ofType(t.events, 'warning');
+    assert.deepStrictEqual(warnings.map(function (e) { return e.detail.index; }), [0, 2, 4]);
+    assert.strictEqual(warnings[0].at, T0 + (1500 - 60) * 1000);
+    assert.strictEqual(warnings[2].at, T0 + (1500 + 300 + 1500 + 900 + 3000 - 60) * 1000);
+  },
+
+  'warns again after an extension past the lead': function () {
+    var t = rig({ warning: function () { return 60; } });
+    t.engine.start(schedule());
+    t.clock.advance(1470 * 1000);
+    assert.strictEqual(ofType(t.events, 'warning').length, 1);
+    t.engine.adjust(300);
+    assert.strictEqual(t.engine.warned, false);
+    t.clock.advance(270 * 1000);
+    var warnings = ofType(t.events, 'warning');
+    assert.strictEqual(warnings.length, 2);
+    assert.strictEqual(warnings[1].at, T0 + (1800 - 60) * 1000);
+  },
+
+  'waits between segments when they do not continue on their own': function () {
+    var t = rig({ autoContinue: function () { return false; } });
+    t.engine.start(schedule());
+    t.clock.advance(1500 * 1000);
+    assert.strictEqual(t.engine.state, 'waiting');
+    assert.strictEqual(t.engine.currentIndex, 1);
+
+    // Time spent waiting is not taken off the break
+    t.clock.advance(600 * 1000);
+    assert.strictEqual(t.engine.remainingSeconds, 300);
+    t.engine.continueWaiting();
+    assert.strictEqual(t.engine.state, 'running');
+    t.clock.advance(299 * 1000);
+    assert.strictEqual(t.engine.currentIndex, 1);
+    t.clock.advance(1000);
+    assert.strictEqual(t.engine.currentIndex, 2);
+    assert.strictEqual(t.engine.state, 'waiting');
+  },
+
+  'keeps the remaining time across a pause': function () {
+    var t = rig();
+    t.engine.start(schedule());
+    t.clock.advance(600 * 1000);
+    t.engine.pause();
+    t.clock.advance(3600 * 1000);
+    assert.strictEqual(t.engine.currentIndex, 0);
+    assert.strictEqual(t.engine.remainingSeconds, 900);
+    t.engine.resume();
+    t.clock.advance(900 * 1000);
+    assert.strictEqual(t.engine.currentIndex, 1);
+  },
+
+  'keeps the time away after an idle pause': function () {
+    var t = rig();
+    t.engine.start(schedule());
+    t.clock.advance(600 * 1000);
+    // Noticed two minutes late: the pause is backdated to when the user left
+    var since = t.clock.now() - 120 * 1000;
+    t.engine.pause(since);
+    assert.strictEqual(t.engine.remainingSeconds, 1020);
+    t.clock.advance(300 * 1000);
+    t.engine.resume(since);
+    assert.strictEqual(t.engine.state, 'running');
+    assert.strictEqual(t.engine.targetTime, T0 + 1500 * 1000);
+    t.clock.advance(600 * 1000);
+    assert.strictEqual(t.engine.currentIndex, 1);
+    assert.strictEqual(ofType(t.events, 'segmentStart')[1].at, T0 + 1500 * 1000);
+  },
+
+  'moves on at once when the kept time away outlasts the segment': function () {
+    var t = rig();
+    t.engine.start(schedule());
+    t.clock.advance(1200 * 1000);
+    var since = t.clock.now();
+    t.engine.pause(since);
+    t.clock.advance(900 * 1000);
+    t.engine.resume(since);
+    assert.strictEqual(t.engine.currentIndex, 1);
+    assert.strictEqual(t.engine.remainingSeconds, 300);
+    var advance = ofType(t.events, 'advance')[0];
+    assert.strictEqual(advance.detail.late, 600 * 1000);
+  },
+
+  'recounts work cycles on a jump': function () {
+    var t = rig();
+    t.engine.start(schedule());
+    t.clock.advance((1500 + 300 + 1500) * 1000);
+    assert.strictEqual(t.engine.cycleCount, 2);
+    t.engine.jump(0);
+    assert.strictEqual(t.engine.cycleCount, 0);
+    t.engine.jump(5);
+    assert.strictEqual(t.engine.cycleCount, 3);
+    t.engine.jump(2);
+    t.clock.advance(1500 * 1000);
+    assert.strictEqual(t.engine.currentIndex, 3);
+    assert.strictEqual(t.engine.cycleCount, 2);
+  },
+
+  'counts past zero in overtime until ended by hand': function () {
+    var t = rig({ overtime: function (seg) { return !!seg && seg.type === 'work'; } });
+    t.engine.start(schedule());
+    t.clock.advance(1620 * 1000);
+    assert.strictEqual(t.engine.currentIndex, 0);
+    assert.strictEqual(t.engine.remainingSeconds, -120);
+    assert.strictEqual(ofType(t.events, 'overtime').length, 1);
+    t.engine.endSegment();
+    assert.strictEqual(t.engine.currentIndex, 1);
+    assert.strictEqual(t.engine.remainingSeconds, 300);
+  },
+
+  'undoes an adjustment exactly, even back into overtime': function () {
+    var t = rig({ overtime: function (seg) { return !!seg && seg.type === 'work'; } });
+    t.engine.start(schedule());
+    t.clock.advance(1560 * 1000);
+    assert.strictEqual(t.engine.adjust(300), 300);
+    assert.strictEqual(t.engine.remainingSeconds, 240);
+    t.engine.adjust(-300, true);
+    assert.strictEqual(t.engine.remainingSeconds, -60);
+    assert.strictEqual(t.engine.timeline[0].duration, 1500);
+  },
+
+  'emits stateChange and load when loading a snapshot': function () {
+    var a = rig();
+    a.engine.start(schedule());
+    a.clock.advance(60 * 1000);
+
+    var b = rig();
+    b.engine.load(a.engine.snapshot());
+    assert.deepStrictEqual(b.events.map(function (e) { return e.type; }), ['stateChange', 'load']);
+    assert.deepStrictEqual(b.events[0].detail, { from: 'idle', to: 'running', at: undefined });
+
+    // Same state again: only load
+    b.events.length = 0;
+    b.engine.load(a.engine.snapshot());
+    assert.deepStrictEqual(b.events.map(function (e) { return e.type; }), ['load']);
+  },
+
+  'catches up on segments that ended while nothing was ticking': function () {
+    var a = rig();
+    a.engine.start(schedule());
+    var snap = JSON.parse(JSON.stringify(a.engine.snapshot()));
+
+    // Reopened 40 minutes later: the first work and break are over
+    var b = rig();
+    b.clock.advance(2400 * 1000);
+    b.engine.load(snap);
+    var seen = [];
+    var more = b.engine.catchUp(b.clock.now(), function (kind, at) { seen.push([kind, at - T0]); });
+    assert.strictEqual(more, true);
+    assert.deepStrictEqual(seen, [
+      ['segmentEnd', 1500 * 1000], ['segmentStart', 1500 * 1000],
+      ['segmentEnd', 1800 * 1000], ['segmentStart', 1800 * 1000]
+    ]);
+    assert.strictEqual(b.engine.currentIndex, 2);
+    assert.strictEqual(b.engine.remainingSeconds, 1500 - 600);
+    assert.strictEqual(b.engine.cycleCount, 1);
+    assert.strictEqual(ofType(b.events, 'segmentStart').length, 0);
+
+    // Ticking resumes on the wall-clock schedule
+    b.engine.run();
+    b.clock.advance(900 * 1000);
+    assert.strictEqual(b.engine.currentIndex, 3);
+
+    // Long gone: the whole schedule ran out
+    var c = rig();
+    c.clock.advance(24 * 3600 * 1000);
+    c.engine.load(snap);
+    assert.strictEqual(c.engine.catchUp(c.clock.now()), false);
+  }
+};
+
+var failed = 0;
+Object.keys(tests).forEach(function (name) {
+  try {
+    tests[name]();
+    console.log('ok - ' + name);
+  } catch (e) {
+    failed++;
+    console.log('not ok - ' + name + '\n  ' + (e && e.stack || e));
+  }
+});
+if (failed) process.exitCode = 1;
@@ -2,9 +2,12 @@
  * Focus — A minimal daily work/break timer.
  *
  * Architecture: Single IIFE, no frameworks, no build tools.
- * Three files: index.html, style.css, script.js.
+ * Five files: index.html, style.css, engine.js (the DOM-free timer
+ * state machine), timer-worker.js (its timers, off the main thread) and
+ * script.js (everything around it). sw.js, the manifest and fonts/ make
+ * it an installable app that works offline.
  *
- * @file Main application logic — timer engine, audio, UI, persistence.
+ * @file Main application logic — engine wiring, audio, UI, persistence.
  */
 (function () {
   'use strict';
@@ -21,7 +24,11 @@
     'blue', 'lavender'
   ];
 
-  /** @type {Object<string, {workMin: number, breakMin: number, blocks: Array}>} Built-in schedule presets. */
+  /**
+   * Built-in schedule presets. Each block may also carry optional
+   * overrides: workMin, breakMin (short break) and a display name.
+   * @type {Object<string, {workMin: number, breakMin: number, blocks: Array}>}
+   */
   var PRESETS = {
     pomodoro: {
       workMin: 25,
@@ -50,19 +57,228 @@
   var LS_ACCENT  = 'st-accent';
   /** @constant {string} localStorage key for custom presets. */
   var LS_PRESETS = 'st-presets';
+  /** @constant {string} localStorage key for the in-progress session checkpoint. */
+  var LS_SESSION = 'st-session';
+  /** @constant {string} localStorage key for the leader lease (fallback when Web Locks are unavailable). */
+  var LS_LEADER  = 'st-leader';
+  /** @constant {string} localStorage key used as a message bus when BroadcastChannel is unavailable. */
+  var LS_SYNC    = 'st-sync';
+  /** @constant {string} localStorage key for the last time scheduled starts were checked. */
+  var LS_SCHEDULE_CHECK = 'st-schedule-check';
+  /** @constant {string} localStorage key for the per-day daily goal log. */
+  var LS_GOAL_LOG = 'st-goal-log';
 
-  /** @type {{enabled: boolean, volume: number, workTone: string, breakTone: string}} Default sound config for new users. */
-  var DEFAULT_SOUND = { enabled: true, volume: 0.5, workTone: 'chime', breakTone: 'bell' };
+  /**
+   * Default sound config for new users. Each event has its own tone,
+   * volume (relative to the master volume) and repeat count; milestones
+   * (every N loop cycles) and waiting reminders (every N minutes) are off
+   * at 0. embedFiles puts imported sound files into exports.
+   * @type {{enabled: boolean, volume: number, embedFiles: boolean,
+   *   events: Object<string, {tone: string, volume: number, repeat: number, every: number=}>}}
+   */
+  var DEFAULT_SOUND = {
+    enabled: true,
+    volume: 0.5,
+    embedFiles: false,
+    events: {
+      work: { tone: 'chime', volume: 1, repeat: 1 },
+      break: { tone: 'bell', volume: 1, repeat: 1 },
+      majorBreak: { tone: 'bell', volume: 1, repeat: 1 },
+      complete: { tone: 'bell', volume: 1, repeat: 1 },
+      milestone: { tone: 'chime', volume: 1, repeat: 2, every: 0 },
+      reminder: { tone: 'ping', volume: 1, repeat: 1, every: 0 }
+    }
+  };
+  /** @constant {string[]} Sound events, in the order the settings list them. */
+  var SOUND_EVENTS = ['work', 'break', 'majorBreak', 'complete', 'milestone', 'reminder'];
+  /** @constant {Object<string, string>} Settings label of each sound event. */
+  var SOUND_EVENT_LABELS = {
+    work: 'Work start',
+    break: 'Short break',
+    majorBreak: 'Major break',
+    complete: 'Session complete',
+    milestone: 'Loop milestone',
+    reminder: 'Waiting reminder'
+  };
+  /** @constant {number} Most times an event's tone can repeat. */
+  var MAX_SOUND_REPEAT = 5;
+  /** @constant {number} Silence between repeats of a tone (seconds). */
+  var SOUND_REPEAT_GAP = 0.25;
+  /** @constant {number} Largest milestone interval (loop cycles). */
+  var MAX_MILESTONE_CYCLES = 99;
+  /** @constant {number} Largest waiting reminder interval (minutes). */
+  var MAX_REMINDER_MIN = 60;
 
   /** @type {string[]} Available tone names, matching keys in TONE_DEFS. */
   var TONE_NAMES = ['chime', 'ping', 'bell', 'pulse', 'beep', 'tap'];
 
+  /** @type {string[]} Oscillator waveforms offered in the tone designer. */
+  var TONE_WAVES = ['sine', 'triangle', 'square', 'sawtooth'];
+  /** @constant {number} Maximum number of custom tones. */
+  var CUSTOM_TONE_LIMIT = 12;
+  /** @constant {number} Maximum oscillator layers in a custom tone. */
+  var TONE_LAYER_LIMIT = 4;
+  /** @constant {number} Maximum notes in one layer's sequence. */
+  var TONE_NOTE_LIMIT = 16;
+  /** @constant {number} Longest custom tone layer (ms). */
+  var TONE_MAX_MS = 4000;
+  /** @constant {number} Maximum number of imported sound files. */
+  var SOUND_FILE_LIMIT = 8;
+  /** @constant {number} Largest sound file accepted (bytes). */
+  var SOUND_FILE_MAX_BYTES = 5 * 1024 * 1024;
+  /** @constant {number} Longest sound played (seconds, after trimming). */
+  var SOUND_MAX_SECONDS = 10;
+  /** @constant {string} Built-in tone played when a sound file can't be decoded. */
+  var SOUND_FALLBACK_TONE = 'bell';
+  /** @constant {Object<string, number>} Semitones from A of each natural note in the same octave. */
+  var NOTE_OFFSETS = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 };
+
+  /** @type {string[]} Segment types built into the engine; user-defined types get generated IDs. */
+  var BUILTIN_SEGMENT_TYPES = ['work', 'break', 'majorBreak'];
+
+  /** @type {string[]} Weekday initials for the schedule editor, indexed like Date#getDay(). */
+  var WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+  /** @constant {number} A scheduled start missed by less than this (ms) still starts automatically. */
+  var SCHEDULE_GRACE = 60 * 1000;
+  /** @constant {number} How far back (ms) to look for scheduled starts missed while asleep. */
+  var SCHEDULE_LOOKBACK = 12 * 60 * 60 * 1000;
+
+  /**
+   * Default flowtime settings: the earned break is 1/ratio of the work time,
+   * clamped to minBreak..maxBreak minutes.
+   * @constant {{enabled: boolean, ratio: number, minBreak: number, maxBreak: number}}
+   */
+  var DEFAULT_FLOWTIME = { enabled: false, ratio: 5, minBreak: 5, maxBreak: 30 };
+
+  /**
+   * Default loop-mode options: a major break of majorMin minutes after every
+   * majorEvery cycles (0 = never), and optional limits that end the session
+   * after stopAfter cycles (0 = never) or at the wall-clock time stopAt
+   * ('HH:MM', '' = never).
+   * @constant {{majorEvery: number, majorMin: number, stopAfter: number, stopAt: string}}
+   */
+  var DEFAULT_LOOP_OPTIONS = { majorEvery: 0, majorMin: 30, stopAfter: 0, stopAt: '' };
+
+  /**
+   * Default idle detection settings: pause focus segments after `minutes`
+   * without activity; `system` uses the Idle Detection API when granted.
+   * @constant {{enabled: boolean, minutes: number, system: boolean}}
+   */
+  var DEFAULT_IDLE = { enabled: false, minutes: 5, system: false };
+  /** @constant {number} Minimum interval (ms) between activity pings from follower tabs. */
+  var ACTIVITY_SYNC_INTERVAL = 10 * 1000;
+
+  /**
+   * Default daily goal: `target` work cycles or hours of focus per day,
+   * where a day begins at dayStartHour (0-23) local time.
+   * @constant {{enabled: boolean, unit: string, target: number, dayStartHour: number}}
+   */
+  var DEFAULT_GOAL = { enabled: false, unit: 'cycles', target: 6, dayStartHour: 0 };
+  /** @constant {number} Number of days kept in the daily goal log. */
+  var GOAL_LOG_DAYS = 366;
+
+  /**
+   * Default heads-up before a segment ends, separately for focus segments
+   * (work) and everything else (break): a soft tone `seconds` before the
+   * end, plus a notification when `notify` is on.
+   * @constant {Object<string, {enabled: boolean, seconds: number, notify: boolean}>}
+   */
+  var DEFAULT_WARNING = {
+    work: { enabled: false, seconds: 60, notify: false },
+    break: { enabled: false, seconds: 30, notify: false }
+  };
+  /** @constant {number} Longest heads-up (seconds). */
+  var MAX_WARNING_SECONDS = 30 * 60;
+
+  /**
+   * Default ambient sound: `sound` (a key of AMBIENT_DEFS) at its own
+   * `volume` (0-1) while work segments run, and breaks too with `breaks`.
+   * @constant {{enabled: boolean, sound: string, volume: number, breaks: boolean}}
+   */
+  var DEFAULT_AMBIENT = { enabled: false, sound: 'brown', volume: 0.4, breaks: false };
+  /** @constant {number} Ambient fade in/out time (seconds). */
+  var AMBIENT_FADE = 2;
+  /** @constant {number} Ambient level (fraction) while a tone plays over it. */
+  var AMBIENT_DUCK = 0.2;
+  /** @constant {number} Ambient level (fraction) it dips to between two segments that share the sound. */
+  var AMBIENT_DIP = 0.1;
+  /**
+   * Default spoken announcements: a voice (voiceURI, '' for the browser's
+   * default), rate, volume (relative to the master volume) and a template
+   * per event. See SPOKEN ANNOUNCEMENTS for the placeholders.
+   * @constant {{enabled: boolean, voice: string, rate: number, volume: number, templates: Object<string, string>}}
+   */
+  var DEFAULT_SPEECH = {
+    enabled: false,
+    voice: '',
+    rate: 1,
+    volume: 1,
+    templates: {
+      work: '{phase}, {duration}. {next} at {nextAt}.',
+      break: '{phase}, {duration}. Next {next} starts at {nextAt}.',
+      complete: 'Session complete. {cycle} cycles done.'
+    }
+  };
+  /** @constant {number} Longest announcement template (characters). */
+  var SPEECH_TEMPLATE_MAX = 200;
+  /** @constant {number} Pause between the transition tone and the announcement (ms). */
+  var SPEECH_TONE_GAP = 300;
+  /** @constant {number} Rough speaking speed at rate 1, for ducking the ambient sound. */
+  var SPEECH_WORDS_PER_SEC = 2.5;
+
+  /** @constant {string} Script for the timer worker that runs the engine's timers. */
+  var TIMER_WORKER_URL = 'timer-worker.js';
+  /** @constant {string} Service worker script (offline cache and updates). */
+  var SERVICE_WORKER_URL = 'sw.js';
+  /** @constant {number} Delay (ms) after the last tone before an unneeded AudioContext is suspended. */
+  var AUDIO_IDLE_SUSPEND = 5000;
+
+  /** @constant {number} Maximum number of undo (and redo) steps kept. */
+  var UNDO_LIMIT = 20;
+
+  /** @constant {Object<string, string>} Undoable action kinds, as named in toasts. */
+  var UNDO_LABELS = { skip: 'skip', reset: 'reset', adjust: 'adjustment', preset: 'preset change', jump: 'jump' };
+
+  /** @constant {number} Default step (minutes) for extending or shortening the current segment. */
+  var DEFAULT_ADJUST_MIN = 5;
+
   /** @constant {string} Application display name, used in titles and notifications. */
   var APP_NAME = 'Focus';
+  /** @constant {string} App icon, used in notifications. */
+  var APP_ICON = 'icon-192.png';
+  /** @constant {string} Notification tag for timer transitions, so each replaces the last. */
+  var TIMER_NOTIFICATION_TAG = 'focus-timer';
+  /** @constant {Array<string>} Timer actions a notification button may trigger (see runAction). */
+  var NOTIFICATION_ACTIONS = ['continue', 'skip', 'extend', 'pause'];
 
   /** @constant {number} SVG ring circumference: 2 * PI * r, where r=90 in a 200x200 viewBox. */
   var RING_CIRCUMFERENCE = 2 * Math.PI * 90;
 
+  /** @constant {string} Unique ID for this tab, used in leader election. */
+  var TAB_ID = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  /** @constant {string} Web Locks / BroadcastChannel name shared by all Focus tabs. */
+  var SYNC_NAME = 'focus-timer';
+  /** @constant {number} Leader lease lifetime (ms) when falling back to localStorage election. */
+  var LEADER_TTL = 5000;
+
+  /** @constant {string} IndexedDB database name. */
+  var DB_NAME = 'focus';
+  /** @constant {number} IndexedDB schema version. */
+  var DB_VERSION = 2;
+  /** @constant {string} IndexedDB object store for the session history log. */
+  var STORE_HISTORY = 'history';
+  /** @constant {string} IndexedDB object store for imported sound files (too big for localStorage). */
+  var STORE_SOUNDS = 'sounds';
+  /** @constant {number} Number of history events shown per page in the drawer. */
+  var HISTORY_PAGE_SIZE = 50;
+
+  /** @type {Object<string, {bars: number, label: string}>} Stats ranges: how many periods to chart and the chart label. */
+  var STATS_RANGES = {
+    day:   { bars: 7, label: 'Focus per day' },
+    week:  { bars: 8, label: 'Focus per week' },
+    month: { bars: 6, label: 'Focus per month' }
+  };
+
 
   /* ================================================================
      STATE
@@ -70,20 +286,31 @@
 
   /** @type {?Object} Current timer configuration (workMin, breakMin, blocks[]). */
   var config = null;
-  /** @type {Array<{type: string, duration: number}>} Flat timeline of segments. */
-  var timeline = [];
-  /** @type {number} Index of the current segment in the timeline. */
-  var currentIndex = 0;
-  /** @type {number} Seconds remaining in the current segment. */
-  var remainingSeconds = 0;
-  /** @type {string} Current state machine state: idle | running | paused | waiting | done. */
-  var state = 'idle';
-  /** @type {?number} setInterval ID for the 250ms tick loop. */
-  var tickIntervalId = null;
-  /** @type {?number} setTimeout ID for exact segment-end transition. */
-  var transitionTimerId = null;
-  /** @type {number} Wall-clock timestamp (ms) when the current segment ends. */
-  var targetTime = 0;
+  /**
+   * Timing diagnostics, in ms: how late the engine's timers fire (drift)
+   * and how late segment transitions land. See TIMER CLOCK.
+   * @type {{mode: string, drift: {count: number, total: number, max: number, last: number},
+   *   late: {count: number, total: number, max: number, last: number}}}
+   */
+  var timing = {
+    mode: 'main',
+    drift: { count: 0, total: 0, max: 0, last: 0 },
+    late: { count: 0, total: 0, max: 0, last: 0 }
+  };
+  /** Timeouts and intervals for the engine and the waiting reminder (see TIMER CLOCK). */
+  var timerClock = createTimerClock();
+  /**
+   * The timer engine (engine.js): timeline, current segment, countdown and
+   * state machine state. The one source of truth for the timer — follower
+   * tabs load the leader's state into theirs. See TIMER ENGINE for wiring.
+   */
+  var engine = FocusEngine.create({
+    clock: timerClock,
+    overtime: overtimeApplies,
+    fill: function (at) { return fillTimeline() && !loopLimitReached(at); },
+    autoContinue: function () { return config.autoContinue !== false; },
+    warning: warningLead
+  });
   /** @type {?string} Active preset key: 'pomodoro' | 'deepwork' | 'custom:<name>' | null. */
   var activePreset = null;
   /** @type {Object<string, Object>} User-saved custom presets: { name: { workMin, breakMin, blocks[] } }. */
@@ -92,12 +319,20 @@
   var wasRunningBeforeDrawer = false;
   /** @type {boolean} Whether the settings drawer is currently open. */
   var drawerOpen = false;
-  /** @type {?Object} Snapshot of state before a skip, used for undo. */
-  var skipSnapshot = null;
+  /** @type {boolean} Whether the statistics panel is currently open. */
+  var statsOpen = false;
+  /** @type {string} Selected stats range: day | week | month. */
+  var statsRange = 'day';
+  /** @type {Array<Object>} Undoable actions, oldest first: an engine snapshot taken before each, or an adjustment's delta. */
+  var undoStack = [];
+  /** @type {Array<Object>} Entries set aside by undo, for redo. */
+  var redoStack = [];
   /** @type {?number} setTimeout ID for auto-dismissing the toast. */
   var toastTimerId = null;
-  /** @type {number} Completed work cycles in loop mode. */
-  var loopCycleCount = 0;
+  /** @type {number} Timestamp (ms) at which a loop session stops, or 0 for no time limit. */
+  var loopStopAt = 0;
+  /** @type {?string} ID of the current session, grouping its history events. */
+  var sessionId = null;
   /** @type {number} Last displayed seconds value, used to skip redundant DOM updates. */
   var lastDisplayedSeconds = -1;
   /** @type {string} Previously displayed phase text, used to avoid redundant transitions. */
@@ -118,6 +353,24 @@
   var hintsTimerId = null;
   /** @type {?number} setInterval ID for the 1-second wall clock update. */
   var clockIntervalId = null;
+  /** @type {boolean} Whether this tab owns the timer engine. Followers mirror the leader's state. */
+  var isLeader = false;
+  /** @type {?BroadcastChannel} Channel for state and command messages between tabs. */
+  var syncChannel = null;
+  /** @type {?number} setInterval ID for the follower display loop. */
+  var mirrorIntervalId = null;
+  /** @type {?number} setInterval ID for the leader lease heartbeat (localStorage fallback only). */
+  var leaseIntervalId = null;
+  /** @type {number} Timestamp (ms) of the last keyboard/pointer activity seen in any tab. */
+  var lastActivity = Date.now();
+  /** @type {number} Timestamp (ms) this tab last reported activity to the leader. */
+  var lastActivitySent = 0;
+  /** @type {?{since: number, index: number}} Set while a segment is paused because the user was away. */
+  var idleAway = null;
+  /** @type {?number} The idleAway.since value the return prompt was shown for in this tab. */
+  var idlePromptedFor = null;
+  /** @type {?AbortController} Stops the running or starting IdleDetector, if any. */
+  var idleAbort = null;
 
 
   /* ================================================================
@@ -131,6 +384,9 @@
   var elTimer = document.getElementById('timer');
   var elClock = document.getElementById('clock');
   var elProgress = document.getElementById('progress');
+  var elGoal = document.getElementById('goal');
+  var elGoalFill = elGoal.querySelector('.goal-fill');
+  var elGoalLabel = elGoal.querySelector('.goal-label');
   var elControls = document.getElementById('controls');
 
   var elDrawer = document.getElementById('drawer');
@@ -146,20 +402,85 @@
   var elHints = document.getElementById('hints');
 
   var elCfgWork = document.getElementById('cfg-work');
+  var elCfgAdjust = document.getElementById('cfg-adjust');
+  var elFlowtimeToggle = document.getElementById('cfg-flowtime');
+  var elFlowtimeFields = document.getElementById('flowtime-fields');
+  var elCfgFlowRatio = document.getElementById('cfg-flow-ratio');
+  var elCfgFlowMin = document.getElementById('cfg-flow-min');
+  var elCfgFlowMax = document.getElementById('cfg-flow-max');
   var elCfgBreak = document.getElementById('cfg-break');
   var elBlocksList = document.getElementById('blocks-list');
   var elAddBlock = document.getElementById('add-block');
+  var elAddSlot = document.getElementById('add-slot');
+  var elSegmentTypesList = document.getElementById('segment-types-list');
+  var elAddSegmentType = document.getElementById('add-segment-type');
+  var elSchedulesList = document.getElementById('schedules-list');
+  var elAddSchedule = document.getElementById('add-schedule');
   var elAccentPicker = document.getElementById('accent-picker');
   var elThemeSwitch = document.getElementById('theme-switch');
 
   var elSoundToggle = document.getElementById('cfg-sound-toggle');
   var elVolume = document.getElementById('cfg-volume');
   var elVolumeNum = document.getElementById('cfg-volume-num');
-  var elWorkToneSelector = document.getElementById('work-tone-selector');
-  var elBreakToneSelector = document.getElementById('break-tone-selector');
+  var elSoundEvents = document.getElementById('sound-events');
+  var elCustomTonesList = document.getElementById('custom-tones-list');
+  var elAddCustomTone = document.getElementById('add-custom-tone');
+  var elToneDesigner = document.getElementById('tone-designer');
+  var elToneDesignerName = document.getElementById('tone-designer-name');
+  var elToneDesignerLayers = document.getElementById('tone-designer-layers');
+  var elToneDesignerAddLayer = document.getElementById('tone-designer-add-layer');
+  var elToneDesignerPreview = document.getElementById('tone-designer-preview');
+  var elToneDesignerSave = document.getElementById('tone-designer-save');
+  var elToneDesignerCancel = document.getElementById('tone-designer-cancel');
+  var elSoundFilesList = document.getElementById('sound-files-list');
+  var elAddSoundFile = document.getElementById('add-sound-file');
+  var elSoundFileInput = document.getElementById('sound-file-input');
+  var elEmbedSoundsRow = document.getElementById('embed-sounds-row');
+  var elEmbedSoundsToggle = document.getElementById('cfg-embed-sounds');
+  var elAmbientToggle = document.getElementById('cfg-ambient');
+  var elAmbientFields = document.getElementById('ambient-fields');
+  var elCfgAmbientSound = document.getElementById('cfg-ambient-sound');
+  var elCfgAmbientVolume = document.getElementById('cfg-ambient-volume');
+  var elAmbientBreaksToggle = document.getElementById('cfg-ambient-breaks');
+  var elSpeechToggle = document.getElementById('cfg-speech');
+  var elSpeechFields = document.getElementById('speech-fields');
+  var elSpeechUnsupported = document.getElementById('speech-unsupported');
+  var elCfgSpeechVoice = document.getElementById('cfg-speech-voice');
+  var elCfgSpeechRate = document.getElementById('cfg-speech-rate');
+  var elCfgSpeechVolume = document.getElementById('cfg-speech-volume');
+  var elCfgSpeechWork = document.getElementById('cfg-speech-work');
+  var elCfgSpeechBreak = document.getElementById('cfg-speech-break');
+  var elCfgSpeechComplete = document.getElementById('cfg-speech-complete');
+  var elSpeechTest = document.getElementById('speech-test');
   var elNotificationsToggle = document.getElementById('cfg-notifications');
   var elAutoContinueToggle = document.getElementById('cfg-auto-continue');
   var elLoopToggle = document.getElementById('cfg-loop');
+  var elLoopFields = document.getElementById('loop-fields');
+  var elCfgLoopMajorEvery = document.getElementById('cfg-loop-major-every');
+  var elCfgLoopMajorMin = document.getElementById('cfg-loop-major-min');
+  var elCfgLoopStopAfter = document.getElementById('cfg-loop-stop-after');
+  var elCfgLoopStopAt = document.getElementById('cfg-loop-stop-at');
+  var elOvertimeToggle = document.getElementById('cfg-overtime');
+  var elIdleToggle = document.getElementById('cfg-idle');
+  var elCfgIdleMin = document.getElementById('cfg-idle-min');
+  var elIdleSystemRow = document.getElementById('idle-system-row');
+  var elIdleSystemToggle = document.getElementById('cfg-idle-system');
+  var elOvertimeBreakToggle = document.getElementById('cfg-overtime-break');
+  var elGoalToggle = document.getElementById('cfg-goal');
+  var elGoalFields = document.getElementById('goal-fields');
+  var elCfgGoalTarget = document.getElementById('cfg-goal-target');
+  var elCfgGoalUnit = document.getElementById('cfg-goal-unit');
+  var elCfgGoalDayStart = document.getElementById('cfg-goal-day-start');
+  var elWarnWorkToggle = document.getElementById('cfg-warn-work');
+  var elWarnWorkFields = document.getElementById('warn-work-fields');
+  var elCfgWarnWorkLead = document.getElementById('cfg-warn-work-lead');
+  var elCfgWarnWorkUnit = document.getElementById('cfg-warn-work-unit');
+  var elWarnWorkNotify = document.getElementById('cfg-warn-work-notify');
+  var elWarnBreakToggle = document.getElementById('cfg-warn-break');
+  var elWarnBreakFields = document.getElementById('warn-break-fields');
+  var elCfgWarnBreakLead = document.getElementById('cfg-warn-break-lead');
+  var elCfgWarnBreakUnit = document.getElementById('cfg-warn-break-unit');
+  var elWarnBreakNotify = document.getElementById('cfg-warn-break-notify');
   var elBlocksSection = elBlocksList.closest('.drawer-section');
 
   var elPresetBtns = document.querySelectorAll('.preset-btn');
@@ -174,6 +495,18 @@
   var elImportBtn = document.getElementById('import-btn');
   var elImportFileInput = document.getElementById('import-file-input');
 
+  var elDiagnostics = document.getElementById('diagnostics');
+  var elHistoryList = document.getElementById('history-list');
+  var elHistoryMore = document.getElementById('history-more');
+  var elHistoryClear = document.getElementById('history-clear');
+
+  var elStatsPanel = document.getElementById('stats-panel');
+  var elStatsToggle = document.getElementById('stats-toggle');
+  var elStatsRangeBtns = document.querySelectorAll('.stats-range-btn');
+  var elStatsSummary = document.getElementById('stats-summary');
+  var elStatsChart = document.getElementById('stats-chart');
+  var elStatsChartLabel = document.getElementById('stats-chart-label');
+
 
   /* ================================================================
      UTILITIES
@@ -208,28 +541,79 @@
     return JSON.parse(JSON.stringify(obj));
   }
 
+  /**
+   * Escape text for use in HTML markup. Block, type and preset names are
+   * user-entered and can arrive in an imported config.
+   * @param {*} text - Text to escape.
+   * @returns {string} Escaped text.
+   */
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, function (ch) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+    });
+  }
+
+  /**
+   * Look up a user-defined segment type by ID.
+   * @param {string} id - Segment type ID.
+   * @returns {?{id: string, label: string, color: string, tone: string, focus: boolean}} The definition, or null.
+   */
+  function getSegmentType(id) {
+    var types = (config && config.segmentTypes) || [];
+    for (var i = 0; i < types.length; i++) {
+      if (types[i].id === id) return types[i];
+    }
+    return null;
+  }
+
+  /**
+   * Whether time spent in a segment type counts as focus time.
+   * @param {string} segType - Built-in or user-defined segment type.
+   * @returns {boolean} True for work and for custom types flagged as focus.
+   */
+  function isFocusType(segType) {
+    if (segType === 'work') return true;
+    var def = getSegmentType(segType);
+    return !!(def && def.focus);
+  }
+
   /**
    * Map a segment type string to its display label.
-   * @param {string} segType - 'work', 'break', or 'majorBreak'.
+   * @param {string} segType - 'work', 'break', 'majorBreak', or a custom type ID.
    * @returns {string} Human-readable label.
    */
   function phaseLabel(segType) {
+    if (BUILTIN_SEGMENT_TYPES.indexOf(segType) === -1) {
+      var def = getSegmentType(segType);
+      return def ? def.label : 'Segment';
+    }
     return segType === 'work' ? 'Work'
          : segType === 'majorBreak' ? 'Major Break'
          : 'Break';
   }
 
+  /**
+   * Display label for a timeline segment, including its block name if set.
+   * @param {{type: string, name: string}} seg - Timeline segment.
+   * @returns {string} e.g. "Work" or "Work · Morning".
+   */
+  function segmentLabel(seg) {
+    var label = phaseLabel(seg.type);
+    return seg.name ? label + ' \u00b7 ' + seg.name : label;
+  }
+
 
   /* ================================================================
      AUDIO ENGINE
      Hybrid approach for reliable background-tab audio:
 
      1. Pre-render tones into AudioBuffers via OfflineAudioContext at init.
-     2. On first user interaction, create a persistent AudioContext with a
-        silent keep-alive oscillator so the context stays active even when
-        the tab is backgrounded.
+     2. On first user interaction, create a persistent AudioContext.
      3. Play tones by decoding the pre-rendered buffers through the live
-        AudioContext. The keep-alive prevents browser suspension.
+        AudioContext. While a hidden leader tab has a segment running, a
+        silent keep-alive oscillator stops the browser suspending it; the
+        rest of the time the context is suspended once tones finish, so
+        the audio device isn't held open all day.
      4. Fallback: if AudioContext is unavailable, fall back to
         HTMLAudioElement with WAV blob URLs.
      ================================================================ */
@@ -242,8 +626,14 @@
   var audioReady = false;
   /** @type {?AudioContext} Persistent AudioContext for live playback. */
   var liveCtx = null;
-  /** @type {?{osc: OscillatorNode, gain: GainNode}} Silent keep-alive oscillator refs. */
+  /** @type {?{osc: OscillatorNode, gain: GainNode}} Silent keep-alive oscillator refs, while running. */
   var keepAliveNode = null;
+  /** @type {?{name: string, sources: Array<AudioScheduledSourceNode>, gain: GainNode, duck: GainNode}} Playing ambient sound. */
+  var ambient = null;
+  /** @type {Object<string, AudioBuffer>} Looping noise buffers by color, made on first use. */
+  var noiseBuffers = {};
+  /** @type {?number} setTimeout ID for suspending the AudioContext once it falls idle. */
+  var audioIdleTimerId = null;
 
   /**
    * Tone definitions: each is a function(ctx, dest, time) that schedules
@@ -319,6 +709,41 @@
       o.start(t);
       o.stop(t + 0.2);
     }},
+    // Soft heads-up before a segment ends; not offered in the tone selectors
+    warning: { duration: 0.9, render: function (ctx, dest, t) {
+      var notes = [659.25, 523.25];
+      for (var i = 0; i < notes.length; i++) {
+        var st = t + i * 0.25;
+        var g = ctx.createGain();
+        g.gain.setValueAtTime(0.001, st);
+        g.gain.linearRampToValueAtTime(0.15, st + 0.05);
+        g.gain.exponentialRampToValueAtTime(0.001, st + 0.6);
+        g.connect(dest);
+        var o = ctx.createOscillator();
+        o.type = 'sine';
+        o.frequency.setValueAtTime(notes[i], st);
+        o.connect(g);
+        o.start(st);
+        o.stop(st + 0.65);
+      }
+    }},
+    // Daily goal fanfare; played on its own, not offered in the tone selectors
+    goal: { duration: 1.4, render: function (ctx, dest, t) {
+      var notes = [523.25, 659.25, 783.99, 1046.5];
+      for (var i = 0; i < notes.length; i++) {
+        var st = t + i * 0.12;
+        var g = ctx.createGain();
+        g.gain.setValueAtTime(0.3, st);
+        g.gain.exponentialRampToValueAtTime(0.001, st + 1.4 - i * 0.12);
+        g.connect(dest);
+        var o = ctx.createOscillator();
+        o.type = 'triangle';
+        o.frequency.setValueAtTime(notes[i], st);
+        o.connect(g);
+        o.start(st);
+        o.stop(t + 1.4);
+      }
+    }},
     tap: { duration: 0.1, render: function (ctx, dest, t) {
       var g = ctx.createGain();
       g.gain.setValueAtTime(0.3, t);
@@ -333,6 +758,122 @@
     }}
   };
 
+  /** @type {Object<string, string>} Layers of each registered custom tone as last rendered, by ID. */
+  var renderedCustomTones = {};
+
+  /**
+   * Parse a layer's note sequence: note names (C5, F#4, Bb3) or plain
+   * frequencies in Hz, separated by spaces or commas. Anything else, or
+   * outside the audible range, is dropped.
+   * @param {string} text - Sequence as typed.
+   * @returns {number[]} Frequencies (Hz).
+   */
+  function parseNotes(text) {
+    var out = [];
+    String(text || '').trim().split(/[\s,]+/).forEach(function (token) {
+      var m = /^([A-Ga-g])([#b]?)(\d)$/.exec(token);
+      var hz = m
+        ? 440 * Math.pow(2, (NOTE_OFFSETS[m[1].toUpperCase()] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) +
+            (parseInt(m[3], 10) - 4) * 12) / 12)
+        : parseFloat(token);
+      if (hz >= 20 && hz <= 20000) out.push(hz);
+    });
+    return out.slice(0, TONE_NOTE_LIMIT);
+  }
+
+  /**
+   * Turn a custom tone into a TONE_DEFS entry. Each layer plays its notes
+   * one after another, splitting the layer's duration between them; every
+   * note ramps up over the attack and then decays away.
+   * @param {{layers: Array<{wave: string, notes: string, duration: number, attack: number, gain: number}>}} tone - Custom tone.
+   * @returns {{duration: number, render: function(BaseAudioContext, AudioNode, number): void}} Tone definition.
+   */
+  function customToneDef(tone) {
+    var duration = 0;
+    tone.layers.forEach(function (layer) {
+      duration = Math.max(duration, layer.duration / 1000);
+    });
+    return { duration: duration, render: function (ctx, dest, t) {
+      tone.layers.forEach(function (layer) {
+        var notes = parseNotes(layer.notes);
+        var step = layer.duration / 1000 / notes.length;
+        var attack = Math.max(0.005, Math.min(layer.attack / 1000, step / 2));
+        notes.forEach(function (hz, i) {
+          var st = t + i * step;
+          var g = ctx.createGain();
+          g.gain.setValueAtTime(0.001, st);
+          g.gain.linearRampToValueAtTime(Math.max(0.001, layer.gain), st + attack);
+          g.gain.exponentialRampToValueAtTime(0.001, st + step);
+          g.connect(dest);
+          var o = ctx.createOscillator();
+          o.type = layer.wave;
+          o.frequency.setValueAtTime(hz, st);
+          o.connect(g);
+          o.start(st);
+          o.stop(st + step);
+        });
+      });
+    }};
+  }
+
+  /**
+   * Bring TONE_DEFS in line with config.customTones: deleted tones are
+   * dropped and new or edited ones (re)defined.
+   * @param {boolean} render - Also render what changed (after startup;
+   *   initToneBlobs() renders everything the first time).
+   */
+  function updateCustomTones(render) {
+    var ids = config.customTones.map(function (t) { return t.id; });
+    for (var id in renderedCustomTones) {
+      if (ids.indexOf(id) !== -1) continue;
+      delete renderedCustomTones[id];
+      delete TONE_DEFS[id];
+      delete toneBuffers[id];
+      if (toneURLs[id]) URL.revokeObjectURL(toneURLs[id]);
+      delete toneURLs[id];
+    }
+    config.customTones.forEach(function (tone) {
+      var key = JSON.stringify(tone.layers);
+      if (renderedCustomTones[tone.id] === key) return;
+      renderedCustomTones[tone.id] = key;
+      TONE_DEFS[tone.id] = customToneDef(tone);
+      if (render) renderTone(tone.id);
+    });
+  }
+
+  /**
+   * Tones offered in the selectors: the built-ins, then custom tones,
+   * then imported sound files.
+   * @returns {string[]} Tone names (custom tones and sound files by ID).
+   */
+  function toneNames() {
+    return TONE_NAMES
+      .concat(config.customTones.map(function (t) { return t.id; }))
+      .concat(config.customSounds.map(function (s) { return s.id; }));
+  }
+
+  /**
+   * Whether a tone name refers to a built-in or existing custom tone.
+   * @param {string} name - Tone name.
+   * @returns {boolean}
+   */
+  function isToneName(name) {
+    return toneNames().indexOf(name) !== -1;
+  }
+
+  /**
+   * Display label for a tone: custom tones and sound files by their given name.
+   * @param {string} name - Tone name.
+   * @returns {string} Label.
+   */
+  function toneLabel(name) {
+    var named = config.customTones.concat(config.customSounds);
+    for (var i = 0; i < named.length; i++) {
+      if (named[i].id === name) return named[i].name;
+    }
+    return name;
+  }
+
   /**
    * Encode an AudioBuffer as a 16-bit PCM WAV Blob.
    * Used to create fallback blob URLs for HTMLAudioElement playback.
@@ -392,28 +933,46 @@
   }
 
   /**
-   * Pre-render all tones into AudioBuffers and WAV blob URLs asynchronously.
-   * Sets audioReady=true when all tones are processed.
+   * Render a tone definition offline.
+   * @param {{duration: number, render: function(BaseAudioContext, AudioNode, number): void}} def - Tone definition.
+   * @returns {Promise<AudioBuffer>} The rendered tone.
+   */
+  function renderToneBuffer(def) {
+    var sampleRate = 44100;
+    var length = Math.ceil(def.duration * sampleRate);
+    var offlineCtx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(1, length, sampleRate);
+
+    def.render(offlineCtx, offlineCtx.destination, 0);
+
+    return offlineCtx.startRendering();
+  }
+
+  /**
+   * Render a tone from TONE_DEFS into its AudioBuffer and WAV blob URL,
+   * replacing any earlier rendering.
+   * @param {string} name - Tone name.
+   * @returns {Promise} Settles when done, successfully or not.
+   */
+  function renderTone(name) {
+    return renderToneBuffer(TONE_DEFS[name]).then(function (renderedBuffer) {
+      toneBuffers[name] = renderedBuffer;
+      var blob = audioBufferToWav(renderedBuffer);
+      if (toneURLs[name]) URL.revokeObjectURL(toneURLs[name]);
+      toneURLs[name] = URL.createObjectURL(blob);
+    }).catch(function () {});
+  }
+
+  /**
+   * Pre-render all tones, built-in and custom, into AudioBuffers and WAV
+   * blob URLs asynchronously. Sets audioReady=true when all tones are processed.
    */
   function initToneBlobs() {
+    updateCustomTones(false);
     var names = Object.keys(TONE_DEFS);
     var pending = names.length;
 
     names.forEach(function (name) {
-      var def = TONE_DEFS[name];
-      var sampleRate = 44100;
-      var length = Math.ceil(def.duration * sampleRate);
-      var offlineCtx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(1, length, sampleRate);
-
-      def.render(offlineCtx, offlineCtx.destination, 0);
-
-      offlineCtx.startRendering().then(function (renderedBuffer) {
-        toneBuffers[name] = renderedBuffer;
-        var blob = audioBufferToWav(renderedBuffer);
-        toneURLs[name] = URL.createObjectURL(blob);
-        pending--;
-        if (pending === 0) audioReady = true;
-      }).catch(function () {
+      renderTone(name).then(function () {
         pending--;
         if (pending === 0) audioReady = true;
       });
@@ -421,55 +980,115 @@
   }
 
   /**
-   * Initialize the persistent AudioContext and silent keep-alive oscillator.
-   * Must be called from a user gesture (click/keydown) to comply with autoplay policy.
-   * Subsequent calls resume the context if it was suspended.
+   * Initialize the persistent AudioContext.
+   * Must be called from a user gesture (click/keydown) to comply with autoplay policy;
+   * once it has been, the context can be resumed later without one.
    */
   function ensureLiveContext() {
-    if (liveCtx) {
-      // Resume if suspended (browsers suspend until user gesture)
-      if (liveCtx.state === 'suspended') {
-        liveCtx.resume().catch(function () {});
-      }
-      return;
-    }
+    primeSpeech();
+    if (liveCtx) return;
     try {
       var Ctx = window.AudioContext || window.webkitAudioContext;
       if (!Ctx) return;
       liveCtx = new Ctx();
-
-      // Silent keep-alive: a constant source at zero amplitude.
-      // This keeps the AudioContext from being suspended in background tabs.
-      var osc = liveCtx.createOscillator();
-      var gain = liveCtx.createGain();
-      gain.gain.value = 0; // completely silent
-      osc.connect(gain);
-      gain.connect(liveCtx.destination);
-      osc.start();
-      keepAliveNode = { osc: osc, gain: gain };
+      updateKeepAlive();
+      updateAmbient();
     } catch (e) {
       liveCtx = null;
     }
   }
 
   /**
-   * Play a tone through the live AudioContext (reliable in background tabs).
-   * @param {string} name - Tone name from TONE_DEFS.
+   * Run the silent keep-alive only while it is needed: this is the leader
+   * tab, it is hidden, a segment is running and sound is on. That is when
+   * a browser might suspend the AudioContext before the next transition
+   * tone. Otherwise the oscillator is stopped and the context left to fall
+   * idle.
+   */
+  function updateKeepAlive() {
+    if (!liveCtx) return;
+    var needed = isLeader && document.hidden && engine.state === 'running' &&
+      !!config.sound && config.sound.enabled;
+
+    if (needed && !keepAliveNode) {
+      clearTimeout(audioIdleTimerId);
+      if (liveCtx.state === 'suspended') liveCtx.resume().catch(function () {});
+      try {
+        // A constant source at zero amplitude keeps the context active
+        var osc = liveCtx.createOscillator();
+        var gain = liveCtx.createGain();
+        gain.gain.value = 0; // completely silent
+        osc.connect(gain);
+        gain.connect(liveCtx.destination);
+        osc.start();
+        keepAliveNode = { osc: osc, gain: gain };
+      } catch (e) {
+        keepAliveNode = null;
+      }
+    } else if (!needed && keepAliveNode) {
+      try {
+        keepAliveNode.osc.stop();
+        keepAliveNode.gain.disconnect();
+      } catch (e) {
+        // Already stopped
+      }
+      keepAliveNode = null;
+      scheduleAudioIdle();
+    }
+    if (drawerOpen) renderDiagnostics();
+  }
+
+  /** Suspend the AudioContext a little after the last tone, unless the keep-alive needs it. */
+  function scheduleAudioIdle() {
+    clearTimeout(audioIdleTimerId);
+    audioIdleTimerId = setTimeout(function () {
+      audioIdleTimerId = null;
+      if (liveCtx && !keepAliveNode && !ambient && liveCtx.state === 'running') {
+        liveCtx.suspend().catch(function () {});
+      }
+    }, AUDIO_IDLE_SUSPEND);
+  }
+
+  /**
+   * Start a pre-rendered tone buffer on the live AudioContext.
+   * @param {AudioBuffer} buf - Tone buffer.
+   * @param {number} volume - Playback volume (0-1).
+   * @param {number} [delay=0] - Seconds from now to start it.
+   */
+  function startToneBuffer(buf, volume, delay) {
+    var source = liveCtx.createBufferSource();
+    source.buffer = buf;
+    var gain = liveCtx.createGain();
+    gain.gain.value = volume;
+    source.connect(gain);
+    gain.connect(liveCtx.destination);
+    source.start(delay ? liveCtx.currentTime + delay : 0);
+    if (!keepAliveNode) scheduleAudioIdle();
+  }
+
+  /**
+   * Play a tone through the live AudioContext (reliable in background tabs),
+   * waking it first if it was left to fall idle.
+   * @param {string} name - Built-in tone name, or a custom tone or sound file ID (a key of toneBuffers).
    * @param {number} volume - Playback volume (0-1).
-   * @returns {boolean} Whether playback succeeded.
+   * @param {number} [delay=0] - Seconds from now to start it.
+   * @returns {boolean} Whether playback succeeded or is under way.
    */
-  function playToneLive(name, volume) {
-    if (!liveCtx || liveCtx.state !== 'running') return false;
+  function playToneLive(name, volume, delay) {
+    if (!liveCtx || liveCtx.state === 'closed') return false;
     var buf = toneBuffers[name];
     if (!buf) return false;
     try {
-      var source = liveCtx.createBufferSource();
-      source.buffer = buf;
-      var gain = liveCtx.createGain();
-      gain.gain.value = volume;
-      source.connect(gain);
-      gain.connect(liveCtx.destination);
-      source.start(0);
+      if (liveCtx.state !== 'running') {
+        clearTimeout(audioIdleTimerId);
+        liveCtx.resume().then(function () {
+          startToneBuffer(buf, volume, delay);
+        }, function () {
+          playToneFallback(name, volume, delay);
+        });
+        return true;
+      }
+      startToneBuffer(buf, volume, delay);
       return true;
     } catch (e) {
       return false;
@@ -478,11 +1097,16 @@
 
   /**
    * Fallback: play a tone via HTMLAudioElement (works in foreground only).
-   * @param {string} name - Tone name from TONE_DEFS.
+   * @param {string} name - Built-in tone name, or a custom tone or sound file ID (a key of toneURLs).
    * @param {number} volume - Playback volume (0-1).
+   * @param {number} [delay=0] - Seconds from now to start it.
    */
-  function playToneFallback(name, volume) {
+  function playToneFallback(name, volume, delay) {
     if (!toneURLs[name]) return;
+    if (delay) {
+      setTimeout(function () { playToneFallback(name, volume); }, delay * 1000);
+      return;
+    }
     try {
       var audio = new Audio(toneURLs[name]);
       audio.volume = volume;
@@ -495,148 +1119,840 @@
   /**
    * Play a named tone at the configured volume.
    * Tries the live AudioContext first, falls back to HTMLAudioElement.
-   * @param {string} name - Tone name from TONE_DEFS.
+   * A name with nothing to play (a sound file that is missing or failed
+   * to decode) plays SOUND_FALLBACK_TONE instead.
+   * @param {string} name - Built-in tone name, or a custom tone or sound
+   *   file ID (a key of toneBuffers/toneURLs).
    * @param {boolean} [preview=false] - If true, bypass the sound-enabled check (for UI previews).
+   * @param {number} [level=1] - Volume relative to the configured one (0-1).
+   * @param {number} [repeat=1] - Times to play it, back to back.
+   * @returns {number} How long it plays for (seconds), or 0 if it doesn't.
    */
-  function playTone(name, preview) {
-    if (!preview && (!config.sound || !config.sound.enabled)) return;
-    if (!audioReady) return;
-    var vol = config.sound.volume;
-    // Try live AudioContext first (works in background tabs)
-    if (!playToneLive(name, vol)) {
-      // Fallback to HTMLAudioElement
-      playToneFallback(name, vol);
+  function playTone(name, preview, level, repeat) {
+    if (!preview && (!config.sound || !config.sound.enabled)) return 0;
+    if (!audioReady) return 0;
+    // A sound file that is missing or failed to decode
+    if (!toneBuffers[name] && !toneURLs[name]) name = SOUND_FALLBACK_TONE;
+    var vol = config.sound.volume * (level === undefined ? 1 : level);
+    var step = toneBuffers[name] ? toneBuffers[name].duration + SOUND_REPEAT_GAP : 0;
+    repeat = repeat || 1;
+    if (toneBuffers[name]) duckAmbient(step * repeat - SOUND_REPEAT_GAP);
+    for (var i = 0; i < repeat; i++) {
+      // Try live AudioContext first (works in background tabs)
+      if (!playToneLive(name, vol, step * i)) {
+        // Fallback to HTMLAudioElement
+        playToneFallback(name, vol, step * i);
+      }
     }
+    return step ? step * repeat - SOUND_REPEAT_GAP : 0;
+  }
+
+  /**
+   * Play an event's sound with its tone, volume and repeat count.
+   * @param {string} kind - One of SOUND_EVENTS.
+   * @param {boolean} [preview=false] - If true, bypass the sound-enabled check (for UI previews).
+   * @returns {number} How long it plays for (seconds), or 0 if it doesn't.
+   */
+  function playSound(kind, preview) {
+    var ev = config.sound.events[kind];
+    return playTone(ev.tone, preview, ev.volume, ev.repeat);
   }
 
   /**
    * Play the appropriate transition tone for a segment type.
-   * @param {string} segType - 'work', 'break', or 'majorBreak'.
+   * Custom segment types use their own configured tone.
+   * @param {string} segType - 'work', 'break', 'majorBreak', or a custom type ID.
+   * @returns {number} How long the tone plays for (seconds), or 0 if it doesn't.
    */
   function playTransitionTone(segType) {
-    if (!config.sound || !config.sound.enabled) return;
-    var tone = segType === 'work' ? config.sound.workTone : config.sound.breakTone;
-    playTone(tone);
+    if (!config.sound || !config.sound.enabled) return 0;
+    var def = getSegmentType(segType);
+    if (def) return playTone(def.tone);
+    return playSound(segType === 'work' || segType === 'majorBreak' ? segType : 'break');
   }
 
-  // Force immediate timer catch-up when tab becomes visible again
+  // Start or stop the keep-alive, and force immediate timer catch-up when the tab is visible again
   document.addEventListener('visibilitychange', function () {
-    if (!document.hidden) {
-      // Resume AudioContext if it was suspended
-      if (liveCtx && liveCtx.state === 'suspended') {
-        liveCtx.resume().catch(function () {});
-      }
-      if (state === 'running') {
-        tick();
-      }
+    updateKeepAlive();
+    if (!document.hidden && isLeader && engine.state === 'running') {
+      engine.tick();
     }
   });
 
 
   /* ================================================================
-     VISUAL FLASH
+     AMBIENT SOUND
+     Procedural background sound while a segment runs: plain noise in
+     three colors, and soundscapes built from filtered noise and
+     oscillators — no audio files. It plays through the live AudioContext
+     in the leader tab, fades in and out as segments start and stop, and
+     ducks whenever a tone plays so transitions stay clearly audible.
      ================================================================ */
 
-  /** Trigger the full-screen flash overlay animation on phase transitions. */
-  function flash() {
-    elFlashOverlay.classList.remove('flash');
-    void elFlashOverlay.offsetWidth; // force reflow
-    elFlashOverlay.classList.add('flash');
-  }
-
+  /**
+   * Ambient sounds, as offered in the drawer's sound selector: each
+   * build(ctx, dest) wires its sources into dest, starts them and returns
+   * them (to be stopped later). `level` evens out their loudness at the
+   * same volume setting.
+   */
+  var AMBIENT_DEFS = {
+    white: { level: 0.12, build: function (ctx, dest) {
+      return [loopNoise(ctx, 'white', dest)];
+    }},
+    pink: { level: 0.3, build: function (ctx, dest) {
+      return [loopNoise(ctx, 'pink', dest)];
+    }},
+    brown: { level: 0.7, build: function (ctx, dest) {
+      return [loopNoise(ctx, 'brown', dest)];
+    }},
+    // Steady pink-noise hiss, plus a band of white noise that swells and fades like gusts
+    rain: { level: 0.5, build: function (ctx, dest) {
+      var low = ctx.createBiquadFilter();
+      low.type = 'lowpass';
+      low.frequency.value = 5000;
+      low.connect(dest);
+      var hiss = ctx.createBiquadFilter();
+      hiss.type = 'highpass';
+      hiss.frequency.value = 500;
+      hiss.connect(low);
+
+      var band = ctx.createBiquadFilter();
+      band.type = 'bandpass';
+      band.frequency.value = 2500;
+      band.Q.value = 0.8;
+      var gust = ctx.createGain();
+      gust.gain.value = 0.3;
+      band.connect(gust);
+      gust.connect(dest);
+      var lfo = ctx.createOscillator();
+      lfo.frequency.value = 0.13;
+      var depth = ctx.createGain();
+      depth.gain.value = 0.25;
+      lfo.connect(depth);
+      depth.connect(gust.gain);
+      lfo.start();
+
+      return [loopNoise(ctx, 'pink', hiss), loopNoise(ctx, 'white', band), lfo];
+    }},
+    // Brown noise rising and falling on a slow swell
+    waves: { level: 0.8, build: function (ctx, dest) {
+      var swell = ctx.createGain();
+      swell.gain.value = 0.6;
+      swell.connect(dest);
+      var lfo = ctx.createOscillator();
+      lfo.frequency.value = 0.08;
+      var depth = ctx.createGain();
+      depth.gain.value = 0.4;
+      lfo.connect(depth);
+      depth.connect(swell.gain);
+      lfo.start();
+      return [loopNoise(ctx, 'brown', swell), lfo];
+    }},
+    // Two detuned low saws under a lowpass that slowly opens and closes
+    drone: { level: 0.25, build: function (ctx, dest) {
+      var filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = 300;
+      filter.Q.value = 2;
+      filter.connect(dest);
+      var sources = [];
+      [55, 82.41, 55.3].forEach(function (freq) {
+        var o = ctx.createOscillator();
+        o.type = 'sawtooth';
+        o.frequency.value = freq;
+        o.connect(filter);
+        o.start();
+        sources.push(o);
+      });
+      var lfo = ctx.createOscillator();
+      lfo.frequency.value = 0.05;
+      var depth = ctx.createGain();
+      depth.gain.value = 150;
+      lfo.connect(depth);
+      depth.connect(filter.frequency);
+      lfo.start();
+      sources.push(lfo);
+      return sources;
+    }}
+  };
 
-  /* ================================================================
-     TOAST (skip undo)
-     ================================================================ */
+  /**
+   * A looping noise buffer, generated on first use: white, pink (Paul
+   * Kellet's filter) or brown (integrated white noise).
+   * @param {BaseAudioContext} ctx - Audio context.
+   * @param {string} color - white | pink | brown.
+   * @returns {AudioBuffer} Four seconds of noise.
+   */
+  function noiseBuffer(ctx, color) {
+    if (noiseBuffers[color]) return noiseBuffers[color];
+    var length = ctx.sampleRate * 4;
+    var buf = ctx.createBuffer(1, length, ctx.sampleRate);
+    var data = buf.getChannelData(0);
+    var b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0, last = 0;
+    for (var i = 0; i < length; i++) {
+      var white = Math.random() * 2 - 1;
+      if (color === 'pink') {
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+        b6 = white * 0.115926;
+      } else if (color === 'brown') {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white;
+      }
+    }
+    noiseBuffers[color] = buf;
+    return buf;
+  }
 
   /**
-   * Show a toast notification at the bottom of the screen.
-   * If a skip snapshot exists, includes an undo button.
-   * @param {string} message - Text to display.
+   * Start a looping noise source.
+   * @param {BaseAudioContext} ctx - Audio context.
+   * @param {string} color - white | pink | brown.
+   * @param {AudioNode} dest - Where to connect it.
+   * @returns {AudioBufferSourceNode} The started source.
    */
-  function showToast(message) {
-    clearTimeout(toastTimerId);
-    elToast.innerHTML = '<span>' + message + '</span>' +
-      (skipSnapshot ? '<button class="toast-undo">undo</button>' : '');
-    elToast.classList.add('visible');
+  function loopNoise(ctx, color, dest) {
+    var src = ctx.createBufferSource();
+    src.buffer = noiseBuffer(ctx, color);
+    src.loop = true;
+    src.connect(dest);
+    src.start();
+    return src;
+  }
 
-    // Bind undo
-    var undoBtn = elToast.querySelector('.toast-undo');
-    if (undoBtn) {
-      undoBtn.addEventListener('click', undoSkip);
-    }
+  /**
+   * The ambient sound that should be playing now, if any: only in the
+   * leader tab, with sound on, while a work segment (or, if enabled, any
+   * segment) is running.
+   * @returns {?string} Key of AMBIENT_DEFS, or null.
+   */
+  function wantedAmbient() {
+    var amb = config.ambient;
+    if (!amb.enabled || !config.sound.enabled || !isLeader || engine.state !== 'running') return null;
+    var seg = engine.timeline[engine.currentIndex];
+    if (!seg || (!amb.breaks && !isFocusType(seg.type))) return null;
+    return amb.sound;
+  }
 
-    toastTimerId = setTimeout(hideToast, 4000);
+  /** Start, stop or switch the ambient sound to match the timer and settings. */
+  function updateAmbient() {
+    if (!liveCtx) return;
+    var wanted = wantedAmbient();
+    if (ambient && ambient.name !== wanted) stopAmbient();
+    if (wanted && !ambient) startAmbient(wanted);
   }
 
-  /** Hide the toast notification, clear its auto-dismiss timer, and discard any stale skip snapshot. */
-  function hideToast() {
-    elToast.classList.remove('visible');
-    clearTimeout(toastTimerId);
-    toastTimerId = null;
-    skipSnapshot = null;
+  /**
+   * Fade an ambient sound in.
+   * @param {string} name - Key of AMBIENT_DEFS.
+   */
+  function startAmbient(name) {
+    clearTimeout(audioIdleTimerId);
+    if (liveCtx.state === 'suspended') liveCtx.resume().catch(function () {});
+    try {
+      var now = liveCtx.currentTime;
+      var duck = liveCtx.createGain();
+      duck.connect(liveCtx.destination);
+      var gain = liveCtx.createGain();
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(ambientLevel(name), now + AMBIENT_FADE);
+      gain.connect(duck);
+      ambient = { name: name, sources: AMBIENT_DEFS[name].build(liveCtx, gain), gain: gain, duck: duck };
+    } catch (e) {
+      ambient = null;
+    }
   }
 
-  /** Undo the last skip, restoring the previous segment and timer state. */
-  function undoSkip() {
-    if (!skipSnapshot) return;
-    currentIndex = skipSnapshot.currentIndex;
-    remainingSeconds = skipSnapshot.remainingSeconds;
-    if (skipSnapshot.loopCycleCount !== undefined) {
-      loopCycleCount = skipSnapshot.loopCycleCount;
+  /** Fade the ambient sound out and stop it. */
+  function stopAmbient() {
+    var amb = ambient;
+    ambient = null;
+    try {
+      var now = liveCtx.currentTime;
+      amb.gain.gain.cancelScheduledValues(now);
+      amb.gain.gain.setValueAtTime(amb.gain.gain.value, now);
+      amb.gain.gain.linearRampToValueAtTime(0, now + AMBIENT_FADE);
+      amb.sources.forEach(function (src) {
+        src.stop(now + AMBIENT_FADE);
+      });
+    } catch (e) {
+      // Context closed — the sources are gone anyway
     }
+    if (!keepAliveNode) scheduleAudioIdle();
+  }
 
-    var prevState = skipSnapshot.state;
-    skipSnapshot = null;
-    hideToast();
+  /**
+   * Output gain for an ambient sound at the configured volume.
+   * @param {string} name - Key of AMBIENT_DEFS.
+   * @returns {number} Gain.
+   */
+  function ambientLevel(name) {
+    return config.ambient.volume * config.ambient.volume * AMBIENT_DEFS[name].level;
+  }
 
-    // Restore timer state
-    stopTicking();
-    state = prevState;
-    if (prevState === 'running') {
-      targetTime = Date.now() + remainingSeconds * 1000;
-      startTicking();
-    }
+  /** Apply a volume change to the playing ambient sound. */
+  function setAmbientVolume() {
+    if (!ambient) return;
+    var now = liveCtx.currentTime;
+    ambient.gain.gain.cancelScheduledValues(now);
+    ambient.gain.gain.setTargetAtTime(ambientLevel(ambient.name), now, 0.1);
+  }
 
-    updateDisplay();
+  /**
+   * Dip the ambient sound while a tone plays over it.
+   * @param {number} seconds - How long the tone lasts.
+   */
+  function duckAmbient(seconds) {
+    if (!ambient) return;
+    var now = liveCtx.currentTime;
+    var duck = ambient.duck.gain;
+    duck.cancelScheduledValues(now);
+    duck.setTargetAtTime(AMBIENT_DUCK, now, 0.03);
+    duck.setTargetAtTime(1, now + seconds, 0.4);
+  }
+
+  /** Fade the ambient sound down and back up, marking a segment change it carries across. */
+  function dipAmbient() {
+    var now = liveCtx.currentTime;
+    var level = ambientLevel(ambient.name);
+    var gain = ambient.gain.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(level * AMBIENT_DIP, now + AMBIENT_FADE / 2);
+    gain.linearRampToValueAtTime(level, now + AMBIENT_FADE * 1.5);
   }
 
+  engine.on('stateChange', updateAmbient);
+  engine.on('segmentStart', updateAmbient);
+  // With breaks on, work and break share the sound: dip it so the change is still heard
+  engine.on('advance', function () {
+    if (ambient && wantedAmbient() === ambient.name) dipAmbient();
+  });
+  // A load can change the segment, or follow a change of leader, with the state unchanged
+  engine.on('load', updateAmbient);
+
 
   /* ================================================================
-     DESKTOP NOTIFICATIONS
+     SPOKEN ANNOUNCEMENTS
+     Optional speechSynthesis announcements at transitions, filled in from
+     a template per event. Placeholders: {phase}, {duration}, {cycle},
+     {next}, {nextAt} (when the next segment starts) and {sessionEnd}. An
+     announcement waits for the transition tone to finish, timed on
+     timerClock so hidden tabs keep time, and only plays while sound is on
+     — which is also when the keep-alive stops a hidden leader tab from
+     being suspended.
      ================================================================ */
 
+  /** @type {boolean} Whether speech has been unlocked; browsers block speak() until a user gesture. */
+  var speechPrimed = false;
+  /** @type {?number} timerClock timeout for an announcement waiting on its tone, or null. */
+  var speechTimerId = null;
+
   /**
-   * Fire a desktop notification if enabled and permitted.
-   * @param {string} title - Notification title.
-   * @param {string} body - Notification body text.
+   * Whether this browser can speak.
+   * @returns {boolean}
    */
-  function fireNotification(title, body) {
-    if (!config.notifications) return;
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'granted') return;
-    try {
-      new Notification(title, { body: body, icon: '', silent: true });
-    } catch (e) {
-      // Silently fail
+  function speechSupported() {
+    return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /** Unlock speech for later announcements by speaking nothing (call from a user gesture). */
+  function primeSpeech() {
+    if (speechPrimed || !config.speech.enabled || !speechSupported()) return;
+    speechPrimed = true;
+    var utterance = new SpeechSynthesisUtterance('');
+    utterance.volume = 0;
+    speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Look up an installed voice.
+   * @param {string} uri - voiceURI.
+   * @returns {?SpeechSynthesisVoice} The voice, or null if it isn't on this device.
+   */
+  function findVoice(uri) {
+    if (!uri || !speechSupported()) return null;
+    var voices = speechSynthesis.getVoices();
+    for (var i = 0; i < voices.length; i++) {
+      if (voices[i].voiceURI === uri) return voices[i];
     }
+    return null;
   }
 
+  /**
+   * Speak text with the configured voice, rate and volume, replacing
+   * anything still being said.
+   * @param {string} text - What to say.
+   * @param {boolean} [preview=false] - If true, bypass the enabled checks (for the test button).
+   */
+  function speak(text, preview) {
+    if (!text || !speechSupported()) return;
+    if (!preview && (!config.sound.enabled || !config.speech.enabled)) return;
+    var utterance = new SpeechSynthesisUtterance(text);
+    var voice = findVoice(config.speech.voice);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    utterance.rate = config.speech.rate;
+    utterance.volume = config.speech.volume * config.sound.volume;
+    speechSynthesis.cancel();
+    // Chrome can leave the queue paused after the tab was in the background
+    speechSynthesis.resume();
+    speechSynthesis.speak(utterance);
+    duckAmbient(text.split(/\s+/).length / (SPEECH_WORDS_PER_SEC * utterance.rate) + 0.5);
+  }
 
-  /* ================================================================
-     CONFIG & PERSISTENCE
-     ================================================================ */
+  /**
+   * Speak once the tone playing now has finished. A newer announcement
+   * replaces one still waiting.
+   * @param {string} text - What to say ('' says nothing).
+   * @param {number} toneSeconds - How long the tone plays for.
+   */
+  function speakAfterTone(text, toneSeconds) {
+    cancelSpeech();
+    if (!text || !config.speech.enabled || !config.sound.enabled) return;
+    if (!toneSeconds) {
+      speak(text);
+      return;
+    }
+    speechTimerId = timerClock.setTimeout(function () {
+      speechTimerId = null;
+      speak(text);
+    }, toneSeconds * 1000 + SPEECH_TONE_GAP);
+  }
 
-  /** Load configuration from localStorage, falling back to Pomodoro defaults. */
-  function loadConfig() {
-    var raw = localStorage.getItem(LS_CONFIG);
-    if (raw) {
+  /** Drop an announcement still waiting for its tone. */
+  function cancelSpeech() {
+    if (speechTimerId === null) return;
+    timerClock.clearTimeout(speechTimerId);
+    speechTimerId = null;
+  }
+
+  /**
+   * Fill in an announcement template. Sentences with a placeholder that
+   * has no value at the moment (e.g. {next} on the last segment) are left
+   * out; unknown placeholders are read as written.
+   * @param {string} template - Template text.
+   * @param {Object<string, string>} values - Placeholder values.
+   * @returns {string} Text to speak.
+   */
+  function fillTemplate(template, values) {
+    var sentences = String(template || '').match(/[^.!?]+[.!?]*/g) || [];
+    return sentences.map(function (sentence) {
+      var missing = false;
+      var text = sentence.replace(/\{(\w+)\}/g, function (match, key) {
+        if (!values.hasOwnProperty(key)) return match;
+        if (!values[key]) missing = true;
+        return values[key];
+      });
+      return missing ? '' : text;
+    }).join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Placeholder values for the current segment.
+   * @returns {Object<string, string>} Values ('' where there is none).
+   */
+  function announcementValues() {
+    var seg = engine.timeline[engine.currentIndex];
+    var next = engine.timeline[engine.currentIndex + 1];
+    var end = projectedEnd();
+    return {
+      phase: seg ? spokenLabel(seg) : '',
+      duration: seg && !seg.open ? spokenDuration(seg.duration) : '',
+      cycle: String(seg && seg.type === 'work' ? engine.cycleCount + 1 : engine.cycleCount),
+      next: next ? spokenLabel(next) : '',
+      nextAt: next && seg && !seg.open ? clockTime(projectedStart(engine.currentIndex + 1)) : '',
+      sessionEnd: end ? clockTime(end) : ''
+    };
+  }
+
+  /**
+   * Announce the segment just started.
+   * @param {{type: string}} seg - The segment.
+   * @param {number} toneSeconds - How long its transition tone plays for.
+   */
+  function announceSegment(seg, toneSeconds) {
+    var template = config.speech.templates[isFocusType(seg.type) ? 'work' : 'break'];
+    speakAfterTone(fillTemplate(template, announcementValues()), toneSeconds);
+  }
+
+  /**
+   * Announce the end of the session.
+   * @param {number} toneSeconds - How long the completion tone plays for.
+   */
+  function announceComplete(toneSeconds) {
+    speakAfterTone(fillTemplate(config.speech.templates.complete, announcementValues()), toneSeconds);
+  }
+
+  /**
+   * A segment's label as spoken: "Work, Morning" rather than "Work · Morning".
+   * @param {{type: string}} seg - Segment.
+   * @returns {string} Label.
+   */
+  function spokenLabel(seg) {
+    return segmentLabel(seg).replace(/ \u00b7 /g, ', ');
+  }
+
+  /**
+   * A duration in words, e.g. "1 hour 30 minutes".
+   * @param {number} sec - Seconds.
+   * @returns {string} Spoken duration.
+   */
+  function spokenDuration(sec) {
+    sec = Math.round(sec);
+    var h = Math.floor(sec / 3600);
+    var m = Math.floor((sec % 3600) / 60);
+    var s = sec % 60;
+    var parts = [];
+    if (h) parts.push(h + (h === 1 ? ' hour' : ' hours'));
+    if (m) parts.push(m + (m === 1 ? ' minute' : ' minutes'));
+    if (s && !h) parts.push(s + (s === 1 ? ' second' : ' seconds'));
+    return parts.join(' ') || '0 seconds';
+  }
+
+  /**
+   * Time of day as HH:MM.
+   * @param {number} ts - Timestamp (ms).
+   * @returns {string} Clock time.
+   */
+  function clockTime(ts) {
+    var d = new Date(ts);
+    return pad(d.getHours()) + ':' + pad(d.getMinutes());
+  }
+
+  // A reset drops an announcement still waiting for its tone
+  engine.on('stateChange', function () {
+    if (engine.state === 'idle') cancelSpeech();
+  });
+
+
+  /* ================================================================
+     VISUAL FLASH
+     ================================================================ */
+
+  /**
+   * Trigger the full-screen flash overlay animation on phase transitions.
+   * @param {boolean} [goal=false] - Use the longer, green daily-goal flash instead.
+   */
+  function flash(goal) {
+    elFlashOverlay.classList.remove('flash', 'goal');
+    void elFlashOverlay.offsetWidth; // force reflow
+    elFlashOverlay.classList.add('flash');
+    if (goal) elFlashOverlay.classList.add('goal');
+  }
+
+
+  /* ================================================================
+     TOAST & UNDO HISTORY
+     Skip, reset, extend/shorten and preset changes during a session push
+     a full engine snapshot onto a bounded undo stack. Undo and redo swap
+     snapshots between the two stacks, so any number of steps can be
+     walked back and forth until a new session starts.
+     ================================================================ */
+
+  /**
+   * Show a toast notification at the bottom of the screen, with undo and
+   * redo buttons when those are available.
+   * @param {string} message - Text to display.
+   * @param {boolean} [canUndo] - Force the undo button on/off (follower tabs
+   *   have no local history). Defaults to whether there is anything to undo.
+   * @param {boolean} [canRedo] - Force the redo button on/off. Defaults to
+   *   whether there is anything to redo.
+   */
+  function showToast(message, canUndo, canRedo) {
+    if (canUndo === undefined) canUndo = undoStack.length > 0;
+    if (canRedo === undefined) canRedo = redoStack.length > 0;
+    clearTimeout(toastTimerId);
+    elToast.innerHTML = '<span>' + escapeHtml(message) + '</span>' +
+      (canUndo ? '<button class="toast-undo" data-action="undo">undo</button>' : '') +
+      (canRedo ? '<button class="toast-undo" data-action="redo">redo</button>' : '');
+    elToast.classList.add('visible');
+
+    // Bind undo/redo
+    var btns = elToast.querySelectorAll('.toast-undo');
+    for (var i = 0; i < btns.length; i++) {
+      btns[i].addEventListener('click', function () {
+        dispatch(this.getAttribute('data-action'));
+      });
+    }
+
+    toastTimerId = setTimeout(function () {
+      hideToast();
+      // A toast shown over the update prompt hands back to it
+      if (updatePromptOpen) offerUpdate();
+    }, 4000);
+  }
+
+  /**
+   * Show a toast with action buttons that stays until one is chosen.
+   * @param {string} message - Text to display.
+   * @param {Array<{label: string, onClick: function(): void}>} actions - Buttons, in order.
+   */
+  function showPrompt(message, actions) {
+    clearTimeout(toastTimerId);
+    toastTimerId = null;
+    elToast.innerHTML = '<span>' + escapeHtml(message) + '</span>';
+    actions.forEach(function (action) {
+      var btn = document.createElement('button');
+      btn.className = 'toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', function () {
+        hideToast();
+        action.onClick();
+      });
+      elToast.appendChild(btn);
+    });
+    elToast.classList.add('visible');
+  }
+
+  /** Hide the toast notification and clear its auto-dismiss timer. */
+  function hideToast() {
+    elToast.classList.remove('visible');
+    clearTimeout(toastTimerId);
+    toastTimerId = null;
+  }
+
+  /**
+   * Capture everything undo needs to put the session back: the engine
+   * state and the schedule settings a preset change would replace.
+   * @returns {Object} Deep-copied snapshot.
+   */
+  function undoSnapshot() {
+    return deepClone({
+      engine: engine.snapshot(),
+      loopStopAt: loopStopAt,
+      sessionId: sessionId,
+      idleAway: idleAway,
+      schedule: {
+        workMin: config.workMin,
+        breakMin: config.breakMin,
+        blocks: config.blocks,
+        flowtime: config.flowtime
+      },
+      activePreset: activePreset
+    });
+  }
+
+  /**
+   * Record the state before an undoable action. Any redo history is
+   * dropped, since it no longer follows from the new state.
+   * @param {string} kind - Action kind, a key of UNDO_LABELS.
+   * @param {Object} [snap] - Snapshot taken earlier; defaults to the current state.
+   */
+  function pushUndo(kind, snap) {
+    pushHistory({ kind: kind, snap: snap || undoSnapshot() });
+  }
+
+  /**
+   * Record an extension or shortening of the current segment. It is
+   * undone by reversing the delta rather than restoring a snapshot, so
+   * time that ran after the adjustment still counts.
+   * @param {number} delta - Seconds applied.
+   */
+  function pushAdjustUndo(delta) {
+    pushHistory({ kind: 'adjust', delta: delta, index: engine.currentIndex });
+  }
+
+  /**
+   * Add an entry to the undo history, dropping redo history.
+   * @param {Object} entry - History entry.
+   */
+  function pushHistory(entry) {
+    undoStack.push(entry);
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+  }
+
+  /** Forget all undo and redo history (a new session has begun). */
+  function clearUndo() {
+    undoStack = [];
+    redoStack = [];
+  }
+
+  /**
+   * Put the engine back into a snapshotted state. A running segment picks
+   * up with the remaining time it had, and every render guard is cleared
+   * so the display is rebuilt from scratch.
+   * @param {Object} snap - Snapshot from undoSnapshot().
+   * @param {boolean} withSchedule - Also restore the schedule settings
+   *   and active preset (for preset changes).
+   */
+  function restoreSnapshot(snap, withSchedule) {
+    engine.load(snap.engine);
+    loopStopAt = snap.loopStopAt;
+    sessionId = snap.sessionId;
+    idleAway = snap.idleAway;
+
+    if (withSchedule) {
+      config.workMin = snap.schedule.workMin;
+      config.breakMin = snap.schedule.breakMin;
+      config.blocks = snap.schedule.blocks;
+      config.flowtime = snap.schedule.flowtime;
+      activePreset = snap.activePreset;
+      saveConfig();
+      formFromConfig();
+      renderBlocks();
+      updateBlocksVisibility();
+      updatePresetButtons();
+    }
+
+    engine.run(true);
+
+    lastDisplayedSeconds = -1;
+    lastRenderedControlState = '';
+    lastRenderedProgressIndex = -1;
+    lastRenderedProgressState = '';
+    prevPhaseText = '';
+    saveSession();
+    updateDisplay();
+  }
+
+  /**
+   * Step one action back (undo) or forward (redo) through the history.
+   * @param {boolean} forward - True to redo, false to undo.
+   */
+  function stepHistory(forward) {
+    var from = forward ? redoStack : undoStack;
+    var to = forward ? undoStack : redoStack;
+    var entry = from.pop();
+    if (!entry) return;
+
+    hideToast();
+    if (entry.kind === 'adjust') {
+      // The segment it adjusted has ended; there is nothing left to revert
+      if (entry.index !== engine.currentIndex) return;
+      engine.adjust(forward ? entry.delta : -entry.delta, true);
+      to.push(entry);
+      lastDisplayedSeconds = -1;
+      saveSession();
+      updateDisplay();
+    } else {
+      to.push({ kind: entry.kind, snap: undoSnapshot() });
+      restoreSnapshot(entry.snap, entry.kind === 'preset');
+    }
+    logEvent(forward ? 'redo' : 'undo', null, { action: entry.kind });
+    announce((forward ? 'Redid ' : 'Undid ') + UNDO_LABELS[entry.kind]);
+  }
+
+  /** Undo the most recent undoable action. */
+  function undo() {
+    stepHistory(false);
+  }
+
+  /** Redo the most recently undone action. */
+  function redo() {
+    stepHistory(true);
+  }
+
+
+  /* ================================================================
+     DESKTOP NOTIFICATIONS
+     ================================================================ */
+
+  /**
+   * Fire a desktop notification if enabled and permitted. Shown through
+   * the service worker when there is one, so it can carry action buttons
+   * that come back as timer actions (see APP UPDATES); otherwise a plain
+   * notification. Clicking it focuses the tab.
+   * @param {string} title - Notification title.
+   * @param {string} body - Notification body text.
+   * @param {Array<string>} [actions] - Timer actions to offer as buttons,
+   *   most important first (browsers show only the first few).
+   */
+  function fireNotification(title, body, actions) {
+    if (!config.notifications) return;
+    if (!('Notification' in window)) return;
+    if (Notification.permission !== 'granted') return;
+    var options = { body: body, icon: APP_ICON, badge: APP_ICON, silent: true };
+    if (actions) {
+      options.tag = TIMER_NOTIFICATION_TAG;
+      options.renotify = true;
+    }
+    if (swRegistration) {
+      if (actions) options.actions = actions.slice(0, Notification.maxActions || actions.length).map(notificationButton);
+      swRegistration.showNotification(title, options).catch(function () {});
+      return;
+    }
+    try {
+      var n = new Notification(title, options);
+      n.onclick = function () {
+        window.focus();
+        n.close();
+      };
+    } catch (e) {
+      // Silently fail
+    }
+  }
+
+  /**
+   * Notification button for a timer action.
+   * @param {string} action - One of NOTIFICATION_ACTIONS.
+   * @returns {{action: string, title: string}} Button.
+   */
+  function notificationButton(action) {
+    var titles = {
+      'continue': 'Continue',
+      skip: 'Skip',
+      extend: '+' + (config.adjustMin || DEFAULT_ADJUST_MIN) + ' min',
+      pause: 'Pause'
+    };
+    return { action: action, title: titles[action] };
+  }
+
+  /**
+   * Buttons for a notification about the current segment.
+   * @param {boolean} waiting - Whether it waits to be continued (auto-continue off).
+   * @returns {Array<string>} Timer actions, most important first.
+   */
+  function timerNotificationActions(waiting) {
+    if (waiting) return ['continue', 'skip'];
+    if (isOvertime()) return ['skip', 'pause'];
+    if (engine.timeline[engine.currentIndex].open) return ['skip', 'pause'];
+    return ['skip', 'extend', 'pause'];
+  }
+
+  /**
+   * Second line of a transition notification: the segment after the
+   * current one and when the session ends, e.g. "Then Work · session ends 17:30".
+   * @returns {string} Text, or empty when there is neither.
+   */
+  function notificationOutlook() {
+    var parts = [];
+    var next = engine.timeline[engine.currentIndex + 1];
+    if (next) parts.push('Then ' + segmentLabel(next));
+    var end = projectedEnd();
+    if (end) {
+      var d = new Date(end);
+      parts.push('session ends ' + pad(d.getHours()) + ':' + pad(d.getMinutes()));
+    }
+    return parts.join(' \u00b7 ');
+  }
+
+
+  /* ================================================================
+     CONFIG & PERSISTENCE
+     ================================================================ */
+
+  /** Load configuration from localStorage, falling back to Pomodoro defaults. */
+  function loadConfig() {
+    var raw = localStorage.getItem(LS_CONFIG);
+    if (raw) {
       try {
         config = JSON.parse(raw);
         // Validate structure
         if (!config.workMin || !config.breakMin || !Array.isArray(config.blocks) || config.blocks.length === 0) {
           throw new Error('invalid');
         }
+        config.blocks = sanitizeBlocks(config.blocks);
       } catch (e) {
         config = null;
       }
@@ -644,10 +1960,8 @@
     if (!config) {
       config = deepClone(PRESETS.pomodoro);
     }
-    // Ensure sound config exists
-    if (!config.sound) {
-      config.sound = deepClone(DEFAULT_SOUND);
-    }
+    // Ensure sound config exists (and move single tones to per-event sounds)
+    config.sound = sanitizeSound(config.sound);
     // Ensure notifications config exists
     if (config.notifications === undefined) {
       config.notifications = false;
@@ -660,6 +1974,39 @@
     if (config.loop === undefined) {
       config.loop = true;
     }
+    // Ensure adjust step exists
+    if (!config.adjustMin) {
+      config.adjustMin = DEFAULT_ADJUST_MIN;
+    }
+    // Ensure flowtime config exists
+    config.flowtime = sanitizeFlowtime(config.flowtime);
+    // Ensure idle detection config exists
+    config.idle = sanitizeIdle(config.idle);
+    // Ensure loop options exist
+    config.loopOptions = sanitizeLoopOptions(config.loopOptions);
+    // Ensure overtime config exists
+    if (config.overtime === undefined) {
+      config.overtime = false;
+    }
+    if (config.overtimeGrowBreak === undefined) {
+      config.overtimeGrowBreak = false;
+    }
+    // Ensure custom tones and sound files exist (before anything that refers to them)
+    config.customTones = sanitizeCustomTones(config.customTones);
+    config.customSounds = sanitizeCustomSounds(config.customSounds);
+    // Ensure custom segment types exist
+    config.segmentTypes = sanitizeSegmentTypes(config.segmentTypes);
+    fixToneRefs();
+    // Ensure scheduled starts exist
+    config.schedules = sanitizeSchedules(config.schedules);
+    // Ensure daily goal config exists
+    config.goal = sanitizeGoal(config.goal);
+    // Ensure heads-up config exists
+    config.warning = sanitizeWarning(config.warning);
+    // Ensure ambient sound config exists
+    config.ambient = sanitizeAmbient(config.ambient);
+    // Ensure spoken announcement config exists
+    config.speech = sanitizeSpeech(config.speech);
 
     // Load custom presets
     loadCustomPresets();
@@ -667,108 +2014,504 @@
     activePreset = detectPreset();
   }
 
-  /** Persist the current configuration to localStorage. */
-  function saveConfig() {
-    localStorage.setItem(LS_CONFIG, JSON.stringify(config));
+  /**
+   * Normalize loop-mode options, filling in defaults.
+   * @param {?Object} opts - Raw loop options from storage or an import.
+   * @returns {{majorEvery: number, majorMin: number, stopAfter: number, stopAt: string}} Clean options.
+   */
+  function sanitizeLoopOptions(opts) {
+    opts = opts || {};
+    return {
+      majorEvery: Math.max(0, parseInt(opts.majorEvery, 10) || 0),
+      majorMin: Math.max(1, parseInt(opts.majorMin, 10) || DEFAULT_LOOP_OPTIONS.majorMin),
+      stopAfter: Math.max(0, parseInt(opts.stopAfter, 10) || 0),
+      stopAt: /^([01]\d|2[0-3]):[0-5]\d$/.test(opts.stopAt) ? opts.stopAt : ''
+    };
   }
 
   /**
-   * Apply a preset by name, preserving non-schedule settings (sound, behavior).
-   * @param {string} name - Preset key: 'pomodoro', 'deepwork', or 'custom:<name>'.
+   * Normalize daily goal settings, filling in defaults. Hour targets are
+   * kept to quarter hours.
+   * @param {?Object} goal - Raw goal settings from storage or an import.
+   * @returns {{enabled: boolean, unit: string, target: number, dayStartHour: number}} Clean settings.
    */
-  function applyPreset(name) {
-    var presetData = null;
-    if (PRESETS[name]) {
-      presetData = PRESETS[name];
-    } else if (name.indexOf('custom:') === 0) {
-      var customName = name.slice(7);
-      if (customPresets[customName]) {
-        presetData = customPresets[customName];
-      }
-    }
-    if (!presetData) return;
+  function sanitizeGoal(goal) {
+    goal = goal || {};
+    var unit = goal.unit === 'hours' ? 'hours' : 'cycles';
+    var target = parseFloat(goal.target) || DEFAULT_GOAL.target;
+    return {
+      enabled: !!goal.enabled,
+      unit: unit,
+      target: unit === 'hours' ? clamp(Math.round(target * 4) / 4, 0.25, 24) : clamp(Math.round(target), 1, 50),
+      dayStartHour: clamp(parseInt(goal.dayStartHour, 10) || 0, 0, 23)
+    };
+  }
 
-    // Preserve non-schedule config
-    var savedSound = config.sound ? deepClone(config.sound) : deepClone(DEFAULT_SOUND);
-    var savedNotifications = config.notifications;
-    var savedAutoContinue = config.autoContinue;
-    var savedLoop = config.loop;
-    config = deepClone(presetData);
-    config.sound = savedSound;
-    config.notifications = savedNotifications;
-    config.autoContinue = savedAutoContinue;
-    config.loop = savedLoop;
-    activePreset = name;
-    saveConfig();
-    formFromConfig();
-    renderBlocks();
-    updatePresetButtons();
+  /**
+   * Normalize heads-up settings, filling in defaults.
+   * @param {?Object} warning - Raw heads-up settings from storage or an import.
+   * @returns {Object<string, {enabled: boolean, seconds: number, notify: boolean}>} Clean settings.
+   */
+  function sanitizeWarning(warning) {
+    warning = warning || {};
+    var clean = {};
+    ['work', 'break'].forEach(function (kind) {
+      var w = warning[kind] || {};
+      clean[kind] = {
+        enabled: !!w.enabled,
+        seconds: clamp(parseInt(w.seconds, 10) || DEFAULT_WARNING[kind].seconds, 1, MAX_WARNING_SECONDS),
+        notify: !!w.notify
+      };
+    });
+    return clean;
   }
 
   /**
-   * Detect which preset (if any) matches the current config.
-   * @returns {?string} Matching preset key, or null if custom.
+   * Normalize custom tones. Layers without a playable note are dropped,
+   * and so are tones left without layers.
+   * @param {?Array} tones - Raw custom tones from storage or an import.
+   * @returns {Array<{id: string, name: string, layers: Array<Object>}>} Clean list.
    */
-  function detectPreset() {
-    // Check built-in presets
-    for (var name in PRESETS) {
-      if (matchesPreset(PRESETS[name])) return name;
-    }
-    // Check custom presets
-    for (var cname in customPresets) {
-      if (matchesPreset(customPresets[cname])) return 'custom:' + cname;
+  function sanitizeCustomTones(tones) {
+    var out = [];
+    if (!Array.isArray(tones)) return out;
+    for (var i = 0; i < tones.length && out.length < CUSTOM_TONE_LIMIT; i++) {
+      var t = tones[i];
+      if (!t || typeof t.id !== 'string' || t.id.indexOf('tone-') !== 0) continue;
+      var layers = sanitizeToneLayers(t.layers);
+      if (!layers.length) continue;
+      out.push({
+        id: t.id,
+        name: typeof t.name === 'string' && t.name.trim() ? t.name.trim().slice(0, 20) : 'Tone',
+        layers: layers
+      });
     }
-    return null;
+    return out;
   }
 
   /**
-   * Check if a preset's schedule matches the current config.
-   * Ignores majorBreak on the last block (always normalized to 0 at runtime).
-   * @param {Object} p - Preset schedule data.
-   * @returns {boolean} True if the preset matches.
+   * Normalize imported sound file entries (their audio lives in IndexedDB),
+   * keeping each trim inside the file and no longer than SOUND_MAX_SECONDS.
+   * @param {?Array} sounds - Raw entries from storage or an import.
+   * @returns {Array<{id: string, name: string, duration: number, trimStart: number, trimEnd: number}>} Clean list.
    */
-  function matchesPreset(p) {
-    if (p.workMin !== config.workMin) return false;
-    if (p.breakMin !== config.breakMin) return false;
-    if (p.blocks.length !== config.blocks.length) return false;
-    for (var i = 0; i < p.blocks.length; i++) {
-      if (p.blocks[i].cycles !== config.blocks[i].cycles) return false;
-      // Last block's majorBreak is always 0 at runtime, so ignore it for matching
-      var isLast = i === p.blocks.length - 1;
-      if (!isLast && p.blocks[i].majorBreak !== config.blocks[i].majorBreak) return false;
+  function sanitizeCustomSounds(sounds) {
+    var out = [];
+    if (!Array.isArray(sounds)) return out;
+    for (var i = 0; i < sounds.length && out.length < SOUND_FILE_LIMIT; i++) {
+      var s = sounds[i];
+      if (!s || typeof s.id !== 'string' || s.id.indexOf('sound-') !== 0) continue;
+      var duration = Math.max(0, parseFloat(s.duration) || 0);
+      var trim = clampTrim(duration, parseFloat(s.trimStart) || 0, parseFloat(s.trimEnd) || duration);
+      out.push({
+        id: s.id,
+        name: typeof s.name === 'string' && s.name.trim() ? s.name.trim().slice(0, 20) : 'Sound',
+        duration: duration,
+        trimStart: trim.start,
+        trimEnd: trim.end
+      });
     }
-    return true;
+    return out;
   }
 
-  /** Read form inputs into config, detect preset, and save. */
-  function configFromForm() {
-    config.workMin = Math.max(1, parseInt(elCfgWork.value, 10) || 25);
-    config.breakMin = Math.max(1, parseInt(elCfgBreak.value, 10) || 5);
-
-    var rows = elBlocksList.querySelectorAll('.block-row');
-    config.blocks = [];
-    for (var i = 0; i < rows.length; i++) {
-      var cyclesInput = rows[i].querySelector('.block-cycles');
-      var majorInput = rows[i].querySelector('.block-major');
-      var cycles = Math.max(1, parseInt(cyclesInput.value, 10) || 1);
-      var isLast = i === rows.length - 1;
-      var major = isLast ? 0 : Math.max(0, parseInt(majorInput.value, 10) || 0);
-      config.blocks.push({ cycles: cycles, majorBreak: major });
-    }
+  /**
+   * Keep a trim range inside a sound and within the length cap, moving
+   * the end rather than the start. Rounded to tenths of a second.
+   * @param {number} duration - Length of the whole sound (seconds).
+   * @param {number} start - Requested start (seconds).
+   * @param {number} end - Requested end (seconds).
+   * @returns {{start: number, end: number}} Trim range.
+   */
+  function clampTrim(duration, start, end) {
+    start = clamp(Math.round(start * 10) / 10, 0, Math.max(0, duration - 0.1));
+    end = clamp(Math.round(end * 10) / 10, start + 0.1, Math.min(duration, start + SOUND_MAX_SECONDS));
+    return { start: start, end: Math.max(start, end) };
+  }
 
-    if (config.blocks.length === 0) {
-      config.blocks.push({ cycles: 1, majorBreak: 0 });
+  /**
+   * Normalize a custom tone's oscillator layers.
+   * @param {?Array} layers - Raw layers.
+   * @returns {Array<{wave: string, notes: string, duration: number, attack: number, gain: number}>} Clean layers.
+   */
+  function sanitizeToneLayers(layers) {
+    var out = [];
+    if (!Array.isArray(layers)) return out;
+    for (var i = 0; i < layers.length && out.length < TONE_LAYER_LIMIT; i++) {
+      var l = layers[i] || {};
+      var notes = String(l.notes || '').trim().slice(0, 120);
+      if (!parseNotes(notes).length) continue;
+      var gain = parseFloat(l.gain);
+      out.push({
+        wave: TONE_WAVES.indexOf(l.wave) !== -1 ? l.wave : 'sine',
+        notes: notes,
+        duration: clamp(parseInt(l.duration, 10) || 500, 50, TONE_MAX_MS),
+        attack: clamp(parseInt(l.attack, 10) || 0, 0, 1000),
+        gain: isNaN(gain) ? 0.4 : clamp(gain, 0, 1)
+      });
     }
+    return out;
+  }
 
-    activePreset = detectPreset();
-    updatePresetButtons();
-    saveConfig();
+  /**
+   * Normalize the sound config. Configs from before per-event sounds had
+   * workTone, breakTone, majorBreakTone and completeTone; those become the
+   * events' tones, with major breaks following the break tone where they
+   * had none of their own.
+   * @param {?Object} sound - Raw sound config.
+   * @returns {{enabled: boolean, volume: number, embedFiles: boolean, events: Object}} Clean config.
+   */
+  function sanitizeSound(sound) {
+    sound = sound || {};
+    var legacy = {
+      work: sound.workTone,
+      break: sound.breakTone,
+      majorBreak: sound.majorBreakTone || sound.breakTone,
+      complete: sound.completeTone
+    };
+    var events = sound.events || {};
+    var volume = parseFloat(sound.volume);
+    var out = {
+      enabled: sound.enabled !== false,
+      volume: isNaN(volume) ? DEFAULT_SOUND.volume : clamp(volume, 0, 1),
+      embedFiles: !!sound.embedFiles,
+      events: {}
+    };
+    SOUND_EVENTS.forEach(function (kind) {
+      var ev = events[kind] || {};
+      var def = DEFAULT_SOUND.events[kind];
+      var level = parseFloat(ev.volume);
+      var clean = {
+        tone: typeof ev.tone === 'string' ? ev.tone : typeof legacy[kind] === 'string' ? legacy[kind] : def.tone,
+        volume: isNaN(level) ? def.volume : clamp(level, 0, 1),
+        repeat: clamp(parseInt(ev.repeat, 10) || def.repeat, 1, MAX_SOUND_REPEAT)
+      };
+      if (kind === 'milestone') clean.every = clamp(parseInt(ev.every, 10) || 0, 0, MAX_MILESTONE_CYCLES);
+      if (kind === 'reminder') clean.every = clamp(parseInt(ev.every, 10) || 0, 0, MAX_REMINDER_MIN);
+      out.events[kind] = clean;
+    });
+    return out;
   }
 
-  /** Populate cycle form inputs from current config values. */
-  function formFromConfig() {
-    elCfgWork.value = config.workMin;
-    elCfgBreak.value = config.breakMin;
+  /**
+   * Point any tone setting whose custom tone or sound file no longer
+   * exists back at a built-in: sound events at their defaults (major
+   * breaks at the break tone), segment types at ping.
+   */
+  function fixToneRefs() {
+    SOUND_EVENTS.forEach(function (kind) {
+      var ev = config.sound.events[kind];
+      if (isToneName(ev.tone)) return;
+      ev.tone = kind === 'majorBreak' ? config.sound.events.break.tone : DEFAULT_SOUND.events[kind].tone;
+    });
+    config.segmentTypes.forEach(function (t) {
+      if (!isToneName(t.tone)) t.tone = 'ping';
+    });
+  }
+
+  /**
+   * Normalize ambient sound settings, filling in defaults.
+   * @param {?Object} amb - Raw ambient settings from storage or an import.
+   * @returns {{enabled: boolean, sound: string, volume: number, breaks: boolean}} Clean settings.
+   */
+  function sanitizeAmbient(amb) {
+    amb = amb || {};
+    var volume = parseFloat(amb.volume);
+    return {
+      enabled: !!amb.enabled,
+      sound: AMBIENT_DEFS[amb.sound] ? amb.sound : DEFAULT_AMBIENT.sound,
+      volume: isNaN(volume) ? DEFAULT_AMBIENT.volume : clamp(volume, 0, 1),
+      breaks: !!amb.breaks
+    };
+  }
+
+  /**
+   * Normalize spoken announcement settings, filling in defaults. An empty
+   * template is kept: it silences that event.
+   * @param {?Object} speech - Raw speech settings from storage or an import.
+   * @returns {{enabled: boolean, voice: string, rate: number, volume: number, templates: Object<string, string>}} Clean settings.
+   */
+  function sanitizeSpeech(speech) {
+    speech = speech || {};
+    var templates = speech.templates || {};
+    var rate = parseFloat(speech.rate);
+    var volume = parseFloat(speech.volume);
+    var out = {
+      enabled: !!speech.enabled,
+      voice: typeof speech.voice === 'string' ? speech.voice : DEFAULT_SPEECH.voice,
+      rate: isNaN(rate) ? DEFAULT_SPEECH.rate : clamp(rate, 0.5, 2),
+      volume: isNaN(volume) ? DEFAULT_SPEECH.volume : clamp(volume, 0, 1),
+      templates: {}
+    };
+    Object.keys(DEFAULT_SPEECH.templates).forEach(function (kind) {
+      out.templates[kind] = typeof templates[kind] === 'string'
+        ? templates[kind].trim().slice(0, SPEECH_TEMPLATE_MAX) : DEFAULT_SPEECH.templates[kind];
+    });
+    return out;
+  }
+
+  /**
+   * Normalize idle detection settings, filling in defaults.
+   * @param {?Object} idle - Raw idle settings from storage or an import.
+   * @returns {{enabled: boolean, minutes: number, system: boolean}} Clean settings.
+   */
+  function sanitizeIdle(idle) {
+    idle = idle || {};
+    return {
+      enabled: !!idle.enabled,
+      minutes: clamp(parseInt(idle.minutes, 10) || DEFAULT_IDLE.minutes, 1, 120),
+      system: !!idle.system
+    };
+  }
+
+  /**
+   * Normalize flowtime settings, filling in defaults and keeping the
+   * maximum break no shorter than the minimum.
+   * @param {?Object} ft - Raw flowtime settings from storage, a preset or an import.
+   * @returns {{enabled: boolean, ratio: number, minBreak: number, maxBreak: number}} Clean settings.
+   */
+  function sanitizeFlowtime(ft) {
+    ft = ft || {};
+    var minBreak = Math.max(1, parseInt(ft.minBreak, 10) || DEFAULT_FLOWTIME.minBreak);
+    return {
+      enabled: !!ft.enabled,
+      ratio: clamp(parseInt(ft.ratio, 10) || DEFAULT_FLOWTIME.ratio, 1, 20),
+      minBreak: minBreak,
+      maxBreak: Math.max(minBreak, parseInt(ft.maxBreak, 10) || DEFAULT_FLOWTIME.maxBreak)
+    };
+  }
+
+  /**
+   * Normalize a blocks array: clamp cycles and break lengths, and keep the
+   * optional per-block overrides (workMin, breakMin, name) only when valid.
+   * Slot entries ({ slot: typeId, minutes }) place a single custom segment.
+   * @param {Array<Object>} blocks - Raw blocks from storage, a preset or an import.
+   * @returns {Array<Object>} Clean blocks.
+   */
+  function sanitizeBlocks(blocks) {
+    var out = [];
+    for (var i = 0; i < blocks.length; i++) {
+      var b = blocks[i] || {};
+      if (b.slot) {
+        out.push({ slot: String(b.slot), minutes: Math.max(1, parseInt(b.minutes, 10) || 1) });
+        continue;
+      }
+      var clean = {
+        cycles: Math.max(1, parseInt(b.cycles, 10) || 1),
+        majorBreak: Math.max(0, parseInt(b.majorBreak, 10) || 0)
+      };
+      var work = parseInt(b.workMin, 10);
+      var brk = parseInt(b.breakMin, 10);
+      if (work > 0) clean.workMin = work;
+      if (brk > 0) clean.breakMin = brk;
+      if (typeof b.name === 'string' && b.name.trim()) clean.name = b.name.trim().slice(0, 20);
+      out.push(clean);
+    }
+    return out;
+  }
+
+  /**
+   * Normalize the user-defined segment types list, dropping malformed entries
+   * and anything that would shadow a built-in type.
+   * @param {*} types - Raw segment types from storage or an import.
+   * @returns {Array<{id: string, label: string, color: string, tone: string, focus: boolean}>} Clean list.
+   */
+  function sanitizeSegmentTypes(types) {
+    var out = [];
+    if (!Array.isArray(types)) return out;
+    for (var i = 0; i < types.length; i++) {
+      var t = types[i];
+      if (!t || typeof t.id !== 'string' || BUILTIN_SEGMENT_TYPES.indexOf(t.id) !== -1) continue;
+      out.push({
+        id: t.id,
+        label: typeof t.label === 'string' && t.label.trim() ? t.label.trim().slice(0, 20) : 'Segment',
+        color: ACCENTS.indexOf(t.color) !== -1 ? t.color : 'teal',
+        tone: isToneName(t.tone) ? t.tone : 'ping',
+        focus: !!t.focus
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Normalize the scheduled starts list.
+   * @param {*} schedules - Raw schedules from storage or an import.
+   * @returns {Array<{id: string, time: string, days: number[], preset: string, enabled: boolean}>} Clean list.
+   */
+  function sanitizeSchedules(schedules) {
+    var out = [];
+    if (!Array.isArray(schedules)) return out;
+    for (var i = 0; i < schedules.length; i++) {
+      var sc = schedules[i];
+      if (!sc || !/^\d{2}:\d{2}$/.test(sc.time) || typeof sc.preset !== 'string') continue;
+      var days = Array.isArray(sc.days) ? sc.days.filter(function (d) {
+        return d === Math.floor(d) && d >= 0 && d <= 6;
+      }) : [];
+      out.push({
+        id: typeof sc.id === 'string' ? sc.id : 'sch-' + i,
+        time: sc.time,
+        days: days,
+        preset: sc.preset,
+        enabled: sc.enabled !== false
+      });
+    }
+    return out;
+  }
+
+  /** Persist the current configuration to localStorage. */
+  function saveConfig() {
+    localStorage.setItem(LS_CONFIG, JSON.stringify(config));
+  }
+
+  /**
+   * Look up a preset by name.
+   * @param {string} name - Preset key: 'pomodoro', 'deepwork', or 'custom:<name>'.
+   * @returns {?Object} The preset, or null if there is none (e.g. a deleted custom preset).
+   */
+  function findPreset(name) {
+    if (PRESETS.hasOwnProperty(name)) return PRESETS[name];
+    if (name.indexOf('custom:') === 0 && customPresets.hasOwnProperty(name.slice(7))) {
+      return customPresets[name.slice(7)];
+    }
+    return null;
+  }
+
+  /**
+   * Apply a preset by name: its schedule (work and break lengths, blocks
+   * and flowtime) replaces the current one; other settings are kept.
+   * @param {string} name - Preset key: 'pomodoro', 'deepwork', or 'custom:<name>'.
+   */
+  function applyPreset(name) {
+    var presetData = findPreset(name);
+    if (!presetData) return;
+
+    // Switching presets mid-session can be undone
+    var active = engine.state !== 'idle' && engine.state !== 'done';
+    if (active && name !== activePreset) pushUndo('preset');
+
+    // Only the schedule comes from the preset; every other setting stays as it is
+    var preset = deepClone(presetData);
+    config.workMin = preset.workMin;
+    config.breakMin = preset.breakMin;
+    config.blocks = preset.blocks;
+    // Presets without flowtime switch it off but keep the user's ratio and limits
+    config.flowtime = sanitizeFlowtime(preset.flowtime || config.flowtime);
+    if (!preset.flowtime) config.flowtime.enabled = false;
+    activePreset = name;
+    saveConfig();
+    formFromConfig();
+    renderBlocks();
+    updateBlocksVisibility();
+    updatePresetButtons();
+    if (active) announce(presetDisplayName(name) + ' applied');
+  }
+
+  /**
+   * Detect which preset (if any) matches the current config.
+   * @returns {?string} Matching preset key, or null if custom.
+   */
+  function detectPreset() {
+    // Check built-in presets
+    for (var name in PRESETS) {
+      if (matchesPreset(PRESETS[name])) return name;
+    }
+    // Check custom presets
+    for (var cname in customPresets) {
+      if (matchesPreset(customPresets[cname])) return 'custom:' + cname;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a preset's schedule matches the current config.
+   * Ignores majorBreak on the last block (always normalized to 0 at runtime).
+   * Flowtime presets must also match the flowtime ratio and break limits.
+   * @param {Object} p - Preset schedule data.
+   * @returns {boolean} True if the preset matches.
+   */
+  function matchesPreset(p) {
+    var pf = p.flowtime && p.flowtime.enabled ? p.flowtime : null;
+    if (!!pf !== isFlowtime()) return false;
+    if (pf && (pf.ratio !== config.flowtime.ratio || pf.minBreak !== config.flowtime.minBreak ||
+        pf.maxBreak !== config.flowtime.maxBreak)) return false;
+    if (p.workMin !== config.workMin) return false;
+    if (p.breakMin !== config.breakMin) return false;
+    if (p.blocks.length !== config.blocks.length) return false;
+    for (var i = 0; i < p.blocks.length; i++) {
+      var pb = p.blocks[i];
+      var cb = config.blocks[i];
+      if ((pb.slot || '') !== (cb.slot || '')) return false;
+      if (pb.slot) {
+        if (pb.minutes !== cb.minutes) return false;
+        continue;
+      }
+      if (pb.cycles !== cb.cycles) return false;
+      // Last block's majorBreak is always 0 at runtime, so ignore it for matching
+      var isLast = i === p.blocks.length - 1;
+      if (!isLast && pb.majorBreak !== cb.majorBreak) return false;
+      // Optional overrides: absent and unset are equivalent
+      if ((pb.workMin || 0) !== (cb.workMin || 0)) return false;
+      if ((pb.breakMin || 0) !== (cb.breakMin || 0)) return false;
+      if ((pb.name || '') !== (cb.name || '')) return false;
+    }
+    return true;
+  }
+
+  /** Read form inputs into config, detect preset, and save. */
+  function configFromForm() {
+    config.workMin = Math.max(1, parseInt(elCfgWork.value, 10) || 25);
+    config.breakMin = Math.max(1, parseInt(elCfgBreak.value, 10) || 5);
+    config.flowtime = sanitizeFlowtime({
+      enabled: elFlowtimeToggle.checked,
+      ratio: elCfgFlowRatio.value,
+      minBreak: elCfgFlowMin.value,
+      maxBreak: elCfgFlowMax.value
+    });
+
+    var rows = elBlocksList.querySelectorAll('.block-row');
+    config.blocks = [];
+    for (var i = 0; i < rows.length; i++) {
+      if (rows[i].classList.contains('slot-row')) {
+        config.blocks.push({
+          slot: rows[i].querySelector('.slot-type').value,
+          minutes: Math.max(1, parseInt(rows[i].querySelector('.slot-minutes').value, 10) || 1)
+        });
+        continue;
+      }
+      var cyclesInput = rows[i].querySelector('.block-cycles');
+      var majorInput = rows[i].querySelector('.block-major');
+      var cycles = Math.max(1, parseInt(cyclesInput.value, 10) || 1);
+      var isLast = i === rows.length - 1;
+      var major = isLast ? 0 : Math.max(0, parseInt(majorInput.value, 10) || 0);
+      var block = { cycles: cycles, majorBreak: major };
+
+      // Optional overrides — blank means "use the global value"
+      var work = parseInt(rows[i].querySelector('.block-work').value, 10);
+      var brk = parseInt(rows[i].querySelector('.block-break').value, 10);
+      var name = rows[i].querySelector('.block-name').value.trim();
+      if (work > 0) block.workMin = work;
+      if (brk > 0) block.breakMin = brk;
+      if (name) block.name = name;
+      config.blocks.push(block);
+    }
+
+    if (config.blocks.length === 0) {
+      config.blocks.push({ cycles: 1, majorBreak: 0 });
+    }
+
+    activePreset = detectPreset();
+    updatePresetButtons();
+    saveConfig();
+  }
+
+  /** Populate cycle form inputs from current config values. */
+  function formFromConfig() {
+    elCfgWork.value = config.workMin;
+    elCfgBreak.value = config.breakMin;
+    elFlowtimeToggle.checked = config.flowtime.enabled;
+    elCfgFlowRatio.value = config.flowtime.ratio;
+    elCfgFlowMin.value = config.flowtime.minBreak;
+    elCfgFlowMax.value = config.flowtime.maxBreak;
+    elCfgAdjust.value = config.adjustMin;
   }
 
   /** Update active/inactive styling on all preset buttons (built-in and custom). */
@@ -863,9 +2606,11 @@
       breakMin: config.breakMin,
       blocks: deepClone(config.blocks)
     };
+    if (isFlowtime()) customPresets[name].flowtime = deepClone(config.flowtime);
     saveCustomPresets();
     activePreset = 'custom:' + name;
     renderCustomPresets();
+    renderSchedules();
     updatePresetButtons();
   }
 
@@ -880,6 +2625,7 @@
       activePreset = detectPreset();
     }
     renderCustomPresets();
+    renderSchedules();
     updatePresetButtons();
   }
 
@@ -926,12 +2672,38 @@
      IMPORT / EXPORT
      ================================================================ */
 
-  /** Export current config and custom presets as a JSON file download. */
+  /**
+   * Export current config, custom presets and the daily goal log as a JSON
+   * file download — with the imported sound files embedded, if chosen.
+   */
   function exportConfig() {
     var data = {
       config: deepClone(config),
-      customPresets: deepClone(customPresets)
+      customPresets: deepClone(customPresets),
+      goalLog: deepClone(goalLog)
     };
+    if (!config.sound.embedFiles || !config.customSounds.length) {
+      downloadJson(data);
+      return;
+    }
+    readAllSoundData().then(function (records) {
+      data.sounds = records.map(function (rec) {
+        return { id: rec.id, type: rec.type, data: arrayBufferToBase64(rec.data) };
+      });
+    }).catch(function () {
+      // Still export the settings; the sound files play the fallback tone when imported
+      delete data.sounds;
+      showToast('Couldn\u2019t read the sound files \u2014 exported without them', false, false);
+    }).then(function () {
+      downloadJson(data);
+    });
+  }
+
+  /**
+   * Download data as the export JSON file.
+   * @param {Object} data - Export contents.
+   */
+  function downloadJson(data) {
     var json = JSON.stringify(data, null, 2);
     var blob = new Blob([json], { type: 'application/json' });
     var url = URL.createObjectURL(blob);
@@ -945,8 +2717,10 @@
   }
 
   /**
-   * Import config and custom presets from a JSON file.
-   * Validates structure before applying. Shows a toast on success or failure.
+   * Import config, custom presets, the daily goal log and any embedded
+   * sound files from a JSON file. Validates structure before applying.
+   * Goal log days already recorded here are kept. Shows a toast on
+   * success or failure.
    * @param {File} file - The JSON file to import.
    */
   function importConfig(file) {
@@ -963,20 +2737,56 @@
             return;
           }
           config = data.config;
+          config.blocks = sanitizeBlocks(config.blocks);
           // Ensure required fields
-          if (!config.sound) config.sound = deepClone(DEFAULT_SOUND);
+          config.sound = sanitizeSound(config.sound);
           if (config.notifications === undefined) config.notifications = false;
           if (config.autoContinue === undefined) config.autoContinue = true;
           if (config.loop === undefined) config.loop = true;
+          if (!config.adjustMin) config.adjustMin = DEFAULT_ADJUST_MIN;
+          config.flowtime = sanitizeFlowtime(config.flowtime);
+          config.idle = sanitizeIdle(config.idle);
+          config.loopOptions = sanitizeLoopOptions(config.loopOptions);
+          if (config.overtime === undefined) config.overtime = false;
+          if (config.overtimeGrowBreak === undefined) config.overtimeGrowBreak = false;
+          config.customTones = sanitizeCustomTones(config.customTones);
+          config.customSounds = sanitizeCustomSounds(config.customSounds);
+          config.segmentTypes = sanitizeSegmentTypes(config.segmentTypes);
+          fixToneRefs();
+          updateCustomTones(true);
+          config.schedules = sanitizeSchedules(config.schedules);
+          config.goal = sanitizeGoal(config.goal);
+          config.warning = sanitizeWarning(config.warning);
+          config.ambient = sanitizeAmbient(config.ambient);
+          config.speech = sanitizeSpeech(config.speech);
           saveConfig();
         }
 
+        // Store embedded sound files, then load whatever the config refers to
+        storeImportedSounds(data.sounds).catch(function () {
+          return false;
+        }).then(function (stored) {
+          if (stored === false && Array.isArray(data.sounds) && data.sounds.length) showToast('Couldn\u2019t store the imported sound files', false, false);
+          updateSoundFiles();
+        });
+
+        // Merge the goal log, keeping days already recorded here
+        if (data.goalLog) {
+          var importedLog = sanitizeGoalLog(data.goalLog);
+          for (var day in importedLog) {
+            if (!goalLog[day]) goalLog[day] = importedLog[day];
+          }
+          saveGoalLog();
+        }
+
         // Validate and merge custom presets
         if (data.customPresets && typeof data.customPresets === 'object' &&
             !Array.isArray(data.customPresets)) {
           for (var name in data.customPresets) {
             var p = data.customPresets[name];
             if (p.workMin && p.breakMin && Array.isArray(p.blocks) && p.blocks.length > 0) {
+              p.blocks = sanitizeBlocks(p.blocks);
+              if (p.flowtime) p.flowtime = sanitizeFlowtime(p.flowtime);
               customPresets[name] = p;
             }
           }
@@ -986,11 +2796,16 @@
         // Re-render everything
         activePreset = detectPreset();
         formFromConfig();
+        renderSegmentTypes();
         renderBlocks();
         renderCustomPresets();
+        renderSchedules();
+        renderCustomTones();
+        renderSoundFiles();
         syncSoundUI();
         updatePresetButtons();
-        if (state === 'idle') updateDisplay();
+        refreshGoal();
+        if (engine.state === 'idle') updateDisplay();
         showToast('Config imported');
       } catch (err) {
         showToast('Invalid JSON file');
@@ -1019,39 +2834,59 @@
 
   /**
    * Build the flat timeline of work/break segments from the current config.
-   * In loop mode, generates an initial 20-pair buffer.
+   * In flowtime mode, holds just the first open-ended work segment; later
+   * segments are appended one at a time as the session unfolds.
+   * In loop mode, generates an initial 20-pair buffer, with a major break
+   * after every N cycles if configured.
    * In finite mode, walks all blocks and cycles, merging adjacent breaks.
-   * @returns {Array<{type: string, duration: number}>} The timeline array.
+   * Blocks may override work and short-break lengths; slot entries insert a
+   * single custom-type segment. Each segment records its block index and
+   * name for progress grouping and display.
+   * @returns {Array<{type: string, duration: number, block: number, name: string}>} The timeline array.
    */
   function buildTimeline() {
     var tl = [];
     var workSec = config.workMin * 60;
     var breakSec = config.breakMin * 60;
 
+    if (isFlowtime()) {
+      tl.push(flowWorkSegment());
+      return tl;
+    }
+
     if (config.loop) {
       // Loop mode: generate an initial buffer of work/break pairs
-      for (var i = 0; i < 20; i++) {
-        tl.push({ type: 'work', duration: workSec });
-        tl.push({ type: 'break', duration: breakSec });
-      }
+      appendLoopSegments(tl, 20);
       return tl;
     }
 
     for (var b = 0; b < config.blocks.length; b++) {
       var block = config.blocks[b];
+
+      // Slot: a single custom segment (skipped if its type was deleted)
+      if (block.slot) {
+        if (getSegmentType(block.slot)) {
+          tl.push({ type: block.slot, duration: block.minutes * 60, block: b, name: '' });
+        }
+        continue;
+      }
+
       var isLastBlock = b === config.blocks.length - 1;
+      var blockWorkSec = block.workMin ? block.workMin * 60 : workSec;
+      var blockBreakSec = block.breakMin ? block.breakMin * 60 : breakSec;
+      var name = block.name || '';
 
       for (var c = 0; c < block.cycles; c++) {
         var isLastCycleInBlock = c === block.cycles - 1;
 
         // Work segment
-        tl.push({ type: 'work', duration: workSec });
+        tl.push({ type: 'work', duration: blockWorkSec, block: b, name: name });
 
         // Break logic: major break replaces short break at block boundaries
         if (isLastCycleInBlock && !isLastBlock && block.majorBreak > 0) {
-          tl.push({ type: 'majorBreak', duration: block.majorBreak * 60 });
+          tl.push({ type: 'majorBreak', duration: block.majorBreak * 60, block: b, name: '' });
         } else {
-          tl.push({ type: 'break', duration: breakSec });
+          tl.push({ type: 'break', duration: blockBreakSec, block: b, name: '' });
         }
       }
     }
@@ -1064,968 +2899,4252 @@
    * Called when currentIndex approaches the end of the existing buffer.
    */
   function extendLoopBuffer() {
-    var workSec = config.workMin * 60;
-    var breakSec = config.breakMin * 60;
-    for (var i = 0; i < 20; i++) {
-      timeline.push({ type: 'work', duration: workSec });
-      timeline.push({ type: 'break', duration: breakSec });
-    }
+    appendLoopSegments(engine.timeline, 20);
   }
 
   /**
-   * Returns indices of work segments in the timeline, grouped by block.
-   * Used for progress dots rendering.
-   * @returns {Array<number[]>} Array of arrays of timeline indices.
+   * Append loop-mode work/break pairs to a timeline, carrying on from what
+   * it already holds: a trailing work segment first gets its break, and
+   * cycles are numbered on from the work segments already present so the
+   * major-break cadence is unbroken.
+   * @param {Array<Object>} tl - Timeline to extend in place.
+   * @param {number} pairs - Number of work segments to append.
    */
-  function getWorkIndicesByBlock() {
-    var groups = [];
-    var blockIdx = 0;
-    var cycleCount = 0;
-
-    if (!config.blocks.length) return groups;
-
-    groups.push([]);
-
-    for (var i = 0; i < timeline.length; i++) {
-      if (timeline[i].type === 'work') {
-        groups[groups.length - 1].push(i);
-        cycleCount++;
-        if (cycleCount >= config.blocks[blockIdx].cycles) {
-          blockIdx++;
-          cycleCount = 0;
-          if (blockIdx < config.blocks.length) {
-            groups.push([]);
-          }
-        }
-      }
+  function appendLoopSegments(tl, pairs) {
+    var cycle = 0;
+    for (var i = 0; i < tl.length; i++) {
+      if (tl[i].type === 'work') cycle++;
+    }
+    if (tl.length > 0 && tl[tl.length - 1].type === 'work') {
+      tl.push(loopBreakAfter(cycle));
+    }
+    for (var p = 0; p < pairs; p++) {
+      cycle++;
+      tl.push({ type: 'work', duration: config.workMin * 60 });
+      tl.push(loopBreakAfter(cycle));
     }
-
-    return groups;
   }
 
+  /**
+   * The break that follows a given loop cycle.
+   * @param {number} cycle - 1-based cycle number.
+   * @returns {{type: string, duration: number}} A major break every N cycles, else a short break.
+   */
+  function loopBreakAfter(cycle) {
+    var opts = config.loopOptions;
+    if (opts.majorEvery > 0 && cycle % opts.majorEvery === 0) {
+      return { type: 'majorBreak', duration: opts.majorMin * 60 };
+    }
+    return { type: 'break', duration: config.breakMin * 60 };
+  }
 
-  /* ================================================================
-     TIMER ENGINE  (wall-clock based — immune to background throttling)
-     ================================================================ */
+  /**
+   * Whether a loop session has hit its cycle or time limit.
+   * @param {number} at - Timestamp (ms) of the boundary being crossed.
+   * @returns {boolean} True if the session should end instead of moving on.
+   */
+  function loopLimitReached(at) {
+    if (!config.loop || isFlowtime()) return false;
+    var opts = config.loopOptions;
+    if (opts.stopAfter > 0 && engine.cycleCount >= opts.stopAfter) return true;
+    return loopStopAt > 0 && at >= loopStopAt;
+  }
 
-  /** Start the tick interval and schedule a precise transition timer. */
-  function startTicking() {
-    clearInterval(tickIntervalId);
-    tickIntervalId = setInterval(tick, 250);
-    scheduleTransitionTimer();
+  /**
+   * Whether the segment just reached completes a loop milestone: every
+   * N work cycles, with N set on the milestone sound.
+   * @returns {boolean}
+   */
+  function milestoneReached() {
+    var every = config.sound.events.milestone.every;
+    if (!config.loop || isFlowtime() || every <= 0 || engine.cycleCount === 0) return false;
+    var prev = engine.timeline[engine.currentIndex - 1];
+    return !!prev && prev.type === 'work' && engine.cycleCount % every === 0;
   }
 
-  /** Stop the tick interval and clear the transition timer. */
-  function stopTicking() {
-    clearInterval(tickIntervalId);
-    tickIntervalId = null;
-    clearTransitionTimer();
+  /**
+   * The next time the loop stop time comes round after a given moment.
+   * @param {number} from - Timestamp (ms).
+   * @returns {number} Timestamp (ms) of the stop, or 0 if none is set.
+   */
+  function nextLoopStop(from) {
+    if (!config.loopOptions.stopAt) return 0;
+    var stop = scheduleTimeOn({ time: config.loopOptions.stopAt }, new Date(from));
+    if (stop.getTime() <= from) stop.setDate(stop.getDate() + 1);
+    return stop.getTime();
   }
 
   /**
-   * Schedule a setTimeout for the exact moment the current segment ends.
-   * Unlike setInterval (throttled to ~1/min in background tabs), a one-shot
-   * setTimeout for a specific future time fires more reliably. Even if the
-   * browser delays it slightly, the tone plays within a few hundred ms of
-   * the actual transition — far better than waiting for the next interval.
+   * Apply edited loop options to a running loop session: the segments
+   * after the current one are regenerated and the stop time recomputed.
    */
-  function scheduleTransitionTimer() {
-    clearTransitionTimer();
-    if (state !== 'running' || !targetTime) return;
-    var delay = targetTime - Date.now();
-    if (delay < 0) delay = 0;
-    transitionTimerId = setTimeout(function () {
-      transitionTimerId = null;
-      if (state === 'running') tick();
-    }, delay);
+  function refreshLoopPlan() {
+    if (!isLeader || !config.loop || isFlowtime()) return;
+    if (engine.state === 'idle' || engine.state === 'done') return;
+    engine.timeline.length = engine.currentIndex + 1;
+    appendLoopSegments(engine.timeline, 20);
+    loopStopAt = nextLoopStop(Date.now());
+    lastRenderedProgressIndex = -1;
+    saveSession();
+    updateDisplay();
   }
 
-  /** Clear the one-shot transition timer if active. */
-  function clearTransitionTimer() {
-    if (transitionTimerId) {
-      clearTimeout(transitionTimerId);
-      transitionTimerId = null;
-    }
+  /**
+   * Whether the flowtime schedule mode is on.
+   * @returns {boolean}
+   */
+  function isFlowtime() {
+    return !!(config.flowtime && config.flowtime.enabled);
   }
 
-  /** Start the timer: build timeline, set state to running, begin ticking. */
-  function start() {
-    ensureLiveContext(); // ensure audio is ready before timer starts
-    configFromForm();
-    timeline = buildTimeline();
-    if (timeline.length === 0) return;
+  /**
+   * A flowtime work segment: open-ended, it counts up until the user ends it.
+   * @returns {{type: string, duration: number, open: boolean}}
+   */
+  function flowWorkSegment() {
+    return { type: 'work', duration: 0, open: true };
+  }
 
-    currentIndex = 0;
-    remainingSeconds = timeline[0].duration;
-    loopCycleCount = 0;
-    state = 'running';
-    targetTime = Date.now() + remainingSeconds * 1000;
+  /**
+   * Length of the break earned by a flowtime work segment.
+   * @param {number} workedSec - Seconds worked.
+   * @returns {number} Break length in seconds, rounded to the minute.
+   */
+  function flowBreakSeconds(workedSec) {
+    var ft = config.flowtime;
+    var min = Math.round(workedSec / ft.ratio / 60);
+    return clamp(min, ft.minBreak, ft.maxBreak) * 60;
+  }
 
-    startTicking();
-    updateDisplay();
+  /**
+   * Make sure a segment exists at currentIndex, topping up the loop buffer
+   * or appending the next flowtime work segment as needed.
+   * @returns {boolean} False if the timeline is exhausted (session complete).
+   */
+  function fillTimeline() {
+    if (engine.currentIndex < engine.timeline.length) return true;
+    if (isFlowtime()) engine.timeline.push(flowWorkSegment());
+    else if (config.loop) extendLoopBuffer();
+    return engine.currentIndex < engine.timeline.length;
   }
 
   /**
-   * Core timer tick — computes remaining time from wall clock, handles
-   * segment transitions, and updates the display. Called every 250ms
-   * and on visibility change.
+   * Returns indices of work segments (and custom slot segments) in the
+   * timeline, grouped by block. Grouping uses each segment's block index,
+   * so it stays correct if the config is edited mid-session. Used for
+   * progress dots rendering.
+   * @returns {Array<number[]>} Array of arrays of timeline indices.
    */
-  function tick() {
-    var now = Date.now();
-    var secsLeft = Math.ceil((targetTime - now) / 1000);
-    if (secsLeft < 0) secsLeft = 0;
-    remainingSeconds = secsLeft;
-
-    if (remainingSeconds <= 0) {
-      // Track loop cycle completions
-      if (config.loop && timeline[currentIndex] && timeline[currentIndex].type === 'work') {
-        loopCycleCount++;
+  function getWorkIndicesByBlock() {
+    var groups = [];
+    var groupBlock = null;
+
+    for (var i = 0; i < engine.timeline.length; i++) {
+      var type = engine.timeline[i].type;
+      if (type === 'break' || type === 'majorBreak') continue;
+      var b = engine.timeline[i].block || 0;
+      if (b !== groupBlock) {
+        groups.push([]);
+        groupBlock = b;
       }
+      groups[groups.length - 1].push(i);
+    }
 
-      // Advance to next segment
-      currentIndex++;
+    return groups;
+  }
 
-      // In loop mode, extend the timeline buffer if needed
-      if (config.loop && currentIndex >= timeline.length) {
-        extendLoopBuffer();
-      }
 
-      if (!config.loop && currentIndex >= timeline.length) {
-        complete();
-        return;
-      }
-      remainingSeconds = timeline[currentIndex].duration;
-      targetTime = Date.now() + remainingSeconds * 1000;
+  /* ================================================================
+     TIMER CLOCK
+     The engine's timeouts and intervals run in timer-worker.js, where
+     hidden tabs don't throttle them, and arrive here as messages. If
+     workers are unavailable or the worker fails, main-thread timers take
+     over. Every firing is measured against its due time for the
+     diagnostics in the settings drawer.
+     ================================================================ */
 
-      // Phase transition — play tone, flash, notify
-      var newSeg = timeline[currentIndex];
-      playTransitionTone(newSeg.type);
-      flash();
-      fireNotification(APP_NAME, phaseLabel(newSeg.type) + ' \u2014 ' + Math.floor(newSeg.duration / 60) + ' min');
-
-      // If auto-continue is off, enter waiting state
-      if (!config.autoContinue) {
-        stopTicking();
-        state = 'waiting';
-        lastDisplayedSeconds = -1;
-        updateDisplay();
-        return;
+  /**
+   * Build the clock the engine runs on (called once, while creating it).
+   * @returns {Object} Clock for FocusEngine.create().
+   */
+  function createTimerClock() {
+    var worker = null;
+    var nextId = 1;
+    /** @type {Object<number, {fn: function(): void, due: number, every: number, nativeId: ?number}>} */
+    var pending = {};
+
+    /**
+     * Run a timer's callback and record how late it fired.
+     * @param {number} id - Timer ID.
+     * @param {number} due - When it was due (ms).
+     */
+    function fire(id, due) {
+      var t = pending[id];
+      if (!t) return; // cleared while the message was in flight
+      recordTiming('drift', Date.now() - due);
+      if (!t.every) delete pending[id];
+      t.fn();
+    }
+
+    /**
+     * Arm a timer on the main thread.
+     * @param {number} id - Timer ID.
+     */
+    function armMain(id) {
+      var t = pending[id];
+      if (t.every) {
+        t.nativeId = setInterval(function () {
+          var due = t.due;
+          t.due += t.every;
+          fire(id, due);
+        }, t.every);
+      } else {
+        t.nativeId = setTimeout(function () { fire(id, t.due); }, Math.max(0, t.due - Date.now()));
       }
+    }
 
-      // Schedule next transition timer for the new segment
-      scheduleTransitionTimer();
+    /**
+     * Schedule a callback.
+     * @param {function(): void} fn - Callback.
+     * @param {number} ms - Delay (ms).
+     * @param {number} [every] - Repeat interval (ms), for intervals.
+     * @returns {number} Timer ID.
+     */
+    function set(fn, ms, every) {
+      var id = nextId++;
+      pending[id] = { fn: fn, due: Date.now() + ms, every: every || 0, nativeId: null };
+      if (worker) worker.postMessage({ cmd: 'set', id: id, due: pending[id].due, every: every || 0 });
+      else armMain(id);
+      return id;
+    }
 
-      lastDisplayedSeconds = -1;
-      updateDisplay();
-      return;
+    /**
+     * Cancel a timeout or interval.
+     * @param {?number} id - Timer ID from set().
+     */
+    function clear(id) {
+      var t = pending[id];
+      if (!t) return;
+      delete pending[id];
+      if (worker) {
+        worker.postMessage({ cmd: 'clear', id: id });
+      } else {
+        clearTimeout(t.nativeId);
+        clearInterval(t.nativeId);
+      }
     }
 
-    // Only update DOM when the displayed second changes
-    if (remainingSeconds !== lastDisplayedSeconds) {
-      lastDisplayedSeconds = remainingSeconds;
-      updateDisplay();
+    if (typeof Worker !== 'undefined') {
+      try {
+        worker = new Worker(TIMER_WORKER_URL);
+        timing.mode = 'worker';
+        worker.onmessage = function (e) {
+          fire(e.data.id, e.data.due);
+        };
+        // e.g. the script couldn't load (file:// pages) — move pending timers to the main thread
+        worker.onerror = function () {
+          worker.terminate();
+          worker = null;
+          timing.mode = 'main';
+          for (var id in pending) armMain(id);
+        };
+      } catch (e) {
+        worker = null;
+      }
     }
-  }
 
-  /** Pause the timer, preserving remaining seconds. */
-  function pause() {
-    state = 'paused';
-    stopTicking();
-    // remainingSeconds is already accurate from last tick
-    updateDisplay();
+    return {
+      now: function () { return Date.now(); },
+      setTimeout: function (fn, ms) { return set(fn, ms); },
+      clearTimeout: clear,
+      setInterval: function (fn, ms) { return set(fn, ms, ms); },
+      clearInterval: clear
+    };
   }
 
-  /** Resume the timer from a paused state. */
-  function resume() {
-    state = 'running';
-    targetTime = Date.now() + remainingSeconds * 1000;
-    startTicking();
-    updateDisplay();
+  /**
+   * Add a measurement to the timing diagnostics.
+   * @param {string} kind - drift (a timer firing) | late (a segment transition).
+   * @param {number} ms - How late it was.
+   */
+  function recordTiming(kind, ms) {
+    var t = timing[kind];
+    ms = Math.max(0, ms);
+    t.count++;
+    t.total += ms;
+    t.last = ms;
+    if (ms > t.max) t.max = ms;
   }
 
-  /** Toggle between running and paused states. */
-  function togglePause() {
-    if (state === 'running') pause();
-    else if (state === 'paused') resume();
+  /**
+   * Summarize a timing measurement, e.g. "avg 4 ms · max 31 ms (120)".
+   * @param {{count: number, total: number, max: number}} t - Measurement.
+   * @returns {string} Summary, or a dash if nothing was measured yet.
+   */
+  function describeTiming(t) {
+    if (!t.count) return '\u2014';
+    return 'avg ' + Math.round(t.total / t.count) + ' ms \u00b7 max ' + Math.round(t.max) + ' ms (' + t.count + ')';
   }
 
-  /** Continue from the waiting state (when auto-continue is off). */
-  function continueFromWaiting() {
-    if (state !== 'waiting') return;
-    state = 'running';
-    targetTime = Date.now() + remainingSeconds * 1000;
-    startTicking();
-    updateDisplay();
+  /** Render the timing diagnostics in the settings drawer. */
+  function renderDiagnostics() {
+    var rows = [
+      ['Timers', !isLeader ? 'in the leader tab' : timing.mode === 'worker' ? 'worker' : 'main thread'],
+      ['Timer drift', describeTiming(timing.drift)],
+      ['Transitions late', describeTiming(timing.late)],
+      ['Audio keep-alive', keepAliveNode ? 'on' : 'off']
+    ];
+    var out = '';
+    for (var i = 0; i < rows.length; i++) {
+      out += '<div class="field-row stats-row">' +
+        '<span class="stats-key">' + rows[i][0] + '</span>' +
+        '<span class="stats-value">' + rows[i][1] + '</span>' +
+        '</div>';
+    }
+    elDiagnostics.innerHTML = out;
   }
 
-  /** Skip the current segment, saving a snapshot for undo. */
-  function skip() {
-    if (state !== 'running' && state !== 'paused' && state !== 'waiting') return;
-
-    // Snapshot for undo
-    skipSnapshot = {
-      currentIndex: currentIndex,
-      remainingSeconds: remainingSeconds,
-      state: state,
-      loopCycleCount: loopCycleCount
-    };
 
-    // Track loop cycle completion when skipping past a work segment
-    if (config.loop && timeline[currentIndex] && timeline[currentIndex].type === 'work') {
-      loopCycleCount++;
-    }
+  /* ================================================================
+     TIMER ENGINE  (wall-clock based — immune to background throttling)
+     The state machine itself lives in engine.js. This section wires it
+     to the app: engine events drive logging, tones, the checkpoint and
+     the display, and the actions below add undo, toasts and the
+     overtime/flowtime rules around the engine's transitions.
+     ================================================================ */
 
-    currentIndex++;
+  engine.on('segmentStart', function () {
+    logEvent('segmentStart');
+  });
 
-    // In loop mode, extend buffer if needed
-    if (config.loop && currentIndex >= timeline.length) {
-      extendLoopBuffer();
-    }
+  engine.on('segmentEnd', function (e) {
+    if (e.reason === 'jump') logEvent('jump', null, { target: phaseLabel(engine.timeline[e.to].type) });
+    else logEvent(e.reason === 'skip' ? 'skip' : 'segmentEnd');
+  });
 
-    if (!config.loop && currentIndex >= timeline.length) {
-      complete();
-      showToast('Skipped');
-      return;
+  // Phase transition reached by the countdown — play tone, flash, notify
+  engine.on('advance', function (e) {
+    lastDisplayedSeconds = -1;
+    if (e.reason !== 'elapsed') return;
+    recordTiming('late', e.late);
+    var toneSeconds = milestoneReached() ? playSound('milestone') : playTransitionTone(e.segment.type);
+    announceSegment(e.segment, toneSeconds);
+    flash();
+    // The engine enters waiting right after this event
+    var waiting = config.autoContinue === false;
+    var outlook = notificationOutlook();
+    fireNotification(APP_NAME, segmentLabel(e.segment) + ' \u2014 ' +
+      (e.segment.open ? 'until you stop' : Math.floor(e.segment.duration / 60) + ' min') +
+      (waiting ? ', ready when you are' : '') + (outlook ? '\n' + outlook : ''),
+      timerNotificationActions(waiting));
+  });
+
+  // The running segment is about to end — soft tone, and a notification if asked for
+  engine.on('warning', function (e) {
+    var kind = isFocusType(e.segment.type) ? 'work' : 'break';
+    playTone('warning');
+    if (config.warning[kind].notify) {
+      var next = engine.timeline[engine.currentIndex + 1];
+      fireNotification(APP_NAME, segmentLabel(e.segment) + ' ends in ' + formatDuration(e.lead) +
+        (next ? '\nThen ' + segmentLabel(next) : ''), timerNotificationActions(false));
     }
-    remainingSeconds = timeline[currentIndex].duration;
-    // Update targetTime if running
-    if (state === 'running') {
-      targetTime = Date.now() + remainingSeconds * 1000;
-      scheduleTransitionTimer();
+    updateRing();
+  });
+
+  engine.on('overtime', enterOvertime);
+
+  engine.on('stateChange', updateKeepAlive);
+  engine.on('stateChange', updateWaitingReminder);
+  engine.on('load', updateWaitingReminder);
+
+  engine.on('tick', function (e) {
+    if (e.advanced) saveSession();
+    // Only update DOM when the displayed second changes
+    if (engine.remainingSeconds !== lastDisplayedSeconds) {
+      lastDisplayedSeconds = engine.remainingSeconds;
+      updateDisplay();
     }
+  });
 
-    // If waiting, stay in waiting (user can continue or skip again)
-    // If paused, stay paused but show next segment
-    showToast('Skipped');
+  // Session complete — play bell, flash, notify (unless it finished while the page was closed)
+  engine.on('complete', function (e) {
+    clearSession();
+    logEvent('complete');
+    if (!e.quiet) {
+      announceComplete(playSound('complete'));
+      flash();
+      fireNotification(APP_NAME, 'Session complete!');
+    }
+    updateDisplay();
+  });
+
+  /** Start the timer: build timeline, set state to running, begin ticking. */
+  function start() {
+    ensureLiveContext(); // ensure audio is ready before timer starts
+    configFromForm();
+    var tl = buildTimeline();
+    if (tl.length === 0) return;
+
+    loopStopAt = config.loop ? nextLoopStop(Date.now()) : 0;
+    sessionId = Date.now().toString(36);
+    clearUndo();
+    engine.start(tl);
+    saveSession();
     updateDisplay();
   }
 
-  /** Reset the timer to idle state, clearing all timer and render guard state. */
-  function reset() {
-    stopTicking();
-    state = 'idle';
-    currentIndex = 0;
-    remainingSeconds = 0;
-    loopCycleCount = 0;
-    timeline = [];
-    targetTime = 0;
-    lastDisplayedSeconds = -1;
-    lastRenderedControlState = '';
-    lastRenderedProgressIndex = -1;
-    lastRenderedProgressState = '';
-    prevPhaseText = '';
+  /**
+   * Pause the timer, preserving remaining seconds.
+   * @param {number} [at] - Backdate the pause to this timestamp (ms), giving
+   *   back the time since; used when the user turns out to have been away.
+   */
+  function pause(at) {
+    engine.pause(at);
+    saveSession();
+    logEvent('pause', at);
     updateDisplay();
   }
 
-  /** Mark the session as complete — play bell, flash, notify. */
-  function complete() {
-    stopTicking();
-    state = 'done';
-    remainingSeconds = 0;
-    playTone('bell');
-    flash();
-    fireNotification(APP_NAME, 'Session complete!');
+  /**
+   * Resume the timer from a paused state.
+   * @param {number} [since] - Backdate the resume to this timestamp (ms), counting the time since as run.
+   */
+  function resume(since) {
+    // Resuming by hand after an idle pause discards the time away
+    idleAway = null;
+    syncIdlePrompt();
+    engine.resume(since);
+    saveSession();
+    logEvent('resume');
     updateDisplay();
   }
 
+  /** Toggle between running and paused states. */
+  function togglePause() {
+    if (engine.state === 'running') pause();
+    else if (engine.state === 'paused') resume();
+  }
 
-  /* ================================================================
-     DISPLAY
-     ================================================================ */
+  /** Continue from the waiting state (when auto-continue is off). */
+  function continueFromWaiting() {
+    if (engine.state !== 'waiting') return;
+    engine.continueWaiting();
+    saveSession();
+    updateDisplay();
+  }
+
+  /** Skip the current segment, saving a snapshot for undo. */
+  function skip() {
+    if (engine.state !== 'running' && engine.state !== 'paused' && engine.state !== 'waiting') return;
+    if (engine.timeline[engine.currentIndex] && engine.timeline[engine.currentIndex].open && engine.state !== 'waiting') {
+      endFlowWork();
+      return;
+    }
+    if (isOvertime()) {
+      endOvertime();
+      return;
+    }
+
+    pushUndo('skip');
+    // If waiting, stay in waiting (user can continue or skip again)
+    // If paused, stay paused but show next segment
+    if (engine.skip()) {
+      saveSession();
+      updateDisplay();
+    }
+    announce('Skipped');
+  }
 
   /**
-   * Master display update — sets main element classes, phase text, timer digits,
-   * progress dots, controls, title, and ring based on current state.
-   * Wipes elMain.className every call; all state classes applied here.
+   * Extend or shorten the current segment by the configured step,
+   * recording the change for undo.
+   * @param {number} direction - 1 to extend, -1 to shorten.
    */
-  function updateDisplay() {
-    // Reset main classes
-    elMain.className = '';
+  function adjust(direction) {
+    if (engine.state !== 'running' && engine.state !== 'paused' && engine.state !== 'waiting') return;
+    if (direction < 0 && isOvertime()) return;
+    if (engine.timeline[engine.currentIndex].open) return;
 
-    switch (state) {
-      case 'idle':
-        elMain.classList.add('idle');
-        setPhaseText(APP_NAME);
-        elTimer.innerHTML = 'press space to start';
-        elTimer.onclick = start;
-        renderProgressEmpty();
-        renderControlsEmpty();
-        break;
+    var applied = engine.adjust(direction * (config.adjustMin || DEFAULT_ADJUST_MIN) * 60);
+    if (applied === 0) return;
 
-      case 'running':
-      case 'paused':
-        var seg = timeline[currentIndex];
-        var phaseClass = seg.type === 'majorBreak' ? 'major-break' : seg.type;
+    pushAdjustUndo(applied);
+    logEvent('adjust', null, { delta: applied });
+    lastDisplayedSeconds = -1;
+    saveSession();
+    announce((applied > 0 ? 'Extended by ' : 'Shortened by ') + formatDuration(Math.abs(applied)));
+    updateDisplay();
+  }
 
-        if (state === 'paused') {
-          elMain.classList.add('paused');
-        }
-        elMain.classList.add(phaseClass);
+  /**
+   * Jump straight to another segment of the timeline, backwards or
+   * forwards, saving a snapshot for undo. Segments jumped over are not
+   * logged, as with skip.
+   * @param {number} index - Timeline index to jump to.
+   */
+  function jumpTo(index) {
+    if (engine.state !== 'running' && engine.state !== 'paused' && engine.state !== 'waiting') return;
+    if (index === engine.currentIndex || !engine.timeline[index]) return;
+
+    var forward = index > engine.currentIndex;
+    pushUndo('jump');
+    engine.jump(index);
+    saveSession();
+    announce((forward ? 'Jumped ahead to ' : 'Jumped back to ') + segmentLabel(engine.timeline[index]));
+    updateDisplay();
+  }
 
-        var pLabel = phaseLabel(seg.type);
-        if (state === 'paused') {
-          pLabel += ' \u2014 paused';
-        }
-        setPhaseText(pLabel);
+  /**
+   * How long before a segment's end to give the heads-up (engine warning option).
+   * @param {Object} seg - Timeline segment.
+   * @returns {number} Seconds, or 0 for none (also for open flowtime segments).
+   */
+  function warningLead(seg) {
+    if (seg.open) return 0;
+    var w = config.warning[isFocusType(seg.type) ? 'work' : 'break'];
+    return w.enabled ? w.seconds : 0;
+  }
 
-        var rm = Math.floor(remainingSeconds / 60);
-        var rs = remainingSeconds % 60;
-        elTimer.innerHTML = pad(rm) + '<span class="colon">:</span>' + pad(rs);
-        elTimer.onclick = null;
+  /**
+   * Whether a segment keeps running past zero instead of moving on.
+   * @param {?Object} seg - Timeline segment.
+   * @returns {boolean} True for open flowtime segments, and for focus
+   *   segments when overtime mode is on.
+   */
+  function overtimeApplies(seg) {
+    if (!seg) return false;
+    return !!(seg.open || (config.overtime && isFocusType(seg.type)));
+  }
 
-        renderProgress();
-        renderControls();
-        break;
+  /**
+   * Whether the current segment has run past its planned end.
+   * Outside overtime mode the engine moves on at zero, so this is only
+   * true while a segment is in overtime. Open flowtime segments have no
+   * planned end, so they are never in overtime.
+   * @returns {boolean}
+   */
+  function isOvertime() {
+    return (engine.state === 'running' || engine.state === 'paused') && engine.remainingSeconds <= 0 &&
+      !!engine.timeline[engine.currentIndex] && !engine.timeline[engine.currentIndex].open;
+  }
 
-      case 'done':
-        elMain.classList.add('done');
-        setPhaseText('Done');
-        elTimer.innerHTML = '00<span class="colon">:</span>00';
-        elTimer.onclick = null;
-        renderProgressDone();
-        renderControlsDone();
-        break;
+  /** @type {?number} timerClock interval playing the waiting reminder, or null. */
+  var reminderTimerId = null;
+  /** @type {number} Minutes between reminders the running interval was set up with. */
+  var reminderEvery = 0;
 
-      case 'waiting':
-        var wseg = timeline[currentIndex];
-        elMain.classList.add('waiting');
-        setPhaseText('Up next \u2014 ' + phaseLabel(wseg.type));
-        elTimer.innerHTML = 'press space to continue';
-        elTimer.onclick = continueFromWaiting;
-        renderProgress();
-        renderControlsWaiting();
-        break;
+  /**
+   * Play the reminder sound every few minutes while the leader waits for
+   * the user to continue. It runs on timerClock so hidden tabs keep time.
+   */
+  function updateWaitingReminder() {
+    var every = config.sound.events.reminder.every;
+    var wanted = isLeader && engine.state === 'waiting' && every > 0;
+    if (reminderTimerId !== null && (!wanted || every !== reminderEvery)) {
+      timerClock.clearInterval(reminderTimerId);
+      reminderTimerId = null;
+    }
+    if (wanted && reminderTimerId === null) {
+      reminderEvery = every;
+      reminderTimerId = timerClock.setInterval(function () {
+        playSound('reminder');
+      }, every * 60000);
     }
+  }
 
-    updateTitle();
-    updateRing();
+  /** The current segment just reached zero in overtime mode — signal it, but keep going (engine overtime event). */
+  function enterOvertime() {
+    if (config.loop && engine.currentIndex + 1 >= engine.timeline.length) extendLoopBuffer();
+    var seg = engine.timeline[engine.currentIndex];
+    var next = engine.timeline[engine.currentIndex + 1];
+    if (next) playTransitionTone(next.type);
+    else if (config.sound && config.sound.enabled) playSound('complete');
+    flash();
+    fireNotification(APP_NAME, segmentLabel(seg) + ' time is up \u2014 ' +
+      (next ? segmentLabel(next) + ' when you\u2019re ready' : 'finish when you\u2019re ready'),
+      timerNotificationActions(false));
+    logEvent('overtime');
+    saveSession();
   }
 
-  /** Update the SVG progress ring based on elapsed time in the current segment. */
-  function updateRing() {
-    if (state === 'running' || state === 'paused') {
-      var seg = timeline[currentIndex];
-      var total = seg.duration;
-      var elapsed = total - remainingSeconds;
-      var progress = total > 0 ? elapsed / total : 0;
-      var offset = RING_CIRCUMFERENCE * (1 - progress);
-      elRingFill.style.strokeDasharray = RING_CIRCUMFERENCE;
-      elRingFill.style.strokeDashoffset = offset;
-    } else {
-      // Reset ring
-      elRingFill.style.strokeDasharray = RING_CIRCUMFERENCE;
-      elRingFill.style.strokeDashoffset = RING_CIRCUMFERENCE;
+  /**
+   * End a segment that is in overtime and start the next one. With
+   * overtimeGrowBreak on, a following break grows by the overtime scaled
+   * by the break-to-work ratio, e.g. 10 min over a 50/10 cycle adds 2 min.
+   */
+  function endOvertime() {
+    if (!isOvertime()) return;
+    var ended = engine.timeline[engine.currentIndex];
+    var next = engine.timeline[engine.currentIndex + 1];
+    var over = -engine.remainingSeconds;
+
+    if (config.overtimeGrowBreak && next && (next.type === 'break' || next.type === 'majorBreak') && ended.duration > 0) {
+      next.duration += Math.round(over * next.duration / ended.duration);
     }
+
+    // Ending overtime is an explicit choice to move on, so run even if paused
+    if (!engine.endSegment()) return;
+    saveSession();
+    updateDisplay();
   }
 
   /**
-   * Set the phase label text with a fade-in transition.
-   * Skips update if the text hasn't changed.
-   * @param {string} text - New phase label text.
+   * End an open flowtime work segment: fix its length to the time worked,
+   * then start the break it earned.
    */
-  function setPhaseText(text) {
-    if (text === prevPhaseText) return;
-    prevPhaseText = text;
-    elPhase.classList.remove('transitioning');
-    void elPhase.offsetWidth;
-    elPhase.textContent = text;
-    elPhase.classList.add('transitioning');
-  }
+  function endFlowWork() {
+    var seg = engine.timeline[engine.currentIndex];
+    if (!seg || !seg.open || (engine.state !== 'running' && engine.state !== 'paused')) return;
 
-  /** Update document.title with countdown and phase info. */
-  function updateTitle() {
-    var base = APP_NAME;
-    switch (state) {
-      case 'running':
-      case 'paused':
-        var seg = timeline[currentIndex];
-        var label = phaseLabel(seg.type);
-        if (state === 'paused') label += ' (Paused)';
-        var rm = Math.floor(remainingSeconds / 60);
-        var rs = remainingSeconds % 60;
-        document.title = pad(rm) + ':' + pad(rs) + ' \u2014 ' + label + ' | ' + base;
-        break;
-      case 'done':
-        document.title = 'Done | ' + base;
-        break;
-      case 'waiting':
-        var wseg = timeline[currentIndex];
-        document.title = 'Up next: ' + phaseLabel(wseg.type) + ' | ' + base;
-        break;
-      default:
-        document.title = base;
-    }
+    var worked = Math.max(0, -engine.remainingSeconds);
+    delete seg.open;
+    engine.timeline.splice(engine.currentIndex + 1, 0, { type: 'break', duration: flowBreakSeconds(worked) });
+
+    // Ending work is an explicit choice to take the break, so run even if paused
+    if (!engine.endSegment(worked)) return;
+    saveSession();
+    updateDisplay();
   }
 
-  /** Update the wall clock display (HH:MM:SS). */
-  function updateClock() {
-    var now = new Date();
-    elClock.textContent = pad(now.getHours()) + ':' + pad(now.getMinutes()) + ':' + pad(now.getSeconds());
+  /**
+   * Reset the timer to idle state, clearing all timer and render guard state.
+   * Resetting an active session can be undone.
+   */
+  function reset() {
+    var active = engine.state !== 'idle' && engine.state !== 'done';
+    if (active) {
+      pushUndo('reset');
+      logEvent('reset');
+    }
+    engine.reset();
+    idleAway = null;
+    loopStopAt = 0;
+    sessionId = null;
+    lastDisplayedSeconds = -1;
+    lastRenderedControlState = '';
+    lastRenderedProgressIndex = -1;
+    lastRenderedProgressState = '';
+    prevPhaseText = '';
+    clearSession();
+    updateDisplay();
+    if (active) announce('Reset');
   }
 
 
   /* ================================================================
-     PROGRESS DOTS
+     SESSION CHECKPOINT
+     The running session is written to localStorage on every transition,
+     pause and skip, so a reload or browser restart can pick it up again.
+     A running session stores its wall-clock engine.targetTime; on restore, any
+     time that passed while the page was closed is replayed segment by
+     segment through engine.catchUp(), the same path its tick uses.
      ================================================================ */
 
-  /** Clear progress dots and reset render guards. */
-  function renderProgressEmpty() {
-    elProgress.innerHTML = '';
-    lastRenderedProgressIndex = -1;
-    lastRenderedProgressState = '';
+  /**
+   * Capture the engine state as a plain, serializable object.
+   * @returns {Object} Session snapshot.
+   */
+  function sessionSnapshot() {
+    var snap = engine.snapshot();
+    snap.loopStopAt = loopStopAt;
+    snap.sessionId = sessionId;
+    snap.idleAway = idleAway;
+    snap.savedAt = Date.now();
+    return snap;
+  }
+
+  /** Write the current session to localStorage, or clear it when idle/done. */
+  function saveSession() {
+    if (engine.state === 'idle' || engine.state === 'done') {
+      clearSession();
+      return;
+    }
+    try {
+      localStorage.setItem(LS_SESSION, JSON.stringify(sessionSnapshot()));
+    } catch (e) {
+      // Storage full or unavailable — the session just won't survive a reload
+    }
+    broadcastState();
+  }
+
+  /** Remove the session checkpoint from localStorage. */
+  function clearSession() {
+    localStorage.removeItem(LS_SESSION);
+    broadcastState();
   }
 
   /**
-   * Render progress dots (finite mode) or cycle counter (loop mode).
-   * Skips rebuilding if segment index and state haven't changed.
+   * Restore a checkpointed session from localStorage, if one exists.
+   * Running sessions are caught up to the current wall-clock time; any
+   * segments that ended while the page was closed are summarized in a toast.
+   * @returns {boolean} Whether a session was restored.
    */
-  function renderProgress() {
-    // Loop mode: show cycle counter instead of dots
-    if (config.loop) {
-      var loopHtml = '<span class="loop-counter">' + loopCycleCount + ' cycle' + (loopCycleCount !== 1 ? 's' : '') + '</span>';
-      if (elProgress.innerHTML !== loopHtml) {
-        elProgress.innerHTML = loopHtml;
-      }
-      return;
+  function restoreSession() {
+    var raw = localStorage.getItem(LS_SESSION);
+    if (!raw) return false;
+
+    var snap;
+    try {
+      snap = JSON.parse(raw);
+    } catch (e) {
+      clearSession();
+      return false;
+    }
+    if (!snap || !Array.isArray(snap.timeline) || snap.timeline.length === 0 ||
+        typeof snap.currentIndex !== 'number' || !snap.timeline[snap.currentIndex] ||
+        ['running', 'paused', 'waiting'].indexOf(snap.state) === -1) {
+      clearSession();
+      return false;
     }
 
-    // Only rebuild if segment or state changed
-    if (currentIndex === lastRenderedProgressIndex && state === lastRenderedProgressState) return;
-    lastRenderedProgressIndex = currentIndex;
-    lastRenderedProgressState = state;
+    // Checkpoints from before the engine split named the cycle count for loop mode
+    if (snap.cycleCount === undefined) snap.cycleCount = snap.loopCycleCount;
+    engine.load(snap);
+    loopStopAt = snap.loopStopAt || 0;
+    sessionId = snap.sessionId || null;
+    idleAway = snap.idleAway || null;
+
+    var missed = [];
+    // Replay each boundary crossed while closed, logging it at the time it happened
+    var finished = !engine.catchUp(Date.now(), function (kind, at) {
+      if (kind === 'segmentEnd') missed.push(engine.timeline[engine.currentIndex].type);
+      logEvent(kind, at);
+    });
 
-    var groups = getWorkIndicesByBlock();
-    var out = '';
+    lastDisplayedSeconds = -1;
 
-    for (var g = 0; g < groups.length; g++) {
-      if (g > 0) {
-        out += '<div class="progress-gap"></div>';
-      }
-      for (var d = 0; d < groups[g].length; d++) {
-        var idx = groups[g][d];
-        var cls = 'progress-dot';
-        if (idx < currentIndex) {
-          cls += ' done';
-        } else if (idx === currentIndex) {
-          cls += ' current';
-          if (state === 'paused') cls += ' paused';
-        } else {
-          // Check if we're on this work segment's break (idx+1)
-          var nextIdx = idx + 1;
-          if (currentIndex === nextIdx && nextIdx < timeline.length &&
-              (timeline[nextIdx].type === 'break' || timeline[nextIdx].type === 'majorBreak')) {
-            cls = 'progress-dot current';
-            if (state === 'paused') cls += ' paused';
-          }
-        }
-        out += '<div class="' + cls + '"></div>';
-      }
+    if (finished) {
+      engine.complete({ quiet: true });
+    } else {
+      engine.run();
+      saveSession();
+      updateDisplay();
     }
 
-    elProgress.innerHTML = out;
+    if (missed.length > 0) {
+      announce(summarizeMissed(missed) + (finished ? ' \u2014 session done' : ''));
+    }
+    return true;
   }
 
-  /** Render all progress dots as completed (done state). */
-  function renderProgressDone() {
-    var groups = getWorkIndicesByBlock();
-    var out = '';
-
-    for (var g = 0; g < groups.length; g++) {
-      if (g > 0) out += '<div class="progress-gap"></div>';
-      for (var d = 0; d < groups[g].length; d++) {
-        out += '<div class="progress-dot done"></div>';
+  /**
+   * Build a short summary of segments that ended while the page was closed.
+   * @param {string[]} types - Segment types in the order they ended.
+   * @returns {string} Summary text, e.g. "While away: 2 × Work, 1 × Break".
+   */
+  function summarizeMissed(types) {
+    var counts = {};
+    var order = [];
+    for (var i = 0; i < types.length; i++) {
+      var label = phaseLabel(types[i]);
+      if (!counts[label]) {
+        counts[label] = 0;
+        order.push(label);
       }
+      counts[label]++;
     }
-
-    elProgress.innerHTML = out;
-    lastRenderedProgressIndex = -1;
-    lastRenderedProgressState = '';
+    var parts = [];
+    for (var j = 0; j < order.length; j++) {
+      parts.push(counts[order[j]] + ' \u00d7 ' + order[j]);
+    }
+    return 'While away: ' + parts.join(', ');
   }
 
 
   /* ================================================================
-     CONTROLS
+     TAB COORDINATION
+     Only one tab (the leader) runs the timer engine, plays tones and
+     fires notifications. Other tabs are followers: they mirror the
+     leader's state as it is broadcast and forward control actions to it.
+
+     Election uses the Web Locks API where available — the leader holds
+     a lock for its lifetime and the next queued tab is granted it when
+     the leader closes. Otherwise a localStorage lease with a heartbeat
+     is used. Messages travel over BroadcastChannel, falling back to
+     storage events on a scratch localStorage key.
      ================================================================ */
 
-  /** Clear controls (idle state). */
-  function renderControlsEmpty() {
-    if (lastRenderedControlState === 'empty') return;
-    lastRenderedControlState = 'empty';
-    elControls.innerHTML = '';
-  }
-
-  /** Render running/paused controls: pause/resume, skip, reset. */
-  function renderControls() {
-    var key = state === 'paused' ? 'paused' : 'running';
-    if (lastRenderedControlState === key) return;
-    lastRenderedControlState = key;
-
-    var pauseLabel = state === 'paused' ? 'resume' : 'pause';
-    elControls.innerHTML =
-      '<button class="ctrl-btn" data-action="pause">' + pauseLabel + '</button>' +
-      '<span class="ctrl-sep">\u00b7</span>' +
-      '<button class="ctrl-btn" data-action="skip">skip</button>' +
-      '<span class="ctrl-sep">\u00b7</span>' +
-      '<button class="ctrl-btn" data-action="reset">reset</button>';
+  /**
+   * Post a message to all other Focus tabs.
+   * @param {Object} msg - Message with a `type` field.
+   */
+  function postSync(msg) {
+    if (syncChannel) {
+      syncChannel.postMessage(msg);
+      return;
+    }
+    try {
+      // Nonce ensures repeated identical messages still fire a storage event
+      localStorage.setItem(LS_SYNC, JSON.stringify({ msg: msg, nonce: Math.random() }));
+    } catch (e) {
+      // Storage unavailable — tabs simply won't sync
+    }
   }
 
-  /** Render done state controls: restart button. */
-  function renderControlsDone() {
-    if (lastRenderedControlState === 'done') return;
-    lastRenderedControlState = 'done';
-    elControls.innerHTML =
-      '<button class="ctrl-btn" data-action="reset">restart</button>';
+  /** Broadcast the engine state to follower tabs (leader only). */
+  function broadcastState() {
+    if (!isLeader) return;
+    postSync({ type: 'state', snapshot: sessionSnapshot() });
   }
 
-  /** Render waiting state controls: continue, skip, reset. */
-  function renderControlsWaiting() {
-    if (lastRenderedControlState === 'waiting') return;
-    lastRenderedControlState = 'waiting';
-    elControls.innerHTML =
-      '<button class="ctrl-btn" data-action="continue">continue</button>' +
-      '<span class="ctrl-sep">\u00b7</span>' +
-      '<button class="ctrl-btn" data-action="skip">skip</button>' +
-      '<span class="ctrl-sep">\u00b7</span>' +
-      '<button class="ctrl-btn" data-action="reset">reset</button>';
+  /**
+   * Show a toast in this tab and mirror it to all other tabs.
+   * Used for engine events (skips, catch-up summaries) that every tab should see.
+   * @param {string} message - Text to display.
+   */
+  function announce(message) {
+    showToast(message);
+    postSync({ type: 'toast', message: message, canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 });
   }
 
-  // Delegated click handler for controls
-  elControls.addEventListener('click', function (e) {
-    var btn = e.target.closest('.ctrl-btn');
-    if (!btn) return;
-
-    // Ensure AudioContext is initialized on user gesture
-    ensureLiveContext();
-
-    var action = btn.getAttribute('data-action');
+  /**
+   * Run a timer action locally. Guards against actions that no longer
+   * apply, since a follower may forward a command based on a stale view.
+   * @param {string} action - start | togglePause | pause | resume | skip | extend | shorten |
+   *   endOvertime | endWork | idleDiscard | idleKeep | idleBreak | reset | continue | undo | redo | jump.
+   * @param {*} [arg] - Argument for actions that take one: jump takes a timeline index.
+   */
+  function runAction(action, arg) {
     switch (action) {
-      case 'pause': togglePause(); break;
+      case 'start': if (engine.state === 'idle') start(); break;
+      case 'togglePause': togglePause(); break;
+      case 'pause': if (engine.state === 'running') pause(); break;
+      case 'resume': if (engine.state === 'paused') resume(); break;
       case 'skip': skip(); break;
-      case 'reset': reset(); break;
+      case 'extend': adjust(1); break;
+      case 'shorten': adjust(-1); break;
+      case 'endOvertime': endOvertime(); break;
+      case 'endWork': endFlowWork(); break;
+      case 'idleDiscard': resolveIdle('discard'); break;
+      case 'idleKeep': resolveIdle('keep'); break;
+      case 'idleBreak': resolveIdle('break'); break;
+      case 'reset': if (engine.state !== 'idle') reset(); break;
       case 'continue': continueFromWaiting(); break;
+      case 'undo': undo(); break;
+      case 'redo': redo(); break;
+      case 'jump': jumpTo(arg); break;
+    }
+  }
+
+  /**
+   * Perform a timer action — locally if this tab is the leader,
+   * otherwise by forwarding it to the leader tab.
+   * @param {string} action - Action name, see runAction().
+   * @param {*} [arg] - Action argument, see runAction().
+   */
+  function dispatch(action, arg) {
+    if (isLeader) runAction(action, arg);
+    else postSync({ type: 'command', action: action, arg: arg });
+  }
+
+  /**
+   * Handle a message from another tab.
+   * @param {Object} msg - The received message.
+   */
+  function handleSyncMessage(msg) {
+    if (!msg || !msg.type) return;
+    switch (msg.type) {
+      case 'state':
+        if (!isLeader) applyRemoteState(msg.snapshot);
+        break;
+      case 'command':
+        if (isLeader) runAction(msg.action, msg.arg);
+        break;
+      case 'hello':
+        broadcastState();
+        break;
+      case 'activity':
+        if (isLeader) lastActivity = Date.now();
+        break;
+      case 'toast':
+        showToast(msg.message, msg.canUndo, !!msg.canRedo);
+        break;
+      case 'history':
+        if (drawerOpen) renderHistory();
+        if (statsOpen) renderStats();
+        refreshGoal();
+        break;
+      case 'goal':
+        flash(true);
+        showToast(msg.message, false, false);
+        break;
+      case 'leader-gone':
+        // Jitter so several followers don't all claim the lease at once
+        if (!isLeader && !navigator.locks) {
+          setTimeout(checkLease, Math.random() * 300);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Mirror the leader's engine state in this (follower) tab.
+   * @param {Object} snap - Snapshot from sessionSnapshot().
+   */
+  function applyRemoteState(snap) {
+    if (!snap) return;
+    var prevIndex = engine.currentIndex;
+    var prevState = engine.state;
+
+    engine.load(snap);
+    loopStopAt = snap.loopStopAt || 0;
+    sessionId = snap.sessionId || null;
+    idleAway = snap.idleAway || null;
+    syncIdlePrompt();
+
+    if (engine.state === 'idle') {
+      lastRenderedControlState = '';
+      lastRenderedProgressIndex = -1;
+      lastRenderedProgressState = '';
+      prevPhaseText = '';
+    } else if (prevState !== 'idle' && engine.currentIndex !== prevIndex) {
+      flash();
+    }
+
+    lastDisplayedSeconds = -1;
+    if (engine.state === 'running') startMirroring();
+    else stopMirroring();
+    updateDisplay();
+  }
+
+  /** Start the follower display loop, counting down to the leader's targetTime. */
+  function startMirroring() {
+    if (mirrorIntervalId) return;
+    mirrorIntervalId = setInterval(mirrorTick, 250);
+    mirrorTick();
+  }
+
+  /** Stop the follower display loop. */
+  function stopMirroring() {
+    clearInterval(mirrorIntervalId);
+    mirrorIntervalId = null;
+  }
+
+  /** Follower tick — display only; transitions arrive from the leader. */
+  function mirrorTick() {
+    var secsLeft = engine.syncRemaining(Date.now());
+    if (secsLeft !== lastDisplayedSeconds) {
+      lastDisplayedSeconds = secsLeft;
+      updateDisplay();
+    }
+  }
+
+  /**
+   * Take over the timer engine. The previous leader's last checkpoint is
+   * restored from localStorage and caught up to the wall clock.
+   */
+  function becomeLeader() {
+    if (isLeader) return;
+    isLeader = true;
+    stopMirroring();
+    restoreSession();
+    broadcastState();
+    startIdleDetector();
+    updateKeepAlive();
+  }
+
+  /** Hand the engine over to another tab and start mirroring it. */
+  function becomeFollower() {
+    isLeader = false;
+    engine.stopTicking();
+    stopIdleDetector();
+    // Undo history belongs to the engine; the new leader starts its own
+    clearUndo();
+    updateKeepAlive();
+    cancelSpeech();
+    // Ambient sound and the waiting reminder stop once the leader's state is loaded
+    postSync({ type: 'hello' });
+  }
+
+  /**
+   * Read the localStorage leader lease.
+   * @returns {?{id: string, ts: number}} The lease, or null if absent/corrupt.
+   */
+  function readLease() {
+    try {
+      return JSON.parse(localStorage.getItem(LS_LEADER));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** Lease heartbeat: renew our lease, claim a stale one, or yield to a live leader. */
+  function checkLease() {
+    var lease = readLease();
+    var now = Date.now();
+    var held = lease && lease.id !== TAB_ID && now - lease.ts < LEADER_TTL;
+    if (held) {
+      if (isLeader) becomeFollower();
+      return;
+    }
+    localStorage.setItem(LS_LEADER, JSON.stringify({ id: TAB_ID, ts: now }));
+    becomeLeader();
+  }
+
+  /** Set up the message transport and leader election. */
+  function initTabSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      try {
+        syncChannel = new BroadcastChannel(SYNC_NAME);
+        syncChannel.onmessage = function (e) {
+          handleSyncMessage(e.data);
+        };
+      } catch (e) {
+        syncChannel = null;
+      }
+    }
+
+    window.addEventListener('storage', function (e) {
+      if (e.key === LS_SYNC && e.newValue && !syncChannel) {
+        try {
+          handleSyncMessage(JSON.parse(e.newValue).msg);
+        } catch (err) {
+          // Ignore malformed messages
+        }
+      } else if (e.key === LS_CONFIG || e.key === LS_PRESETS) {
+        // Keep settings in step with edits made in other tabs
+        loadConfig();
+        updateCustomTones(true);
+        updateSoundFiles();
+        renderCustomTones();
+        renderSoundFiles();
+        formFromConfig();
+        renderSegmentTypes();
+        renderBlocks();
+        renderCustomPresets();
+        renderSchedules();
+        syncSoundUI();
+        startIdleDetector();
+        updateWaitingReminder();
+        if (e.key === LS_CONFIG) {
+          refreshLoopPlan();
+          refreshGoal();
+        }
+        if (engine.state === 'idle') updateDisplay();
+      } else if (e.key === LS_GOAL_LOG) {
+        goalLog = loadGoalLog();
+      }
+    });
+
+    // Show the last checkpoint right away; the leader's broadcast refines it
+    try {
+      var stored = JSON.parse(localStorage.getItem(LS_SESSION));
+      if (stored && Array.isArray(stored.timeline)) applyRemoteState(stored);
+    } catch (e) {
+      // No usable checkpoint
+    }
+
+    if (navigator.locks && navigator.locks.request) {
+      postSync({ type: 'hello' });
+      // Queue for the lock; it is granted immediately if no other tab holds it
+      navigator.locks.request(SYNC_NAME, function () {
+        becomeLeader();
+        // Hold the lock for the lifetime of the tab
+        return new Promise(function () {});
+      });
+    } else {
+      if (!readLease() || Date.now() - readLease().ts >= LEADER_TTL) {
+        checkLease();
+      } else {
+        postSync({ type: 'hello' });
+      }
+      leaseIntervalId = setInterval(checkLease, 1000);
+    }
+
+    window.addEventListener('pagehide', function () {
+      if (!isLeader) return;
+      if (!navigator.locks) {
+        var lease = readLease();
+        if (lease && lease.id === TAB_ID) localStorage.removeItem(LS_LEADER);
+      }
+      postSync({ type: 'leader-gone' });
+    });
+  }
+
+
+  /* ================================================================
+     HISTORY LOG
+     Every segment start/end, skip, pause/resume, undo and reset is
+     appended to an IndexedDB store as a timestamped event. Only the
+     leader tab writes; any tab can read. If IndexedDB is unavailable
+     (e.g. some private browsing modes) logging silently no-ops.
+     ================================================================ */
+
+  /** @type {?Promise<?IDBDatabase>} Lazily opened database handle. */
+  var dbPromise = null;
+  /** @type {number} Number of history events currently shown in the drawer. */
+  var historyShown = HISTORY_PAGE_SIZE;
+
+  /**
+   * Open (and on first run or a version bump, create or upgrade) the
+   * IndexedDB database.
+   * @returns {Promise<?IDBDatabase>} Resolves to the database, or null if unavailable.
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(function (resolve) {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+      try {
+        var req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = function () {
+          var db = req.result;
+          if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+            var store = db.createObjectStore(STORE_HISTORY, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('ts', 'ts');
+          }
+          if (!db.objectStoreNames.contains(STORE_SOUNDS)) {
+            db.createObjectStore(STORE_SOUNDS, { keyPath: 'id' });
+          }
+        };
+        req.onsuccess = function () {
+          var db = req.result;
+          // Let a newer version in another tab upgrade; open again on next use
+          db.onversionchange = function () {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        req.onerror = function () { resolve(null); };
+        // An older tab still has the database open; the upgrade waits for it
+        req.onblocked = function () {
+          showToast('Close other Focus tabs to finish updating', false, false);
+        };
+      } catch (e) {
+        resolve(null);
+      }
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Append an event for the current segment to the history log (leader only).
+   * Planned is the segment's full duration; actual is the time it has
+   * actually run, excluding pauses.
+   * Events logged while a segment is past its end carry the overtime in seconds.
+   * @param {string} kind - segmentStart | segmentEnd | skip | adjust | overtime | pause | resume | undo |
+   *   reset | complete.
+   * @param {?number} [ts=Date.now()] - Event timestamp; used to backdate catch-up events.
+   * @param {Object} [details] - Extra fields for the event, e.g. { delta } for adjustments.
+   */
+  function logEvent(kind, ts, details) {
+    if (!isLeader) return;
+    var seg = engine.timeline[engine.currentIndex];
+    var event = {
+      ts: ts || Date.now(),
+      kind: kind,
+      session: sessionId,
+      segType: seg && kind !== 'complete' ? seg.type : null,
+      label: seg && kind !== 'complete' ? phaseLabel(seg.type) : null,
+      focus: seg ? isFocusType(seg.type) : false,
+      planned: seg ? seg.duration : 0,
+      actual: seg ? Math.max(0, seg.duration - engine.remainingSeconds) : 0,
+      preset: activePreset
+    };
+    if (seg && !seg.open && engine.remainingSeconds < 0) event.overtime = -engine.remainingSeconds;
+    for (var key in details) event[key] = details[key];
+    openDb().then(function (db) {
+      if (!db) return;
+      var tx = db.transaction(STORE_HISTORY, 'readwrite');
+      tx.objectStore(STORE_HISTORY).add(event);
+      tx.oncomplete = function () {
+        if (drawerOpen) renderHistory();
+        if (statsOpen) renderStats();
+        if (endsSegment(event)) refreshGoal(true);
+        postSync({ type: 'history' });
+      };
+    });
+  }
+
+  /**
+   * Read history events, newest first.
+   * @param {number} [limit] - Maximum number of events to return; all if omitted.
+   * @returns {Promise<Object[]>} Events, newest first.
+   */
+  function readHistory(limit) {
+    return openDb().then(function (db) {
+      if (!db) return [];
+      return new Promise(function (resolve) {
+        var out = [];
+        var req = db.transaction(STORE_HISTORY, 'readonly')
+          .objectStore(STORE_HISTORY).index('ts').openCursor(null, 'prev');
+        req.onsuccess = function () {
+          var cursor = req.result;
+          if (!cursor || (limit && out.length >= limit)) {
+            resolve(out);
+            return;
+          }
+          out.push(cursor.value);
+          cursor.continue();
+        };
+        req.onerror = function () { resolve(out); };
+      });
+    });
+  }
+
+  /**
+   * Delete all history events.
+   * @returns {Promise<void>}
+   */
+  function clearHistory() {
+    return openDb().then(function (db) {
+      if (!db) return;
+      return new Promise(function (resolve) {
+        var tx = db.transaction(STORE_HISTORY, 'readwrite');
+        tx.objectStore(STORE_HISTORY).clear();
+        tx.oncomplete = function () { resolve(); };
+        tx.onerror = function () { resolve(); };
+      });
+    });
+  }
+
+  /**
+   * Format a duration in seconds as a compact string, e.g. "1h 5m", "25m", "40s".
+   * @param {number} sec - Duration in seconds.
+   * @returns {string} Formatted duration.
+   */
+  function formatDuration(sec) {
+    sec = Math.round(sec);
+    if (sec < 60) return sec + 's';
+    var h = Math.floor(sec / 3600);
+    var m = Math.floor((sec % 3600) / 60);
+    if (h === 0) return m + 'm';
+    return m === 0 ? h + 'h' : h + 'h ' + m + 'm';
+  }
+
+  /**
+   * Describe a history event for the drawer list.
+   * @param {Object} ev - History event.
+   * @returns {string} Human-readable description.
+   */
+  function describeEvent(ev) {
+    var label = ev.label || (ev.segType ? phaseLabel(ev.segType) : '');
+    // Open-ended flowtime work has no planned length until it ends
+    var progress = formatDuration(ev.actual) + (ev.planned ? ' of ' + formatDuration(ev.planned) : '');
+    switch (ev.kind) {
+      case 'segmentStart': return label + ' started' + (ev.planned ? ' \u00b7 ' + formatDuration(ev.planned) : '');
+      case 'segmentEnd':
+        return label + ' completed \u00b7 ' + formatDuration(ev.actual) +
+          (ev.overtime ? ' (' + formatDuration(ev.overtime) + ' overtime)' : '');
+      case 'overtime': return label + ' went into overtime';
+      case 'skip': return label + ' skipped \u00b7 ' + progress;
+      case 'jump': return label + ' left for ' + (ev.target || 'another segment') + ' \u00b7 ' + progress;
+      case 'adjust':
+        return label + (ev.delta > 0 ? ' extended by ' : ' shortened by ') +
+          formatDuration(Math.abs(ev.delta)) + ' \u00b7 now ' + formatDuration(ev.planned);
+      case 'pause': return label + ' paused \u00b7 ' + progress;
+      case 'resume': return label + ' resumed';
+      case 'undo':
+        return 'Undo' + (ev.action ? ' ' + UNDO_LABELS[ev.action] : '') + (label ? ' \u2014 back to ' + label : '');
+      case 'redo':
+        return 'Redo' + (ev.action ? ' ' + UNDO_LABELS[ev.action] : '') + (label ? ' \u2014 ' + label : '');
+      case 'reset': return 'Reset during ' + label + ' \u00b7 ' + progress;
+      case 'complete': return 'Session complete';
+      default: return ev.kind;
+    }
+  }
+
+  /** Render the most recent history events into the drawer's History section. */
+  function renderHistory() {
+    readHistory(historyShown + 1).then(function (events) {
+      var hasMore = events.length > historyShown;
+      if (hasMore) events = events.slice(0, historyShown);
+
+      if (events.length === 0) {
+        elHistoryList.innerHTML = '<p class="history-empty">No history yet</p>';
+        elHistoryMore.style.display = 'none';
+        elHistoryClear.style.display = 'none';
+        return;
+      }
+
+      var out = '';
+      var lastDay = '';
+      for (var i = 0; i < events.length; i++) {
+        var d = new Date(events[i].ts);
+        var day = d.toDateString();
+        if (day !== lastDay) {
+          lastDay = day;
+          out += '<div class="history-day">' +
+            d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }) +
+            '</div>';
+        }
+        out += '<div class="history-item history-' + events[i].kind + '">' +
+          '<span class="history-time">' + pad(d.getHours()) + ':' + pad(d.getMinutes()) + '</span>' +
+          '<span class="history-text">' + escapeHtml(describeEvent(events[i])) + '</span>' +
+          '</div>';
+      }
+      elHistoryList.innerHTML = out;
+      elHistoryMore.style.display = hasMore ? '' : 'none';
+      elHistoryClear.style.display = '';
+    });
+  }
+
+  elHistoryMore.addEventListener('click', function () {
+    historyShown += HISTORY_PAGE_SIZE;
+    renderHistory();
+  });
+
+  // Two-step clear: first click arms, second click within 3s confirms
+  elHistoryClear.addEventListener('click', function () {
+    if (!elHistoryClear.classList.contains('armed')) {
+      elHistoryClear.classList.add('armed');
+      elHistoryClear.textContent = 'click again to clear';
+      setTimeout(function () {
+        elHistoryClear.classList.remove('armed');
+        elHistoryClear.textContent = 'clear history';
+      }, 3000);
+      return;
     }
+    elHistoryClear.classList.remove('armed');
+    elHistoryClear.textContent = 'clear history';
+    clearHistory().then(function () {
+      renderHistory();
+      refreshGoal();
+      postSync({ type: 'history' });
+    });
   });
 
 
   /* ================================================================
-     BLOCKS UI
+     STATISTICS
+     Aggregates the history log into focus/break totals per day, week
+     and month. Everything is derived from history events, so totals
+     survive resets and reloads.
      ================================================================ */
 
-  /** Render block rows in the settings drawer from current config. */
-  function renderBlocks() {
-    elBlocksList.innerHTML = '';
+  /**
+   * Get the start of the day, week (Monday) or month containing a date.
+   * @param {Date} date - Any moment within the period.
+   * @param {string} unit - day | week | month.
+   * @returns {Date} Local-time start of the period.
+   */
+  function periodStart(date, unit) {
+    var d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (unit === 'week') {
+      d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    } else if (unit === 'month') {
+      d.setDate(1);
+    }
+    return d;
+  }
 
-    for (var i = 0; i < config.blocks.length; i++) {
-      var block = config.blocks[i];
-      var isLast = i === config.blocks.length - 1;
-      var canRemove = config.blocks.length > 1;
+  /**
+   * Move a period start forward or back by whole periods.
+   * @param {Date} start - Period start from periodStart().
+   * @param {string} unit - day | week | month.
+   * @param {number} n - Number of periods (negative to go back).
+   * @returns {Date} New period start.
+   */
+  function shiftPeriod(start, unit, n) {
+    var d = new Date(start.getTime());
+    if (unit === 'day') d.setDate(d.getDate() + n);
+    else if (unit === 'week') d.setDate(d.getDate() + n * 7);
+    else d.setMonth(d.getMonth() + n);
+    return d;
+  }
 
-      var row = document.createElement('div');
-      row.className = 'block-row';
-      row.setAttribute('data-index', i);
+  /**
+   * Whether a history event closes its segment, so its time counts.
+   * @param {Object} ev - History event.
+   * @returns {boolean} True for segmentEnd, skip, jump and reset.
+   */
+  function endsSegment(ev) {
+    return ev.kind === 'segmentEnd' || ev.kind === 'skip' || ev.kind === 'jump' || ev.kind === 'reset';
+  }
 
-      var cyclesInput = document.createElement('input');
-      cyclesInput.type = 'number';
-      cyclesInput.className = 'block-cycles';
-      cyclesInput.min = '1';
-      cyclesInput.removeAttribute('max');
-      cyclesInput.value = block.cycles;
+  /**
+   * Aggregate history events that fall within [from, to).
+   * A segment's time counts when it ends — completed, skipped or reset.
+   * Focus time includes custom segment types flagged as focus; break time
+   * covers short and major breaks only.
+   * The streak is the longest run of completed work segments in one
+   * session with no skipped work and no reset in between.
+   * @param {Object[]} events - History events, oldest first.
+   * @param {number} from - Range start timestamp (ms, inclusive).
+   * @param {number} to - Range end timestamp (ms, exclusive).
+   * Overtime is also counted on its own, on top of being part of focus time.
+   * @returns {{focusSec: number, overtimeSec: number, cycles: number, breakSec: number,
+   *   breakSkippedSec: number, streak: number, streakSec: number}}
+   */
+  function computeStats(events, from, to) {
+    var st = { focusSec: 0, overtimeSec: 0, cycles: 0, breakSec: 0, breakSkippedSec: 0, streak: 0, streakSec: 0 };
+    var run = 0;
+    var runSec = 0;
+    var runSession = null;
+
+    for (var i = 0; i < events.length; i++) {
+      var ev = events[i];
+      if (ev.ts < from || ev.ts >= to) continue;
+      var skipped = ev.kind === 'skip' || ev.kind === 'jump';
+      var ends = endsSegment(ev);
+      var isWork = ev.segType === 'work';
+      var isBreak = ev.segType === 'break' || ev.segType === 'majorBreak';
+      // Older events predate the focus flag; only work counted then
+      var isFocus = ev.focus !== undefined ? ev.focus : isWork;
+
+      if (ends && isFocus) {
+        st.focusSec += ev.actual;
+        st.overtimeSec += ev.overtime || 0;
+      } else if (ends && isBreak) {
+        st.breakSec += ev.actual;
+        if (skipped) st.breakSkippedSec += ev.planned - ev.actual;
+      }
 
-      var cyclesLabel = document.createElement('span');
-      cyclesLabel.className = 'block-label';
-      cyclesLabel.textContent = 'cycles';
+      // Streak bookkeeping
+      if (ev.session !== runSession || (isWork && skipped) || ev.kind === 'reset') {
+        run = 0;
+        runSec = 0;
+        runSession = ev.session;
+      }
+      if (isWork && ev.kind === 'segmentEnd') {
+        st.cycles++;
+        run++;
+        runSec += ev.actual;
+        if (run > st.streak || (run === st.streak && runSec > st.streakSec)) {
+          st.streak = run;
+          st.streakSec = runSec;
+        }
+      }
+    }
+    return st;
+  }
+
+  /**
+   * Label for a period in the stats chart.
+   * @param {Date} start - Period start.
+   * @param {string} unit - day | week | month.
+   * @returns {string} Short label, e.g. "Mon", "12/5", "Jun".
+   */
+  function periodLabel(start, unit) {
+    if (unit === 'day') return start.toLocaleDateString(undefined, { weekday: 'short' });
+    if (unit === 'month') return start.toLocaleDateString(undefined, { month: 'short' });
+    return start.getDate() + '/' + (start.getMonth() + 1);
+  }
+
+  /** Render the summary and chart for the selected stats range. */
+  function renderStats() {
+    var unit = statsRange;
+    var range = STATS_RANGES[unit];
+    var current = periodStart(new Date(), unit);
+    var first = shiftPeriod(current, unit, -(range.bars - 1));
+
+    readHistory().then(function (events) {
+      events.reverse(); // oldest first
+
+      var totals = computeStats(events, current.getTime(), shiftPeriod(current, unit, 1).getTime());
+      var summary = [
+        ['Focused', formatDuration(totals.focusSec)],
+        ['Overtime', formatDuration(totals.overtimeSec)],
+        ['Work cycles', totals.cycles],
+        ['Breaks taken', formatDuration(totals.breakSec)],
+        ['Breaks skipped', formatDuration(totals.breakSkippedSec)],
+        ['Longest streak', totals.streak ? totals.streak + ' \u00d7 ' + formatDuration(totals.streakSec) : '\u2014']
+      ];
+      if (config.goal.enabled) {
+        summary.push(['Daily goal met', goalDaysMet(current, shiftPeriod(current, unit, 1))]);
+      }
+      var out = '';
+      for (var i = 0; i < summary.length; i++) {
+        out += '<div class="field-row stats-row">' +
+          '<span class="stats-key">' + summary[i][0] + '</span>' +
+          '<span class="stats-value">' + summary[i][1] + '</span>' +
+          '</div>';
+      }
+      elStatsSummary.innerHTML = out;
+
+      // Bar chart of focused time per period, scaled to the busiest period
+      var bars = [];
+      var max = 0;
+      for (var b = 0; b < range.bars; b++) {
+        var start = shiftPeriod(first, unit, b);
+        var st = computeStats(events, start.getTime(), shiftPeriod(start, unit, 1).getTime());
+        bars.push({ label: periodLabel(start, unit), focusSec: st.focusSec, breakSec: st.breakSec });
+        if (st.focusSec > max) max = st.focusSec;
+      }
+      var chart = '';
+      for (var c = 0; c < bars.length; c++) {
+        var pct = max > 0 ? Math.round(bars[c].focusSec / max * 100) : 0;
+        chart += '<div class="stats-bar' + (c === bars.length - 1 ? ' current' : '') + '"' +
+          ' title="' + bars[c].label + ': ' + formatDuration(bars[c].focusSec) + ' focused">' +
+          '<span class="stats-bar-value">' + (bars[c].focusSec ? formatDuration(bars[c].focusSec) : '') + '</span>' +
+          '<span class="stats-bar-track"><span class="stats-bar-fill" style="height:' + pct + '%"></span></span>' +
+          '<span class="stats-bar-label">' + bars[c].label + '</span>' +
+          '</div>';
+      }
+      elStatsChart.innerHTML = chart;
+      elStatsChartLabel.textContent = range.label;
+    });
+  }
+
+  /** Open the statistics panel (closing the settings drawer if open). */
+  function openStats() {
+    if (drawerOpen) closeDrawer();
+    statsOpen = true;
+    elStatsPanel.classList.add('open');
+    elStatsPanel.setAttribute('aria-hidden', 'false');
+    elBackdrop.classList.add('open');
+    elStatsToggle.classList.add('active');
+    renderStats();
+  }
+
+  /** Close the statistics panel. */
+  function closeStats() {
+    if (!statsOpen) return;
+    statsOpen = false;
+    elStatsPanel.classList.remove('open');
+    elStatsPanel.setAttribute('aria-hidden', 'true');
+    elBackdrop.classList.remove('open');
+    elStatsToggle.classList.remove('active');
+  }
+
+  /** Toggle the statistics panel open/closed. */
+  function toggleStats() {
+    if (statsOpen) closeStats();
+    else openStats();
+  }
+
+  elStatsToggle.addEventListener('click', toggleStats);
+
+  for (var sr = 0; sr < elStatsRangeBtns.length; sr++) {
+    elStatsRangeBtns[sr].addEventListener('click', function () {
+      statsRange = this.getAttribute('data-range');
+      for (var j = 0; j < elStatsRangeBtns.length; j++) {
+        elStatsRangeBtns[j].classList.toggle('active', elStatsRangeBtns[j] === this);
+      }
+      renderStats();
+    });
+  }
+
+
+  /* ================================================================
+     DAILY GOAL
+     A target of work cycles or focus hours per day. Progress is derived
+     from the history log, so it spans every session of the day, resets
+     included. Days roll over at a configurable hour rather than midnight.
+     Each day's outcome is kept in a small log for the stats panel.
+     ================================================================ */
+
+  /** @type {?{day: string, cycles: number, focusSec: number}} Progress for the current goal day. */
+  var goalProgress = null;
+  /**
+   * @type {Object<string, {unit: string, target: number, cycles: number, focusSec: number, reachedAt: ?number}>}
+   * Goal outcome per goal day, keyed by its YYYY-MM-DD date.
+   */
+  var goalLog = loadGoalLog();
+
+  /**
+   * Load the goal log from localStorage.
+   * @returns {Object} Goal log, empty if missing or malformed.
+   */
+  function loadGoalLog() {
+    try {
+      return sanitizeGoalLog(JSON.parse(localStorage.getItem(LS_GOAL_LOG)));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Normalize a goal log, dropping entries that don't look like days.
+   * @param {*} log - Raw goal log from storage or an import.
+   * @returns {Object} Clean goal log.
+   */
+  function sanitizeGoalLog(log) {
+    var out = {};
+    if (!log || typeof log !== 'object' || Array.isArray(log)) return out;
+    for (var day in log) {
+      var r = log[day];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !r || typeof r !== 'object') continue;
+      out[day] = {
+        unit: r.unit === 'hours' ? 'hours' : 'cycles',
+        target: Math.max(0, parseFloat(r.target) || 0),
+        cycles: Math.max(0, parseInt(r.cycles, 10) || 0),
+        focusSec: Math.max(0, parseInt(r.focusSec, 10) || 0),
+        reachedAt: typeof r.reachedAt === 'number' ? r.reachedAt : null
+      };
+    }
+    return out;
+  }
+
+  /** Persist the goal log, keeping only the most recent GOAL_LOG_DAYS days. */
+  function saveGoalLog() {
+    var days = Object.keys(goalLog).sort();
+    while (days.length > GOAL_LOG_DAYS) delete goalLog[days.shift()];
+    localStorage.setItem(LS_GOAL_LOG, JSON.stringify(goalLog));
+  }
+
+  /**
+   * Start of the goal day containing a moment, honouring the day-start hour.
+   * @param {Date} date - Any moment.
+   * @returns {Date} Local-time start of the goal day.
+   */
+  function goalDayStart(date) {
+    var d = new Date(date.getFullYear(), date.getMonth(), date.getDate(), config.goal.dayStartHour);
+    if (d > date) d.setDate(d.getDate() - 1);
+    return d;
+  }
+
+  /**
+   * Goal log key for a date.
+   * @param {Date} d - Any moment of the day.
+   * @returns {string} Date as YYYY-MM-DD.
+   */
+  function dayKey(d) {
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  /**
+   * Progress towards a goal in the goal's own unit.
+   * @param {{cycles: number, focusSec: number}} rec - Progress or goal log entry.
+   * @param {string} unit - cycles | hours.
+   * @returns {number} Work cycles, or focus hours.
+   */
+  function goalValue(rec, unit) {
+    return unit === 'hours' ? rec.focusSec / 3600 : rec.cycles;
+  }
+
+  /**
+   * Recompute today's goal progress from the history log, record it in the
+   * goal log and redraw the indicator. The leader celebrates the moment the
+   * goal is first reached, but only for live progress — not when loading,
+   * or when the goal is lowered below what's already done.
+   * @param {boolean} [live=false] - Whether this follows a segment ending now.
+   */
+  function refreshGoal(live) {
+    if (!config.goal.enabled) {
+      goalProgress = null;
+      renderGoal();
+      return;
+    }
+    var start = goalDayStart(new Date());
+    readHistory().then(function (events) {
+      events.reverse(); // oldest first
+      var st = computeStats(events, start.getTime(), shiftPeriod(start, 'day', 1).getTime());
+      var key = dayKey(start);
+      var g = config.goal;
+      goalProgress = { day: key, cycles: st.cycles, focusSec: st.focusSec };
+
+      var rec = goalLog[key] || { reachedAt: null };
+      rec.unit = g.unit;
+      rec.target = g.target;
+      rec.cycles = st.cycles;
+      rec.focusSec = st.focusSec;
+      if (goalValue(rec, g.unit) < g.target) {
+        rec.reachedAt = null; // e.g. the target was raised
+      } else if (!rec.reachedAt) {
+        rec.reachedAt = Date.now();
+        if (live && isLeader) celebrateGoal();
+      }
+      goalLog[key] = rec;
+      if (isLeader) saveGoalLog();
+      renderGoal();
+    });
+  }
+
+  /** Roll the goal over when a new goal day begins (called every second). */
+  function checkGoalDay() {
+    if (goalProgress && dayKey(goalDayStart(new Date())) !== goalProgress.day) refreshGoal();
+  }
+
+  /** Flash, play the goal fanfare and notify, in this tab and any others. */
+  function celebrateGoal() {
+    var message = 'Daily goal reached \u00b7 ' + goalText();
+    flash(true);
+    playTone('goal');
+    fireNotification(message, 'Nice work today.');
+    showToast(message, false, false);
+    postSync({ type: 'goal', message: message });
+  }
+
+  /**
+   * Progress against the goal, e.g. "4 / 6 cycles" or "2h 30m / 4h".
+   * @returns {string} Progress text.
+   */
+  function goalText() {
+    var g = config.goal;
+    if (g.unit === 'hours') {
+      return formatDuration(goalProgress.focusSec) + ' / ' + formatDuration(g.target * 3600);
+    }
+    return goalProgress.cycles + ' / ' + g.target + ' cycle' + (g.target !== 1 ? 's' : '');
+  }
+
+  /** Draw the goal indicator under the progress dots, or hide it. */
+  function renderGoal() {
+    if (!config.goal.enabled || !goalProgress) {
+      elGoal.hidden = true;
+      return;
+    }
+    var value = goalValue(goalProgress, config.goal.unit);
+    var text = goalText();
+    elGoal.hidden = false;
+    elGoal.classList.toggle('reached', value >= config.goal.target);
+    elGoalFill.style.width = Math.min(100, Math.round(value / config.goal.target * 100)) + '%';
+    elGoalLabel.textContent = text + ' today';
+    elGoal.setAttribute('aria-label', 'Daily goal: ' + text);
+  }
+
+  /**
+   * Summarize the goal log for a stats range, e.g. "3 of 5 days".
+   * Only days with a log entry (days the app was used) are counted.
+   * @param {Date} from - Range start.
+   * @param {Date} to - Range end (exclusive).
+   * @returns {string} Days met out of days tracked, or a dash if none.
+   */
+  function goalDaysMet(from, to) {
+    var lo = dayKey(from);
+    var hi = dayKey(to);
+    var met = 0;
+    var tracked = 0;
+    for (var day in goalLog) {
+      if (day < lo || day >= hi) continue;
+      tracked++;
+      if (goalLog[day].reachedAt) met++;
+    }
+    if (tracked === 0) return '\u2014';
+    return met + ' of ' + tracked + ' day' + (tracked !== 1 ? 's' : '');
+  }
+
+
+  /* ================================================================
+     DISPLAY
+     ================================================================ */
+
+  /**
+   * Master display update — sets main element classes, phase text, timer digits,
+   * progress dots, controls, title, and ring based on current state.
+   * Wipes elMain.className every call; all state classes applied here.
+   */
+  function updateDisplay() {
+    // Reset main classes and custom segment color
+    elMain.className = '';
+    elMain.style.removeProperty('--seg-color');
+
+    switch (engine.state) {
+      case 'idle':
+        elMain.classList.add('idle');
+        setPhaseText(APP_NAME);
+        elTimer.innerHTML = 'press space to start';
+        elTimer.onclick = function () { dispatch('start'); };
+        renderProgressEmpty();
+        renderNextSchedule();
+        renderControlsEmpty();
+        break;
+
+      case 'running':
+      case 'paused':
+        var seg = engine.timeline[engine.currentIndex];
+        var segDef = getSegmentType(seg.type);
+        var phaseClass = segDef ? 'custom' : seg.type === 'majorBreak' ? 'major-break' : seg.type;
+
+        var over = isOvertime();
+        if (engine.state === 'paused') {
+          elMain.classList.add('paused');
+        }
+        if (over) {
+          elMain.classList.add('overtime');
+        }
+        elMain.classList.add(phaseClass);
+        if (segDef) {
+          elMain.style.setProperty('--seg-color', 'var(--' + segDef.color + ')');
+        }
+
+        var pLabel = segmentLabel(seg);
+        if (engine.state === 'paused') {
+          pLabel += ' \u2014 paused';
+        } else if (over) {
+          pLabel += ' \u2014 overtime';
+        }
+        setPhaseText(pLabel);
+
+        var shown = Math.abs(engine.remainingSeconds);
+        var rm = Math.floor(shown / 60);
+        var rs = shown % 60;
+        elTimer.innerHTML = (over ? '+' : '') + pad(rm) + '<span class="colon">:</span>' + pad(rs);
+        elTimer.onclick = null;
+
+        renderProgress();
+        renderControls();
+        break;
+
+      case 'done':
+        elMain.classList.add('done');
+        setPhaseText('Done');
+        elTimer.innerHTML = '00<span class="colon">:</span>00';
+        elTimer.onclick = null;
+        renderProgressDone();
+        renderControlsDone();
+        break;
+
+      case 'waiting':
+        var wseg = engine.timeline[engine.currentIndex];
+        elMain.classList.add('waiting');
+        setPhaseText('Up next \u2014 ' + segmentLabel(wseg));
+        elTimer.innerHTML = 'press space to continue';
+        elTimer.onclick = function () { dispatch('continue'); };
+        renderProgress();
+        renderControlsWaiting();
+        break;
+    }
+
+    updateTitle();
+    updateRing();
+  }
+
+  /** Update the SVG progress ring based on elapsed time in the current segment. */
+  function updateRing() {
+    if (engine.state === 'running' || engine.state === 'paused') {
+      var seg = engine.timeline[engine.currentIndex];
+      var total = seg.duration;
+      var elapsed = total - engine.remainingSeconds;
+      var progress = total > 0 ? Math.min(1, elapsed / total) : 0;
+      var offset = RING_CIRCUMFERENCE * (1 - progress);
+      elRingFill.style.strokeDasharray = RING_CIRCUMFERENCE;
+      elRingFill.style.strokeDashoffset = offset;
+      // Pulse from the heads-up until the segment ends
+      elRingFill.classList.toggle('warning', engine.warned && engine.remainingSeconds > 0);
+    } else {
+      // Reset ring
+      elRingFill.style.strokeDasharray = RING_CIRCUMFERENCE;
+      elRingFill.style.strokeDashoffset = RING_CIRCUMFERENCE;
+      elRingFill.classList.remove('warning');
+    }
+  }
+
+  /**
+   * Set the phase label text with a fade-in transition.
+   * Skips update if the text hasn't changed.
+   * @param {string} text - New phase label text.
+   */
+  function setPhaseText(text) {
+    if (text === prevPhaseText) return;
+    prevPhaseText = text;
+    elPhase.classList.remove('transitioning');
+    void elPhase.offsetWidth;
+    elPhase.textContent = text;
+    elPhase.classList.add('transitioning');
+  }
+
+  /** Update document.title with countdown and phase info. */
+  function updateTitle() {
+    var base = APP_NAME;
+    switch (engine.state) {
+      case 'running':
+      case 'paused':
+        var seg = engine.timeline[engine.currentIndex];
+        var label = segmentLabel(seg);
+        if (engine.state === 'paused') label += ' (Paused)';
+        var shown = Math.abs(engine.remainingSeconds);
+        var rm = Math.floor(shown / 60);
+        var rs = shown % 60;
+        document.title = (isOvertime() ? '+' : '') + pad(rm) + ':' + pad(rs) + ' \u2014 ' + label + ' | ' + base;
+        break;
+      case 'done':
+        document.title = 'Done | ' + base;
+        break;
+      case 'waiting':
+        var wseg = engine.timeline[engine.currentIndex];
+        document.title = 'Up next: ' + segmentLabel(wseg) + ' | ' + base;
+        break;
+      default:
+        document.title = base;
+    }
+  }
+
+  /** Update the wall clock display (HH:MM:SS). */
+  function updateClock() {
+    var now = new Date();
+    elClock.textContent = pad(now.getHours()) + ':' + pad(now.getMinutes()) + ':' + pad(now.getSeconds());
+  }
+
+
+  /* ================================================================
+     PROGRESS DOTS
+     ================================================================ */
+
+  /** Clear progress dots and reset render guards. */
+  function renderProgressEmpty() {
+    elProgress.innerHTML = '';
+    lastRenderedProgressIndex = -1;
+    lastRenderedProgressState = '';
+  }
+
+  /**
+   * Dots showing progress toward the next major break in loop mode: one
+   * per cycle in the current group, filled once done.
+   * @returns {string} HTML, or '' when major breaks are off.
+   */
+  function loopProgressHTML() {
+    var every = config.loopOptions.majorEvery;
+    if (!config.loop || isFlowtime() || every <= 0) return '';
+    var seg = engine.timeline[engine.currentIndex];
+    var done = engine.cycleCount % every;
+    // During the major break itself the group just finished is shown full
+    if (done === 0 && engine.cycleCount > 0 && seg && seg.type === 'majorBreak') done = every;
+    var out = '';
+    for (var i = 0; i < every; i++) {
+      var cls = 'progress-dot';
+      if (i < done) cls += ' done';
+      else if (i === done && seg && seg.type === 'work') cls += ' current' + (engine.state === 'paused' ? ' paused' : '');
+      out += '<div class="' + cls + '"></div>';
+    }
+    return out + '<div class="progress-gap"></div>';
+  }
+
+  /**
+   * Render progress dots (finite mode) or cycle counter (loop and flowtime modes).
+   * Dots are buttons that jump to their segment (see SEGMENT JUMPS).
+   * Skips rebuilding if segment index and state haven't changed.
+   */
+  function renderProgress() {
+    // Loop and flowtime modes: show cycle counter instead of dots
+    if (config.loop || isFlowtime()) {
+      var limit = config.loop && !isFlowtime() ? config.loopOptions.stopAfter : 0;
+      var loopHtml = loopProgressHTML() +
+        '<span class="loop-counter">' + engine.cycleCount + (limit ? ' / ' + limit : '') +
+        ' cycle' + ((limit || engine.cycleCount) !== 1 ? 's' : '') + '</span>';
+      if (elProgress.innerHTML !== loopHtml) {
+        elProgress.innerHTML = loopHtml;
+      }
+      return;
+    }
+
+    // Only rebuild if segment or state changed
+    if (engine.currentIndex === lastRenderedProgressIndex && engine.state === lastRenderedProgressState) return;
+    lastRenderedProgressIndex = engine.currentIndex;
+    lastRenderedProgressState = engine.state;
+
+    var groups = getWorkIndicesByBlock();
+    var focused = elProgress.contains(document.activeElement)
+      ? document.activeElement.getAttribute('data-index') : null;
+
+    elProgress.innerHTML = '';
+    for (var g = 0; g < groups.length; g++) {
+      if (g > 0) {
+        var gap = document.createElement('div');
+        gap.className = 'progress-gap';
+        elProgress.appendChild(gap);
+      }
+      for (var d = 0; d < groups[g].length; d++) {
+        var idx = groups[g][d];
+        var cls = 'progress-dot';
+        var slotDef = getSegmentType(engine.timeline[idx].type);
+        if (slotDef) cls += ' slot';
+        if (idx < engine.currentIndex) {
+          cls += ' done';
+        } else if (idx === engine.currentIndex) {
+          cls += ' current';
+          if (engine.state === 'paused') cls += ' paused';
+        } else {
+          // Check if we're on this work segment's break (idx+1)
+          var nextIdx = idx + 1;
+          if (engine.currentIndex === nextIdx && nextIdx < engine.timeline.length &&
+              (engine.timeline[nextIdx].type === 'break' || engine.timeline[nextIdx].type === 'majorBreak')) {
+            cls = 'progress-dot current';
+            if (engine.state === 'paused') cls += ' paused';
+          }
+        }
+        // Labels are user-entered, so they go in as attribute values, not markup
+        var seg = engine.timeline[idx];
+        var dot = document.createElement('button');
+        dot.className = cls;
+        if (slotDef) dot.style.setProperty('--seg-color', 'var(--' + slotDef.color + ')');
+        dot.setAttribute('data-index', idx);
+        dot.setAttribute('aria-label', segmentLabel(seg) + ', ' + formatDuration(seg.duration));
+        elProgress.appendChild(dot);
+      }
+    }
+
+    // Keep keyboard focus on the same dot across rebuilds
+    if (focused !== null) {
+      var focusDot = elProgress.querySelector('[data-index="' + focused + '"]');
+      if (focusDot) focusDot.focus();
+    }
+  }
+
+  /** Render all progress dots as completed (done state). */
+  function renderProgressDone() {
+    var groups = getWorkIndicesByBlock();
+    var out = '';
+
+    // A loop session that hit its limit shows the cycle count, not its buffer
+    if (config.loop || isFlowtime()) {
+      elProgress.innerHTML = '<span class="loop-counter">' + engine.cycleCount +
+        ' cycle' + (engine.cycleCount !== 1 ? 's' : '') + '</span>';
+      lastRenderedProgressIndex = -1;
+      lastRenderedProgressState = '';
+      return;
+    }
+
+    for (var g = 0; g < groups.length; g++) {
+      if (g > 0) out += '<div class="progress-gap"></div>';
+      for (var d = 0; d < groups[g].length; d++) {
+        var slotDef = getSegmentType(engine.timeline[groups[g][d]].type);
+        out += slotDef
+          ? '<div class="progress-dot slot done" style="--seg-color: var(--' + slotDef.color + ')"></div>'
+          : '<div class="progress-dot done"></div>';
+      }
+    }
+
+    elProgress.innerHTML = out;
+    lastRenderedProgressIndex = -1;
+    lastRenderedProgressState = '';
+  }
+
+
+  /* ================================================================
+     SEGMENT JUMPS
+     Progress dots double as a segment picker: clicking a dot (or Enter
+     on a focused one) offers to jump to that segment or the break after
+     it. Tooltips show each segment's type, length and projected start.
+     ================================================================ */
+
+  /**
+   * Projected start time of an upcoming segment, assuming the session
+   * carries on from now without further pauses.
+   * @param {number} index - Timeline index after the current one.
+   * @returns {number} Timestamp (ms).
+   */
+  function projectedStart(index) {
+    var t = Date.now() + Math.max(0, engine.remainingSeconds) * 1000;
+    for (var i = engine.currentIndex + 1; i < index; i++) {
+      t += engine.timeline[i].duration * 1000;
+    }
+    return t;
+  }
+
+  /**
+   * Projected end of the session, assuming it carries on from now
+   * without further pauses.
+   * @returns {number} Timestamp (ms), or 0 if it has no planned end (a
+   *   loop without a stop time, or an open flowtime segment ahead).
+   */
+  function projectedEnd() {
+    if (config.loop) return loopStopAt;
+    for (var i = engine.currentIndex; i < engine.timeline.length; i++) {
+      if (engine.timeline[i].open) return 0;
+    }
+    return projectedStart(engine.timeline.length);
+  }
+
+  /**
+   * Tooltip text for a progress dot, e.g. "Work · 25m · starts 14:05".
+   * @param {number} index - Timeline index.
+   * @returns {string} Tooltip text.
+   */
+  function dotTooltip(index) {
+    var seg = engine.timeline[index];
+    var when;
+    if (index < engine.currentIndex) {
+      when = 'done';
+    } else if (index === engine.currentIndex) {
+      when = engine.state === 'waiting' ? 'up next' : 'now';
+    } else {
+      var d = new Date(projectedStart(index));
+      when = 'starts ' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+    }
+    return segmentLabel(seg) + ' \u00b7 ' + formatDuration(seg.duration) + ' \u00b7 ' + when;
+  }
+
+  /**
+   * Ask before jumping to a dot's segment, offering its break as well.
+   * @param {number} index - Timeline index of the dot's segment.
+   */
+  function promptJump(index) {
+    var next = engine.timeline[index + 1];
+    var actions = [];
+    if (index !== engine.currentIndex) {
+      actions.push({ label: 'jump', onClick: function () { dispatch('jump', index); } });
+    }
+    if (next && (next.type === 'break' || next.type === 'majorBreak') && index + 1 !== engine.currentIndex) {
+      actions.push({ label: 'its break', onClick: function () { dispatch('jump', index + 1); } });
+    }
+    if (actions.length === 0) return;
+    actions.push({ label: 'cancel', onClick: function () {} });
+    showPrompt('Jump to ' + dotTooltip(index) + '?', actions);
+  }
+
+  elProgress.addEventListener('click', function (e) {
+    var dot = e.target.closest('.progress-dot[data-index]');
+    if (!dot) return;
+    if (engine.state !== 'running' && engine.state !== 'paused' && engine.state !== 'waiting') return;
+    promptJump(parseInt(dot.getAttribute('data-index'), 10));
+  });
+
+  /**
+   * Refresh a progress dot's tooltip on hover or focus, since projected
+   * starts move with time.
+   * @param {Event} e - mouseover or focusin event from the progress bar.
+   */
+  function refreshDotTooltip(e) {
+    var dot = e.target.closest && e.target.closest('.progress-dot[data-index]');
+    if (dot) dot.setAttribute('data-tip', dotTooltip(parseInt(dot.getAttribute('data-index'), 10)));
+  }
+  elProgress.addEventListener('mouseover', refreshDotTooltip);
+  elProgress.addEventListener('focusin', refreshDotTooltip);
+
+  // Arrow keys move between dots
+  elProgress.addEventListener('keydown', function (e) {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    var dots = Array.prototype.slice.call(elProgress.querySelectorAll('.progress-dot[data-index]'));
+    var i = dots.indexOf(document.activeElement);
+    if (i === -1) return;
+    var target = dots[i + (e.key === 'ArrowRight' ? 1 : -1)];
+    if (target) target.focus();
+    e.preventDefault();
+  });
+
+
+  /* ================================================================
+     CONTROLS
+     ================================================================ */
+
+  /** Clear controls (idle state). */
+  function renderControlsEmpty() {
+    if (lastRenderedControlState === 'empty') return;
+    lastRenderedControlState = 'empty';
+    elControls.innerHTML = '';
+  }
+
+  /**
+   * Markup for the shorten/extend buttons, labelled with the adjust step.
+   * @returns {string} HTML for both buttons and their separators.
+   */
+  function adjustButtonsHTML() {
+    var step = config.adjustMin || DEFAULT_ADJUST_MIN;
+    return '<button class="ctrl-btn" data-action="shorten" aria-label="Shorten by ' + step + ' minutes">\u2212' + step + '</button>' +
+      '<span class="ctrl-sep">\u00b7</span>' +
+      '<button class="ctrl-btn" data-action="extend" aria-label="Extend by ' + step + ' minutes">+' + step + '</button>' +
+      '<span class="ctrl-sep">\u00b7</span>';
+  }
+
+  /**
+   * Render running/paused controls: pause/resume, shorten, extend, skip, reset.
+   * In overtime, shorten and skip give way to a button that ends the segment;
+   * open flowtime work offers only "end work".
+   */
+  function renderControls() {
+    var over = isOvertime();
+    var mode = engine.timeline[engine.currentIndex].open ? '-open' : over ? '-overtime' : '';
+    var key = (engine.state === 'paused' ? 'paused' : 'running') + mode + ':' + config.adjustMin;
+    if (lastRenderedControlState === key) return;
+    lastRenderedControlState = key;
+
+    var pauseLabel = engine.state === 'paused' ? 'resume' : 'pause';
+    if (engine.timeline[engine.currentIndex].open) {
+      elControls.innerHTML =
+        '<button class="ctrl-btn" data-action="pause">' + pauseLabel + '</button>' +
+        '<span class="ctrl-sep">\u00b7</span>' +
+        '<button class="ctrl-btn" data-action="endWork">end work</button>' +
+        '<span class="ctrl-sep">\u00b7</span>' +
+        '<button class="ctrl-btn" data-action="reset">reset</button>';
+      return;
+    }
+    if (over) {
+      var next = engine.timeline[engine.currentIndex + 1];
+      var endLabel = !next ? 'finish' : isFocusType(next.type) ? 'move on' : 'take break';
+      elControls.innerHTML =
+        '<button class="ctrl-btn" data-action="pause">' + pauseLabel + '</button>' +
+        '<span class="ctrl-sep">\u00b7</span>' +
+        '<button class="ctrl-btn" data-action="extend">+' + config.adjustMin + '</button>' +
+        '<span class="ctrl-sep">\u00b7</span>' +
+        '<button class="ctrl-btn" data-action="endOvertime">' + endLabel + '</button>' +
+        '<span class="ctrl-sep">\u00b7</span>' +
+        '<button class="ctrl-btn" data-action="reset">reset</button>';
+      return;
+    }
+    elControls.innerHTML =
+      '<button class="ctrl-btn" data-action="pause">' + pauseLabel + '</button>' +
+      '<span class="ctrl-sep">\u00b7</span>' +
+      adjustButtonsHTML() +
+      '<button class="ctrl-btn" data-action="skip">skip</button>' +
+      '<span class="ctrl-sep">\u00b7</span>' +
+      '<button class="ctrl-btn" data-action="reset">reset</button>';
+  }
+
+  /** Render done state controls: restart button. */
+  function renderControlsDone() {
+    if (lastRenderedControlState === 'done') return;
+    lastRenderedControlState = 'done';
+    elControls.innerHTML =
+      '<button class="ctrl-btn" data-action="reset">restart</button>';
+  }
+
+  /** Render waiting state controls: continue, shorten, extend, skip, reset. */
+  function renderControlsWaiting() {
+    var key = 'waiting:' + config.adjustMin;
+    if (lastRenderedControlState === key) return;
+    lastRenderedControlState = key;
+    elControls.innerHTML =
+      '<button class="ctrl-btn" data-action="continue">continue</button>' +
+      '<span class="ctrl-sep">\u00b7</span>' +
+      adjustButtonsHTML() +
+      '<button class="ctrl-btn" data-action="skip">skip</button>' +
+      '<span class="ctrl-sep">\u00b7</span>' +
+      '<button class="ctrl-btn" data-action="reset">reset</button>';
+  }
+
+  // Delegated click handler for controls
+  elControls.addEventListener('click', function (e) {
+    var btn = e.target.closest('.ctrl-btn');
+    if (!btn) return;
+
+    // Ensure AudioContext is initialized on user gesture
+    ensureLiveContext();
+
+    var action = btn.getAttribute('data-action');
+    switch (action) {
+      case 'pause': dispatch('togglePause'); break;
+      case 'skip': dispatch('skip'); break;
+      case 'extend': dispatch('extend'); break;
+      case 'shorten': dispatch('shorten'); break;
+      case 'endOvertime': dispatch('endOvertime'); break;
+      case 'endWork': dispatch('endWork'); break;
+      case 'reset': dispatch('reset'); break;
+      case 'continue': dispatch('continue'); break;
+    }
+  });
+
+
+  /* ================================================================
+     BLOCKS UI
+     ================================================================ */
+
+  /** Render block rows in the settings drawer from current config. */
+  function renderBlocks() {
+    elBlocksList.innerHTML = '';
+
+    for (var i = 0; i < config.blocks.length; i++) {
+      var block = config.blocks[i];
+      var isLast = i === config.blocks.length - 1;
+      var canRemove = config.blocks.length > 1;
+
+      if (block.slot) {
+        elBlocksList.appendChild(buildSlotRow(block, i, canRemove));
+        continue;
+      }
+
+      var row = document.createElement('div');
+      row.className = 'block-row';
+      row.setAttribute('data-index', i);
+
+      var cyclesInput = document.createElement('input');
+      cyclesInput.type = 'number';
+      cyclesInput.className = 'block-cycles';
+      cyclesInput.min = '1';
+      cyclesInput.removeAttribute('max');
+      cyclesInput.value = block.cycles;
+
+      var cyclesLabel = document.createElement('span');
+      cyclesLabel.className = 'block-label';
+      cyclesLabel.textContent = 'cycles';
+
+      var arrow = document.createElement('span');
+      arrow.className = 'block-arrow';
+      arrow.textContent = '\u2192';
+
+      row.appendChild(cyclesInput);
+      row.appendChild(cyclesLabel);
+
+      if (!isLast) {
+        var majorInput = document.createElement('input');
+        majorInput.type = 'number';
+        majorInput.className = 'block-major';
+        majorInput.min = '0';
+        majorInput.removeAttribute('max');
+        majorInput.value = block.majorBreak;
+
+        var majorLabel = document.createElement('span');
+        majorLabel.className = 'block-label';
+        majorLabel.textContent = 'min break';
+
+        row.appendChild(arrow);
+        row.appendChild(majorInput);
+        row.appendChild(majorLabel);
+      } else {
+        var endLabel = document.createElement('span');
+        endLabel.className = 'block-end-label';
+        endLabel.textContent = '\u2192 end';
+        row.appendChild(endLabel);
+      }
+
+      if (canRemove) {
+        var removeBtn = document.createElement('button');
+        removeBtn.className = 'block-remove';
+        removeBtn.setAttribute('aria-label', 'Remove block');
+        removeBtn.textContent = '\u00d7';
+        removeBtn.setAttribute('data-index', i);
+        row.appendChild(removeBtn);
+      }
+
+      // Optional per-block overrides; placeholders show the global values
+      var overrides = document.createElement('div');
+      overrides.className = 'block-overrides';
+
+      var nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'block-name';
+      nameInput.placeholder = 'block ' + (i + 1);
+      nameInput.maxLength = 20;
+      nameInput.value = block.name || '';
+      nameInput.setAttribute('aria-label', 'Block name');
+
+      var workInput = document.createElement('input');
+      workInput.type = 'number';
+      workInput.className = 'block-work';
+      workInput.min = '1';
+      workInput.placeholder = config.workMin;
+      workInput.value = block.workMin || '';
+      workInput.setAttribute('aria-label', 'Work minutes for this block');
+
+      var slash = document.createElement('span');
+      slash.className = 'block-arrow';
+      slash.textContent = '/';
+
+      var breakInput = document.createElement('input');
+      breakInput.type = 'number';
+      breakInput.className = 'block-break';
+      breakInput.min = '1';
+      breakInput.placeholder = config.breakMin;
+      breakInput.value = block.breakMin || '';
+      breakInput.setAttribute('aria-label', 'Break minutes for this block');
+
+      var overrideLabel = document.createElement('span');
+      overrideLabel.className = 'block-label';
+      overrideLabel.textContent = 'min';
+
+      overrides.appendChild(nameInput);
+      overrides.appendChild(workInput);
+      overrides.appendChild(slash);
+      overrides.appendChild(breakInput);
+      overrides.appendChild(overrideLabel);
+      row.appendChild(overrides);
+
+      elBlocksList.appendChild(row);
+    }
+  }
+
+  /**
+   * Build a schedule row for a slot entry: one custom-type segment.
+   * @param {{slot: string, minutes: number}} block - The slot entry.
+   * @param {number} index - Index in config.blocks.
+   * @param {boolean} canRemove - Whether to show the remove button.
+   * @returns {HTMLElement} The row element.
+   */
+  function buildSlotRow(block, index, canRemove) {
+    var row = document.createElement('div');
+    row.className = 'block-row slot-row';
+    row.setAttribute('data-index', index);
+
+    var typeSelect = document.createElement('select');
+    typeSelect.className = 'slot-type';
+    typeSelect.setAttribute('aria-label', 'Segment type');
+    var types = config.segmentTypes;
+    for (var t = 0; t < types.length; t++) {
+      var opt = document.createElement('option');
+      opt.value = types[t].id;
+      opt.textContent = types[t].label;
+      typeSelect.appendChild(opt);
+    }
+    var def = getSegmentType(block.slot);
+    if (def) {
+      row.style.setProperty('--seg-color', 'var(--' + def.color + ')');
+    } else {
+      // Type was deleted or came from another machine's preset — keep the reference
+      var missing = document.createElement('option');
+      missing.value = block.slot;
+      missing.textContent = '(missing type)';
+      typeSelect.appendChild(missing);
+    }
+    typeSelect.value = block.slot;
+
+    var minutesInput = document.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.className = 'slot-minutes';
+    minutesInput.min = '1';
+    minutesInput.value = block.minutes;
+    minutesInput.setAttribute('aria-label', 'Slot minutes');
+
+    var minutesLabel = document.createElement('span');
+    minutesLabel.className = 'block-label';
+    minutesLabel.textContent = 'min';
+
+    row.appendChild(typeSelect);
+    row.appendChild(minutesInput);
+    row.appendChild(minutesLabel);
+
+    // Reorder controls so a slot can sit anywhere in the schedule
+    var up = document.createElement('button');
+    up.className = 'block-move';
+    up.setAttribute('aria-label', 'Move slot up');
+    up.setAttribute('data-index', index);
+    up.setAttribute('data-dir', '-1');
+    up.textContent = '\u2191';
+    up.disabled = index === 0;
+
+    var down = document.createElement('button');
+    down.className = 'block-move';
+    down.setAttribute('aria-label', 'Move slot down');
+    down.setAttribute('data-index', index);
+    down.setAttribute('data-dir', '1');
+    down.textContent = '\u2193';
+    down.disabled = index === config.blocks.length - 1;
+
+    var moves = document.createElement('span');
+    moves.className = 'block-moves';
+    moves.appendChild(up);
+    moves.appendChild(down);
+    row.appendChild(moves);
+
+    if (canRemove) {
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'block-remove';
+      removeBtn.setAttribute('aria-label', 'Remove slot');
+      removeBtn.textContent = '\u00d7';
+      removeBtn.setAttribute('data-index', index);
+      row.appendChild(removeBtn);
+    }
+    return row;
+  }
+
+  /**
+   * Ensure only the final cycle block has no major break after a
+   * structural change (remove, move) to the schedule.
+   */
+  function normalizeLastBlock() {
+    var last = config.blocks[config.blocks.length - 1];
+    if (last && !last.slot) last.majorBreak = 0;
+  }
+
+  /** Refresh block override placeholders after the global work/break values change. */
+  function updateBlockPlaceholders() {
+    var works = elBlocksList.querySelectorAll('.block-work');
+    var breaks = elBlocksList.querySelectorAll('.block-break');
+    for (var i = 0; i < works.length; i++) works[i].placeholder = config.workMin;
+    for (var j = 0; j < breaks.length; j++) breaks[j].placeholder = config.breakMin;
+  }
+
+  // Delegated events for blocks list
+  elBlocksList.addEventListener('click', function (e) {
+    var moveBtn = e.target.closest('.block-move');
+    if (moveBtn) {
+      var from = parseInt(moveBtn.getAttribute('data-index'), 10);
+      var to = from + parseInt(moveBtn.getAttribute('data-dir'), 10);
+      if (to < 0 || to >= config.blocks.length) return;
+      var moved = config.blocks.splice(from, 1)[0];
+      config.blocks.splice(to, 0, moved);
+      normalizeLastBlock();
+      saveConfig();
+      renderBlocks();
+      activePreset = detectPreset();
+      updatePresetButtons();
+      return;
+    }
+
+    var removeBtn = e.target.closest('.block-remove');
+    if (!removeBtn) return;
+
+    var idx = parseInt(removeBtn.getAttribute('data-index'), 10);
+    if (config.blocks.length <= 1) return;
+
+    config.blocks.splice(idx, 1);
+    // If we removed a non-last block that is now the last, set its majorBreak to 0
+    normalizeLastBlock();
+    saveConfig();
+    renderBlocks();
+    activePreset = detectPreset();
+    updatePresetButtons();
+  });
+
+  elBlocksList.addEventListener('input', function (e) {
+    if (e.target.matches('input')) {
+      configFromForm();
+    }
+  });
+
+  elBlocksList.addEventListener('change', function (e) {
+    if (e.target.matches('.slot-type')) {
+      configFromForm();
+      renderBlocks();
+    }
+  });
+
+  elAddBlock.addEventListener('click', function () {
+    // Current last block gets a default major break
+    var last = config.blocks[config.blocks.length - 1];
+    if (last && !last.slot) {
+      last.majorBreak = 30;
+    }
+    config.blocks.push({ cycles: 1, majorBreak: 0 });
+    saveConfig();
+    renderBlocks();
+    activePreset = detectPreset();
+    updatePresetButtons();
+  });
+
+
+  elAddSlot.addEventListener('click', function () {
+    if (!config.segmentTypes.length) return;
+    config.blocks.push({ slot: config.segmentTypes[0].id, minutes: 15 });
+    saveConfig();
+    renderBlocks();
+    activePreset = detectPreset();
+    updatePresetButtons();
+  });
+
+
+  /* ================================================================
+     SCHEDULED STARTS
+     Start a preset automatically at a wall-clock time on chosen weekdays
+     while a tab is open. The leader checks once a second; starts missed
+     while the machine slept (or while a session was running) prompt to
+     start late or skip instead of starting silently.
+     ================================================================ */
+
+  /**
+   * Get a schedule's start time on the calendar day of a given date.
+   * @param {{time: string}} sc - Schedule entry.
+   * @param {Date} day - Any moment on the wanted day.
+   * @returns {Date} The start time on that day.
+   */
+  function scheduleTimeOn(sc, day) {
+    var parts = sc.time.split(':');
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+      parseInt(parts[0], 10), parseInt(parts[1], 10));
+  }
+
+  /**
+   * Find a schedule's next occurrence after a moment.
+   * @param {Object} sc - Schedule entry.
+   * @param {number} from - Timestamp (ms).
+   * @returns {?number} Timestamp of the next occurrence, or null if it never runs.
+   */
+  function nextOccurrence(sc, from) {
+    if (!sc.enabled || !sc.days.length) return null;
+    var base = new Date(from);
+    for (var k = 0; k <= 7; k++) {
+      var day = new Date(base.getFullYear(), base.getMonth(), base.getDate() + k);
+      var at = scheduleTimeOn(sc, day);
+      if (at.getTime() > from && sc.days.indexOf(at.getDay()) !== -1) return at.getTime();
+    }
+    return null;
+  }
+
+  /**
+   * Find a schedule's most recent occurrence at or before a moment.
+   * @param {Object} sc - Schedule entry.
+   * @param {number} until - Timestamp (ms).
+   * @returns {?number} Timestamp of the latest occurrence, or null.
+   */
+  function lastOccurrence(sc, until) {
+    if (!sc.enabled || !sc.days.length) return null;
+    var base = new Date(until);
+    for (var k = 0; k <= 7; k++) {
+      var day = new Date(base.getFullYear(), base.getMonth(), base.getDate() - k);
+      var at = scheduleTimeOn(sc, day);
+      if (at.getTime() <= until && sc.days.indexOf(at.getDay()) !== -1) return at.getTime();
+    }
+    return null;
+  }
+
+  /**
+   * Display name for a preset key.
+   * @param {string} key - 'pomodoro', 'deepwork' or 'custom:<name>'.
+   * @returns {string} Human-readable preset name.
+   */
+  function presetDisplayName(key) {
+    if (key.indexOf('custom:') === 0) return key.slice(7);
+    var btn = document.querySelector('.preset-btn[data-preset="' + key + '"]');
+    return btn ? btn.textContent : key;
+  }
+
+  /**
+   * Get the soonest upcoming scheduled start across all schedules whose
+   * preset still exists.
+   * @returns {?{schedule: Object, at: number}} The next start, or null if none.
+   */
+  function getNextSchedule() {
+    var now = Date.now();
+    var next = null;
+    for (var i = 0; i < config.schedules.length; i++) {
+      if (!findPreset(config.schedules[i].preset)) continue;
+      var at = nextOccurrence(config.schedules[i], now);
+      if (at && (!next || at < next.at)) next = { schedule: config.schedules[i], at: at };
+    }
+    return next;
+  }
+
+  /** Show the countdown to the next scheduled start on the idle screen. */
+  function renderNextSchedule() {
+    var next = getNextSchedule();
+    var html = '';
+    if (next) {
+      var d = new Date(next.at);
+      html = '<span class="loop-counter">' + escapeHtml(presetDisplayName(next.schedule.preset)) +
+        ' at ' + pad(d.getHours()) + ':' + pad(d.getMinutes()) +
+        ' \u00b7 in ' + formatDuration(Math.max(60, next.at - Date.now()) / 1000) + '</span>';
+    }
+    if (elProgress.innerHTML !== html) elProgress.innerHTML = html;
+  }
+
+  /**
+   * Start a scheduled preset through the normal start() path,
+   * replacing any session in progress. A schedule whose preset has been
+   * deleted is reported instead.
+   * @param {Object} sc - Schedule entry.
+   */
+  function startScheduled(sc) {
+    if (!findPreset(sc.preset)) {
+      announce('Scheduled start skipped: ' + presetDisplayName(sc.preset) + ' no longer exists');
+      return;
+    }
+    if (engine.state !== 'idle') reset();
+    applyPreset(sc.preset);
+    start();
+    announce(presetDisplayName(sc.preset) + ' started on schedule');
+  }
+
+  /**
+   * Leader-only, once a second: start any schedule that came due since the
+   * last check. Also refreshes the idle countdown in every tab.
+   */
+  function checkSchedules() {
+    if (isLeader) {
+      // The checkpoint lives in storage so a tab taking over leadership,
+      // or a page reopened after being closed, resumes where the last left off
+      var now = Date.now();
+      var lastCheck = parseInt(localStorage.getItem(LS_SCHEDULE_CHECK), 10) || now;
+      var since = Math.max(lastCheck, now - SCHEDULE_LOOKBACK);
+      localStorage.setItem(LS_SCHEDULE_CHECK, String(now));
+
+      var due = null;
+      for (var i = 0; i < config.schedules.length; i++) {
+        var at = lastOccurrence(config.schedules[i], now);
+        if (at && at > since && (!due || at > due.at)) due = { schedule: config.schedules[i], at: at };
+      }
+
+      if (due) {
+        var late = now - due.at > SCHEDULE_GRACE;
+        if (!late && engine.state === 'idle') {
+          startScheduled(due.schedule);
+        } else {
+          var d = new Date(due.at);
+          var sc = due.schedule;
+          showPrompt(presetDisplayName(sc.preset) + ' was scheduled for ' +
+            pad(d.getHours()) + ':' + pad(d.getMinutes()), [
+            { label: late ? 'start late' : 'start now', onClick: function () { startScheduled(sc); } },
+            { label: 'skip', onClick: function () {} }
+          ]);
+        }
+      }
+    }
+    if (engine.state === 'idle') renderNextSchedule();
+  }
+
+  /**
+   * Build the <select> of presets a schedule can start.
+   * @param {string} selected - Currently selected preset key.
+   * @returns {HTMLSelectElement} The select element.
+   */
+  function buildPresetSelect(selected) {
+    var keys = Object.keys(PRESETS).concat(Object.keys(customPresets).map(function (n) {
+      return 'custom:' + n;
+    }));
+    if (keys.indexOf(selected) === -1) keys.push(selected);
+    var select = document.createElement('select');
+    select.className = 'schedule-preset';
+    select.setAttribute('aria-label', 'Preset to start');
+    for (var i = 0; i < keys.length; i++) {
+      var opt = document.createElement('option');
+      opt.value = keys[i];
+      opt.textContent = presetDisplayName(keys[i]);
+      select.appendChild(opt);
+    }
+    select.value = selected;
+    return select;
+  }
+
+  /** Render scheduled start rows in the settings drawer. */
+  function renderSchedules() {
+    elSchedulesList.innerHTML = '';
+    for (var i = 0; i < config.schedules.length; i++) {
+      var sc = config.schedules[i];
+      var row = document.createElement('div');
+      row.className = 'block-row schedule-row' + (sc.enabled ? '' : ' disabled');
+      row.setAttribute('data-id', sc.id);
+
+      var timeInput = document.createElement('input');
+      timeInput.type = 'time';
+      timeInput.className = 'schedule-time';
+      timeInput.value = sc.time;
+      timeInput.setAttribute('aria-label', 'Start time');
+
+      var toggle = document.createElement('label');
+      toggle.className = 'toggle';
+      var enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.className = 'schedule-enabled';
+      enabled.checked = sc.enabled;
+      enabled.setAttribute('aria-label', 'Schedule enabled');
+      var track = document.createElement('span');
+      track.className = 'toggle-track';
+      toggle.appendChild(enabled);
+      toggle.appendChild(track);
+
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'block-remove';
+      removeBtn.setAttribute('aria-label', 'Remove schedule');
+      removeBtn.textContent = '\u00d7';
+
+      var days = document.createElement('div');
+      days.className = 'block-overrides schedule-days';
+      // Monday-first, matching the stats week
+      for (var k = 1; k <= 7; k++) {
+        var dayNum = k % 7;
+        var dayBtn = document.createElement('button');
+        dayBtn.className = 'schedule-day' + (sc.days.indexOf(dayNum) !== -1 ? ' active' : '');
+        dayBtn.setAttribute('data-day', dayNum);
+        dayBtn.setAttribute('aria-pressed', sc.days.indexOf(dayNum) !== -1 ? 'true' : 'false');
+        dayBtn.textContent = WEEKDAYS[dayNum];
+        days.appendChild(dayBtn);
+      }
+
+      row.appendChild(timeInput);
+      row.appendChild(buildPresetSelect(sc.preset));
+      row.appendChild(toggle);
+      row.appendChild(removeBtn);
+      row.appendChild(days);
+      elSchedulesList.appendChild(row);
+    }
+  }
+
+  /**
+   * Find the schedule entry for an element inside a schedule row.
+   * @param {HTMLElement} el - Element within the row.
+   * @returns {?Object} The schedule entry.
+   */
+  function scheduleForElement(el) {
+    var id = el.closest('.schedule-row').getAttribute('data-id');
+    for (var i = 0; i < config.schedules.length; i++) {
+      if (config.schedules[i].id === id) return config.schedules[i];
+    }
+    return null;
+  }
+
+  elSchedulesList.addEventListener('change', function (e) {
+    var sc = scheduleForElement(e.target);
+    if (!sc) return;
+    if (e.target.matches('.schedule-time') && e.target.value) sc.time = e.target.value;
+    else if (e.target.matches('.schedule-preset')) sc.preset = e.target.value;
+    else if (e.target.matches('.schedule-enabled')) sc.enabled = e.target.checked;
+    saveConfig();
+    renderSchedules();
+  });
+
+  elSchedulesList.addEventListener('click', function (e) {
+    var dayBtn = e.target.closest('.schedule-day');
+    var removeBtn = e.target.closest('.block-remove');
+    if (!dayBtn && !removeBtn) return;
+    var sc = scheduleForElement(e.target);
+    if (!sc) return;
+
+    if (removeBtn) {
+      config.schedules.splice(config.schedules.indexOf(sc), 1);
+    } else {
+      var day = parseInt(dayBtn.getAttribute('data-day'), 10);
+      var at = sc.days.indexOf(day);
+      if (at === -1) sc.days.push(day);
+      else sc.days.splice(at, 1);
+      sc.days.sort();
+    }
+    saveConfig();
+    renderSchedules();
+  });
+
+  elAddSchedule.addEventListener('click', function () {
+    config.schedules.push({
+      id: 'sch-' + Date.now().toString(36),
+      time: '09:00',
+      days: [1, 2, 3, 4, 5],
+      preset: activePreset || 'pomodoro',
+      enabled: true
+    });
+    saveConfig();
+    renderSchedules();
+  });
+
+
+  /* ================================================================
+     SEGMENT TYPES UI
+     User-defined segment types (e.g. standup, review) with their own
+     label, accent color, transition tone and focus flag. They are placed
+     in the schedule as slot rows in the Blocks section.
+     ================================================================ */
+
+  /**
+   * Build a <select> with the given options.
+   * @param {string} className - Class for the select element.
+   * @param {string[]} values - Option values (also used as labels).
+   * @param {string} selected - Initially selected value.
+   * @param {string} label - Accessible label.
+   * @param {function(string): string} [labelOf] - Option label for a value, if not the value itself.
+   * @returns {HTMLSelectElement} The select element.
+   */
+  function buildSelect(className, values, selected, label, labelOf) {
+    var select = document.createElement('select');
+    select.className = className;
+    select.setAttribute('aria-label', label);
+    for (var i = 0; i < values.length; i++) {
+      var opt = document.createElement('option');
+      opt.value = values[i];
+      opt.textContent = labelOf ? labelOf(values[i]) : values[i];
+      select.appendChild(opt);
+    }
+    select.value = selected;
+    return select;
+  }
+
+  /** Render the segment type editor rows in the settings drawer. */
+  function renderSegmentTypes() {
+    elSegmentTypesList.innerHTML = '';
+    var types = config.segmentTypes;
+
+    for (var i = 0; i < types.length; i++) {
+      var t = types[i];
+      var row = document.createElement('div');
+      row.className = 'block-row segment-type-row';
+      row.setAttribute('data-id', t.id);
+      row.style.setProperty('--seg-color', 'var(--' + t.color + ')');
+
+      var swatch = document.createElement('span');
+      swatch.className = 'segment-type-swatch';
+
+      var labelInput = document.createElement('input');
+      labelInput.type = 'text';
+      labelInput.className = 'segment-type-label';
+      labelInput.maxLength = 20;
+      labelInput.value = t.label;
+      labelInput.setAttribute('aria-label', 'Segment type name');
+
+      var focusWrap = document.createElement('label');
+      focusWrap.className = 'segment-type-focus';
+      var focusInput = document.createElement('input');
+      focusInput.type = 'checkbox';
+      focusInput.className = 'segment-type-focus-input';
+      focusInput.checked = t.focus;
+      focusWrap.appendChild(focusInput);
+      focusWrap.appendChild(document.createTextNode('focus'));
+
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'block-remove';
+      removeBtn.setAttribute('aria-label', 'Delete segment type ' + t.label);
+      removeBtn.textContent = '\u00d7';
+
+      var options = document.createElement('div');
+      options.className = 'block-overrides';
+      options.appendChild(buildSelect('segment-type-color', ACCENTS, t.color, 'Color'));
+      options.appendChild(buildSelect('segment-type-tone', toneNames(), t.tone, 'Transition tone', toneLabel));
+      options.appendChild(focusWrap);
+
+      row.appendChild(swatch);
+      row.appendChild(labelInput);
+      row.appendChild(removeBtn);
+      row.appendChild(options);
+      elSegmentTypesList.appendChild(row);
+    }
+
+    elAddSlot.style.display = types.length ? '' : 'none';
+  }
+
+  /** Read the segment type editor rows back into config and save. */
+  function segmentTypesFromForm() {
+    var rows = elSegmentTypesList.querySelectorAll('.segment-type-row');
+    for (var i = 0; i < rows.length; i++) {
+      var def = getSegmentType(rows[i].getAttribute('data-id'));
+      if (!def) continue;
+      def.label = rows[i].querySelector('.segment-type-label').value.trim().slice(0, 20) || 'Segment';
+      def.color = rows[i].querySelector('.segment-type-color').value;
+      def.tone = rows[i].querySelector('.segment-type-tone').value;
+      def.focus = rows[i].querySelector('.segment-type-focus-input').checked;
+      rows[i].style.setProperty('--seg-color', 'var(--' + def.color + ')');
+    }
+    saveConfig();
+    if (engine.state !== 'idle') {
+      // Labels and colors may have changed for the segment on screen
+      lastRenderedProgressIndex = -1;
+      updateDisplay();
+    }
+  }
+
+  elSegmentTypesList.addEventListener('input', function (e) {
+    if (e.target.matches('.segment-type-label')) {
+      segmentTypesFromForm();
+      renderBlocks();
+    }
+  });
+
+  elSegmentTypesList.addEventListener('change', function (e) {
+    if (e.target.matches('.segment-type-tone')) {
+      ensureLiveContext();
+      playTone(e.target.value, true);
+    }
+    segmentTypesFromForm();
+    renderBlocks();
+  });
+
+  elSegmentTypesList.addEventListener('click', function (e) {
+    var removeBtn = e.target.closest('.block-remove');
+    if (!removeBtn) return;
+    var id = removeBtn.closest('.segment-type-row').getAttribute('data-id');
+
+    config.segmentTypes = config.segmentTypes.filter(function (t) { return t.id !== id; });
+    // Drop slots that referenced the deleted type, keeping at least one block
+    var blocks = config.blocks.filter(function (b) { return b.slot !== id; });
+    config.blocks = blocks.length ? blocks : [{ cycles: 1, majorBreak: 0 }];
+    normalizeLastBlock();
+    saveConfig();
+    renderSegmentTypes();
+    renderBlocks();
+    activePreset = detectPreset();
+    updatePresetButtons();
+  });
+
+  elAddSegmentType.addEventListener('click', function () {
+    config.segmentTypes.push({
+      id: 'seg-' + Date.now().toString(36),
+      label: 'Segment ' + (config.segmentTypes.length + 1),
+      color: 'teal',
+      tone: 'ping',
+      focus: false
+    });
+    saveConfig();
+    renderSegmentTypes();
+    var labels = elSegmentTypesList.querySelectorAll('.segment-type-label');
+    labels[labels.length - 1].select();
+  });
+
+
+  /* ================================================================
+     DRAWER
+     ================================================================ */
+
+  /** Open the settings drawer, auto-pausing the timer if running. */
+  function openDrawer() {
+    closeStats();
+    drawerOpen = true;
+    elDrawer.classList.add('open');
+    elDrawer.setAttribute('aria-hidden', 'false');
+    elBackdrop.classList.add('open');
+    elSettingsToggle.classList.add('active');
+    document.body.classList.add('drawer-open');
+    historyShown = HISTORY_PAGE_SIZE;
+    renderHistory();
+    renderDiagnostics();
+
+    if (engine.state === 'running') {
+      wasRunningBeforeDrawer = true;
+      dispatch('pause');
+    } else {
+      wasRunningBeforeDrawer = false;
+    }
+  }
+
+  /** Close the settings drawer, resuming the timer if it was auto-paused. */
+  function closeDrawer() {
+    drawerOpen = false;
+    elDrawer.classList.remove('open');
+    elDrawer.setAttribute('aria-hidden', 'true');
+    elBackdrop.classList.remove('open');
+    elSettingsToggle.classList.remove('active');
+    document.body.classList.remove('drawer-open');
+
+    if (wasRunningBeforeDrawer && engine.state === 'paused') {
+      dispatch('resume');
+      wasRunningBeforeDrawer = false;
+    }
+  }
+
+  /** Toggle the settings drawer open/closed. */
+  function toggleDrawer() {
+    if (drawerOpen) closeDrawer();
+    else openDrawer();
+  }
+
+  elSettingsToggle.addEventListener('click', toggleDrawer);
+  elBackdrop.addEventListener('click', function () {
+    closeDrawer();
+    closeStats();
+  });
+  elDrawerClose.addEventListener('click', closeDrawer);
+
+
+  /* ================================================================
+     FOCUS MODE
+     ================================================================ */
+
+  /** Enter fullscreen focus mode, hiding all chrome. */
+  function enterFocusMode() {
+    if (focusMode) return;
+    focusMode = true;
+    document.body.classList.add('focus-mode');
+
+    // Try browser fullscreen
+    var el = document.documentElement;
+    if (el.requestFullscreen) el.requestFullscreen().catch(function () {});
+    else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+
+    // Show exit hint briefly
+    elFocusHint.classList.add('visible');
+    clearTimeout(focusHintTimerId);
+    focusHintTimerId = setTimeout(function () {
+      elFocusHint.classList.remove('visible');
+    }, 2000);
+  }
+
+  /** Exit fullscreen focus mode, restoring UI chrome. */
+  function exitFocusMode() {
+    if (!focusMode) return;
+    focusMode = false;
+    document.body.classList.remove('focus-mode');
+    elFocusHint.classList.remove('visible');
+
+    if (document.fullscreenElement || document.webkitFullscreenElement) {
+      if (document.exitFullscreen) document.exitFullscreen().catch(function () {});
+      else if (document.webkitExitFullscreen) document.webkitExitFullscreen();
+    }
+  }
+
+  /** Toggle focus mode on/off. */
+  function toggleFocusMode() {
+    if (focusMode) exitFocusMode();
+    else enterFocusMode();
+  }
+
+  elFocusToggle.addEventListener('click', toggleFocusMode);
+  elHelpToggle.addEventListener('click', toggleHints);
+
+  // Detect when user exits fullscreen externally (Esc in browser)
+  document.addEventListener('fullscreenchange', function () {
+    if (!document.fullscreenElement && focusMode) {
+      focusMode = false;
+      document.body.classList.remove('focus-mode');
+      elFocusHint.classList.remove('visible');
+    }
+  });
+
+  document.addEventListener('webkitfullscreenchange', function () {
+    if (!document.webkitFullscreenElement && focusMode) {
+      focusMode = false;
+      document.body.classList.remove('focus-mode');
+      elFocusHint.classList.remove('visible');
+    }
+  });
+
+
+  /* ================================================================
+     ACCENT PICKER
+     ================================================================ */
+
+  /** Build the accent color picker dots in the settings drawer. */
+  function buildAccentPicker() {
+    var currentAccent = elRoot.getAttribute('data-accent');
+    elAccentPicker.innerHTML = '';
+
+    ACCENTS.forEach(function (name) {
+      var dot = document.createElement('button');
+      dot.className = 'accent-dot' + (name === currentAccent ? ' active' : '');
+      dot.setAttribute('role', 'radio');
+      dot.setAttribute('aria-checked', name === currentAccent ? 'true' : 'false');
+      dot.setAttribute('aria-label', name);
+      dot.setAttribute('data-color', name);
+      dot.style.backgroundColor = 'var(--' + name + ')';
+      dot.addEventListener('click', function () {
+        setAccent(name);
+      });
+      elAccentPicker.appendChild(dot);
+    });
+  }
+
+  /**
+   * Set the active accent color, updating the DOM and localStorage.
+   * @param {string} name - Accent color name from ACCENTS.
+   */
+  function setAccent(name) {
+    elRoot.setAttribute('data-accent', name);
+    localStorage.setItem(LS_ACCENT, name);
+
+    var dots = elAccentPicker.querySelectorAll('.accent-dot');
+    for (var i = 0; i < dots.length; i++) {
+      var isActive = dots[i].getAttribute('data-color') === name;
+      dots[i].classList.toggle('active', isActive);
+      dots[i].setAttribute('aria-checked', isActive ? 'true' : 'false');
+    }
+  }
+
+
+  /* ================================================================
+     THEME TOGGLE
+     ================================================================ */
+
+  /** Toggle between mocha (dark) and latte (light) themes. */
+  function toggleTheme() {
+    var current = elRoot.getAttribute('data-theme');
+    var next = current === 'mocha' ? 'latte' : 'mocha';
+    elRoot.setAttribute('data-theme', next);
+    localStorage.setItem(LS_THEME, next);
+    updateThemeLabel();
+
+    /* Sync the meta theme-color tag so the browser chrome matches */
+    var meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.content = next === 'latte' ? '#eff1f5' : '#1e1e2e';
+  }
+
+  /** Update the theme switch button label to reflect current theme. */
+  function updateThemeLabel() {
+    var t = elRoot.getAttribute('data-theme');
+    elThemeSwitch.textContent = t === 'mocha' ? 'switch to light' : 'switch to dark';
+  }
+
+  elThemeSwitch.addEventListener('click', toggleTheme);
+
+
+  /* ================================================================
+     SOUND UI
+     ================================================================ */
+
+  /**
+   * Build a tone selector grid in a container element.
+   * @param {HTMLElement} container - The element to populate with tone buttons.
+   * @param {string} selectedTone - Currently selected tone name.
+   * @param {function(string): void} onSelect - Callback when a tone is selected.
+   */
+  function buildToneSelector(container, selectedTone, onSelect) {
+    container.innerHTML = '';
+    var names = toneNames();
+    for (var i = 0; i < names.length; i++) {
+      (function (name) {
+        var btn = document.createElement('button');
+        btn.className = 'tone-btn' + (name === selectedTone ? ' active' : '');
+        btn.textContent = toneLabel(name);
+        btn.setAttribute('data-tone', name);
+        btn.addEventListener('click', function () {
+          // Ensure AudioContext on user gesture
+          ensureLiveContext();
+          // Preview the tone (bypasses sound-enabled check)
+          playTone(name, true);
+          // Update selection
+          onSelect(name);
+          var btns = container.querySelectorAll('.tone-btn');
+          for (var j = 0; j < btns.length; j++) {
+            btns[j].classList.toggle('active', btns[j].getAttribute('data-tone') === name);
+          }
+        });
+        container.appendChild(btn);
+      })(names[i]);
+    }
+  }
+
+  /**
+   * Render the per-event sound settings: a tone selector for each event,
+   * with its volume, repeat count and, for milestones and reminders, how
+   * often it sounds.
+   */
+  function renderSoundEvents() {
+    elSoundEvents.innerHTML = '';
+    SOUND_EVENTS.forEach(function (kind) {
+      var ev = config.sound.events[kind];
+      var row = document.createElement('div');
+      row.className = 'tone-row sound-event';
+      row.setAttribute('data-kind', kind);
+
+      var label = document.createElement('label');
+      label.className = 'tone-row-label';
+      label.textContent = SOUND_EVENT_LABELS[kind];
+
+      var selector = document.createElement('div');
+      selector.className = 'tone-selector';
+      buildToneSelector(selector, ev.tone, function (name) {
+        config.sound.events[kind].tone = name;
+        saveConfig();
+      });
+
+      var options = document.createElement('div');
+      options.className = 'block-overrides';
+      if (kind === 'milestone') {
+        options.appendChild(blockLabel('every'));
+        options.appendChild(soundEventNumber('sound-event-every', ev.every, 0, MAX_MILESTONE_CYCLES, 'Cycles between milestones'));
+        options.appendChild(blockLabel('cycles'));
+      } else if (kind === 'reminder') {
+        options.appendChild(blockLabel('every'));
+        options.appendChild(soundEventNumber('sound-event-every', ev.every, 0, MAX_REMINDER_MIN, 'Minutes between reminders'));
+        options.appendChild(blockLabel('min'));
+      }
+      var volume = document.createElement('input');
+      volume.type = 'range';
+      volume.className = 'sound-event-volume';
+      volume.min = '0';
+      volume.max = '1';
+      volume.step = '0.05';
+      volume.value = ev.volume;
+      volume.setAttribute('aria-label', SOUND_EVENT_LABELS[kind] + ' volume');
+      options.appendChild(volume);
+      options.appendChild(soundEventNumber('sound-event-repeat', ev.repeat, 1, MAX_SOUND_REPEAT, 'Repeat count'));
+      options.appendChild(blockLabel('\u00d7'));
+
+      row.appendChild(label);
+      row.appendChild(selector);
+      row.appendChild(options);
+      elSoundEvents.appendChild(row);
+    });
+  }
+
+  /**
+   * A number input for a sound event setting.
+   * @param {string} className - Class for the input.
+   * @param {number} value - Current value.
+   * @param {number} min - Minimum.
+   * @param {number} max - Maximum.
+   * @param {string} label - Accessible label.
+   * @returns {HTMLInputElement} The input.
+   */
+  function soundEventNumber(className, value, min, max, label) {
+    var input = document.createElement('input');
+    input.type = 'number';
+    input.className = className;
+    input.min = min;
+    input.max = max;
+    input.value = value || '';
+    if (className === 'sound-event-every') input.placeholder = 'off';
+    input.setAttribute('aria-label', label);
+    return input;
+  }
+
+  /** Fill in the spoken announcement fields from config. */
+  function speechFormFromConfig() {
+    var supported = speechSupported();
+    elSpeechToggle.disabled = !supported;
+    elSpeechToggle.checked = supported && config.speech.enabled;
+    elSpeechUnsupported.style.display = supported ? 'none' : '';
+    elSpeechFields.style.display = elSpeechToggle.checked ? '' : 'none';
+    renderVoiceOptions();
+    elCfgSpeechRate.value = config.speech.rate;
+    elCfgSpeechVolume.value = config.speech.volume;
+    elCfgSpeechWork.value = config.speech.templates.work;
+    elCfgSpeechBreak.value = config.speech.templates.break;
+    elCfgSpeechComplete.value = config.speech.templates.complete;
+  }
+
+  /** List this device's voices in the voice picker (they can load after the page). */
+  function renderVoiceOptions() {
+    var voices = speechSupported() ? speechSynthesis.getVoices() : [];
+    elCfgSpeechVoice.innerHTML = '';
+    var def = document.createElement('option');
+    def.value = '';
+    def.textContent = 'Default';
+    elCfgSpeechVoice.appendChild(def);
+    voices.forEach(function (voice) {
+      var opt = document.createElement('option');
+      opt.value = voice.voiceURI;
+      opt.textContent = voice.name + ' (' + voice.lang + ')';
+      elCfgSpeechVoice.appendChild(opt);
+    });
+    elCfgSpeechVoice.value = findVoice(config.speech.voice) ? config.speech.voice : '';
+  }
+
+  /** Synchronize all sound/behavior UI controls with the current config. */
+  function syncSoundUI() {
+    var snd = config.sound || deepClone(DEFAULT_SOUND);
+    elSoundToggle.checked = snd.enabled;
+    elVolume.value = snd.volume;
+    elVolumeNum.value = Math.round(snd.volume * 100);
+    elAmbientToggle.checked = config.ambient.enabled;
+    elAmbientFields.style.display = config.ambient.enabled ? '' : 'none';
+    elCfgAmbientSound.value = config.ambient.sound;
+    elCfgAmbientVolume.value = config.ambient.volume;
+    elAmbientBreaksToggle.checked = config.ambient.breaks;
+    speechFormFromConfig();
+    elNotificationsToggle.checked = !!config.notifications;
+    elAutoContinueToggle.checked = config.autoContinue !== false;
+    elLoopToggle.checked = !!config.loop;
+    elCfgLoopMajorEvery.value = config.loopOptions.majorEvery || '';
+    elCfgLoopMajorMin.value = config.loopOptions.majorMin;
+    elCfgLoopStopAfter.value = config.loopOptions.stopAfter || '';
+    elCfgLoopStopAt.value = config.loopOptions.stopAt;
+    elOvertimeToggle.checked = !!config.overtime;
+    elOvertimeBreakToggle.checked = !!config.overtimeGrowBreak;
+    elOvertimeBreakToggle.disabled = !config.overtime;
+    elIdleToggle.checked = config.idle.enabled;
+    elCfgIdleMin.value = config.idle.minutes;
+    elCfgIdleMin.disabled = !config.idle.enabled;
+    elIdleSystemRow.style.display = typeof IdleDetector === 'undefined' ? 'none' : '';
+    elIdleSystemToggle.checked = config.idle.system;
+    elIdleSystemToggle.disabled = !config.idle.enabled;
+    elGoalToggle.checked = config.goal.enabled;
+    elGoalFields.style.display = config.goal.enabled ? '' : 'none';
+    elCfgGoalTarget.value = config.goal.target;
+    elCfgGoalTarget.step = config.goal.unit === 'hours' ? '0.25' : '1';
+    elCfgGoalUnit.value = config.goal.unit;
+    elCfgGoalDayStart.value = config.goal.dayStartHour;
+    warningFormFromConfig('work', elWarnWorkToggle, elWarnWorkFields, elCfgWarnWorkLead, elCfgWarnWorkUnit, elWarnWorkNotify);
+    warningFormFromConfig('break', elWarnBreakToggle, elWarnBreakFields, elCfgWarnBreakLead, elCfgWarnBreakUnit, elWarnBreakNotify);
+    updateBlocksVisibility();
+    renderSoundEvents();
+    elEmbedSoundsToggle.checked = !!snd.embedFiles;
+    elEmbedSoundsRow.style.display = config.customSounds.length ? '' : 'none';
+  }
+
+  elSoundToggle.addEventListener('change', function () {
+    config.sound.enabled = this.checked;
+    saveConfig();
+    updateKeepAlive();
+    updateAmbient();
+  });
+
+  elVolume.addEventListener('input', function () {
+    config.sound.volume = parseFloat(this.value);
+    elVolumeNum.value = Math.round(config.sound.volume * 100);
+    saveConfig();
+  });
+
+  // Per-event settings: save as they change, preview the event on release
+  elSoundEvents.addEventListener('change', function (e) {
+    var row = e.target.closest('.sound-event');
+    if (!row || e.target.tagName !== 'INPUT') return;
+    var kind = row.getAttribute('data-kind');
+    var ev = config.sound.events[kind];
+    ev.volume = clamp(parseFloat(row.querySelector('.sound-event-volume').value) || 0, 0, 1);
+    ev.repeat = clamp(parseInt(row.querySelector('.sound-event-repeat').value, 10) || 1, 1, MAX_SOUND_REPEAT);
+    var every = row.querySelector('.sound-event-every');
+    if (every) {
+      ev.every = clamp(parseInt(every.value, 10) || 0, 0, kind === 'milestone' ? MAX_MILESTONE_CYCLES : MAX_REMINDER_MIN);
+      every.value = ev.every || '';
+    }
+    row.querySelector('.sound-event-repeat').value = ev.repeat;
+    saveConfig();
+    updateWaitingReminder();
+    if (!e.target.classList.contains('sound-event-every')) {
+      ensureLiveContext();
+      playSound(kind, true);
+    }
+  });
+
+  // Preview tone on slider release
+  elVolume.addEventListener('change', function () {
+    ensureLiveContext();
+    playTone(config.sound.events.work.tone, true);
+  });
+
+  elVolumeNum.addEventListener('input', function () {
+    var pct = clamp(parseInt(this.value, 10) || 0, 0, 100);
+    config.sound.volume = pct / 100;
+    elVolume.value = config.sound.volume;
+    saveConfig();
+  });
+
+  elVolumeNum.addEventListener('change', function () {
+    var pct = clamp(parseInt(this.value, 10) || 0, 0, 100);
+    this.value = pct;
+    config.sound.volume = pct / 100;
+    elVolume.value = config.sound.volume;
+    saveConfig();
+    ensureLiveContext();
+    playTone(config.sound.events.work.tone, true);
+  });
+
+  elNotificationsToggle.addEventListener('change', function () {
+    if (this.checked && 'Notification' in window && Notification.permission === 'default') {
+      var toggle = this;
+      Notification.requestPermission().then(function (perm) {
+        if (perm !== 'granted') {
+          toggle.checked = false;
+          config.notifications = false;
+        } else {
+          config.notifications = true;
+        }
+        saveConfig();
+      });
+    } else {
+      config.notifications = this.checked;
+      saveConfig();
+    }
+  });
+
+  elAutoContinueToggle.addEventListener('change', function () {
+    config.autoContinue = this.checked;
+    saveConfig();
+  });
+
+  elOvertimeToggle.addEventListener('change', function () {
+    config.overtime = this.checked;
+    elOvertimeBreakToggle.disabled = !config.overtime;
+    saveConfig();
+  });
+
+  elOvertimeBreakToggle.addEventListener('change', function () {
+    config.overtimeGrowBreak = this.checked;
+    saveConfig();
+  });
+
+  elIdleToggle.addEventListener('change', function () {
+    config.idle.enabled = this.checked;
+    elCfgIdleMin.disabled = !config.idle.enabled;
+    elIdleSystemToggle.disabled = !config.idle.enabled;
+    lastActivity = Date.now();
+    saveConfig();
+    startIdleDetector();
+  });
+
+  elCfgIdleMin.addEventListener('change', function () {
+    config.idle.minutes = clamp(parseInt(this.value, 10) || DEFAULT_IDLE.minutes, 1, 120);
+    this.value = config.idle.minutes;
+    saveConfig();
+    startIdleDetector();
+  });
+
+  elIdleSystemToggle.addEventListener('change', function () {
+    if (!this.checked) {
+      config.idle.system = false;
+      saveConfig();
+      startIdleDetector();
+      return;
+    }
+    // Permission must be requested from a user gesture
+    var toggle = this;
+    IdleDetector.requestPermission().then(function (perm) {
+      config.idle.system = perm === 'granted';
+      toggle.checked = config.idle.system;
+      saveConfig();
+      startIdleDetector();
+    }).catch(function () {
+      toggle.checked = false;
+    });
+  });
+
+  [elGoalToggle, elCfgGoalTarget, elCfgGoalUnit, elCfgGoalDayStart].forEach(function (input) {
+    input.addEventListener('change', function () {
+      config.goal = sanitizeGoal({
+        enabled: elGoalToggle.checked,
+        unit: elCfgGoalUnit.value,
+        target: elCfgGoalTarget.value,
+        dayStartHour: elCfgGoalDayStart.value
+      });
+      saveConfig();
+      syncSoundUI();
+      refreshGoal();
+    });
+  });
 
-      var arrow = document.createElement('span');
-      arrow.className = 'block-arrow';
-      arrow.textContent = '\u2192';
+  /**
+   * Fill one kind's heads-up controls from config. Whole minutes are shown
+   * in minutes, anything else in seconds.
+   * @param {string} kind - work | break.
+   * @param {HTMLInputElement} toggle - Enable toggle.
+   * @param {HTMLElement} fields - Container shown while enabled.
+   * @param {HTMLInputElement} lead - Lead time amount.
+   * @param {HTMLSelectElement} unit - Lead time unit (sec | min).
+   * @param {HTMLInputElement} notify - Notification toggle.
+   */
+  function warningFormFromConfig(kind, toggle, fields, lead, unit, notify) {
+    var w = config.warning[kind];
+    var inMinutes = w.seconds >= 60 && w.seconds % 60 === 0;
+    toggle.checked = w.enabled;
+    fields.style.display = w.enabled ? '' : 'none';
+    lead.value = inMinutes ? w.seconds / 60 : w.seconds;
+    unit.value = inMinutes ? 'min' : 'sec';
+    notify.checked = w.notify;
+  }
 
-      row.appendChild(cyclesInput);
-      row.appendChild(cyclesLabel);
+  /**
+   * Save one kind's heads-up controls to config.
+   * @param {string} kind - work | break.
+   * @param {HTMLInputElement} toggle - Enable toggle.
+   * @param {HTMLInputElement} lead - Lead time amount.
+   * @param {HTMLSelectElement} unit - Lead time unit (sec | min).
+   * @param {HTMLInputElement} notify - Notification toggle.
+   */
+  function bindWarningForm(kind, toggle, lead, unit, notify) {
+    [toggle, lead, unit, notify].forEach(function (input) {
+      input.addEventListener('change', function () {
+        var amount = parseFloat(lead.value) || 0;
+        var raw = {};
+        raw[kind] = {
+          enabled: toggle.checked,
+          seconds: Math.round(unit.value === 'min' ? amount * 60 : amount),
+          notify: notify.checked
+        };
+        config.warning[kind] = sanitizeWarning(raw)[kind];
+        saveConfig();
+        syncSoundUI();
+      });
+    });
+  }
 
-      if (!isLast) {
-        var majorInput = document.createElement('input');
-        majorInput.type = 'number';
-        majorInput.className = 'block-major';
-        majorInput.min = '0';
-        majorInput.removeAttribute('max');
-        majorInput.value = block.majorBreak;
+  [elAmbientToggle, elCfgAmbientSound, elAmbientBreaksToggle].forEach(function (input) {
+    input.addEventListener('change', function () {
+      config.ambient = sanitizeAmbient({
+        enabled: elAmbientToggle.checked,
+        sound: elCfgAmbientSound.value,
+        volume: elCfgAmbientVolume.value,
+        breaks: elAmbientBreaksToggle.checked
+      });
+      saveConfig();
+      syncSoundUI();
+      ensureLiveContext();
+      updateAmbient();
+    });
+  });
 
-        var majorLabel = document.createElement('span');
-        majorLabel.className = 'block-label';
-        majorLabel.textContent = 'min break';
+  elCfgAmbientVolume.addEventListener('input', function () {
+    config.ambient.volume = clamp(parseFloat(this.value) || 0, 0, 1);
+    saveConfig();
+    setAmbientVolume();
+  });
 
-        row.appendChild(arrow);
-        row.appendChild(majorInput);
-        row.appendChild(majorLabel);
-      } else {
-        var endLabel = document.createElement('span');
-        endLabel.className = 'block-end-label';
-        endLabel.textContent = '\u2192 end';
-        row.appendChild(endLabel);
-      }
+  [elSpeechToggle, elCfgSpeechVoice, elCfgSpeechRate, elCfgSpeechVolume,
+    elCfgSpeechWork, elCfgSpeechBreak, elCfgSpeechComplete].forEach(function (input) {
+    input.addEventListener('change', function () {
+      config.speech = sanitizeSpeech({
+        enabled: elSpeechToggle.checked,
+        // A saved voice missing on this device shows as Default; keep it unless another is picked
+        voice: elCfgSpeechVoice.value || (findVoice(config.speech.voice) ? '' : config.speech.voice),
+        rate: elCfgSpeechRate.value,
+        volume: elCfgSpeechVolume.value,
+        templates: {
+          work: elCfgSpeechWork.value,
+          break: elCfgSpeechBreak.value,
+          complete: elCfgSpeechComplete.value
+        }
+      });
+      saveConfig();
+      speechFormFromConfig();
+      primeSpeech();
+    });
+  });
 
-      if (canRemove) {
-        var removeBtn = document.createElement('button');
-        removeBtn.className = 'block-remove';
-        removeBtn.setAttribute('aria-label', 'Remove block');
-        removeBtn.textContent = '\u00d7';
-        removeBtn.setAttribute('data-index', i);
-        row.appendChild(removeBtn);
-      }
+  elSpeechTest.addEventListener('click', function () {
+    ensureLiveContext();
+    var work = config.workMin * 60;
+    speak(fillTemplate(config.speech.templates.work, {
+      phase: phaseLabel('work'),
+      duration: spokenDuration(work),
+      cycle: '1',
+      next: phaseLabel('break'),
+      nextAt: clockTime(Date.now() + work * 1000),
+      sessionEnd: ''
+    }), true);
+  });
 
-      elBlocksList.appendChild(row);
-    }
+  if (speechSupported() && speechSynthesis.addEventListener) {
+    speechSynthesis.addEventListener('voiceschanged', renderVoiceOptions);
   }
 
-  // Delegated events for blocks list
-  elBlocksList.addEventListener('click', function (e) {
-    var removeBtn = e.target.closest('.block-remove');
-    if (!removeBtn) return;
+  bindWarningForm('work', elWarnWorkToggle, elCfgWarnWorkLead, elCfgWarnWorkUnit, elWarnWorkNotify);
+  bindWarningForm('break', elWarnBreakToggle, elCfgWarnBreakLead, elCfgWarnBreakUnit, elWarnBreakNotify);
 
-    var idx = parseInt(removeBtn.getAttribute('data-index'), 10);
-    if (config.blocks.length <= 1) return;
+  elCfgAdjust.addEventListener('change', function () {
+    config.adjustMin = clamp(parseInt(this.value, 10) || DEFAULT_ADJUST_MIN, 1, 60);
+    this.value = config.adjustMin;
+    saveConfig();
+    updateDisplay();
+  });
 
-    config.blocks.splice(idx, 1);
-    // If we removed a non-last block that is now the last, set its majorBreak to 0
-    if (config.blocks.length > 0) {
-      config.blocks[config.blocks.length - 1].majorBreak = 0;
-    }
+  elLoopToggle.addEventListener('change', function () {
+    config.loop = this.checked;
     saveConfig();
-    renderBlocks();
-    activePreset = detectPreset();
-    updatePresetButtons();
+    updateBlocksVisibility();
   });
 
-  elBlocksList.addEventListener('input', function (e) {
-    if (e.target.matches('input[type="number"]')) {
-      configFromForm();
-    }
+  [elCfgLoopMajorEvery, elCfgLoopMajorMin, elCfgLoopStopAfter, elCfgLoopStopAt].forEach(function (input) {
+    input.addEventListener('change', function () {
+      config.loopOptions = sanitizeLoopOptions({
+        majorEvery: elCfgLoopMajorEvery.value,
+        majorMin: elCfgLoopMajorMin.value,
+        stopAfter: elCfgLoopStopAfter.value,
+        stopAt: elCfgLoopStopAt.value
+      });
+      saveConfig();
+      syncSoundUI();
+      refreshLoopPlan();
+    });
   });
 
-  elAddBlock.addEventListener('click', function () {
-    // Current last block gets a default major break
-    if (config.blocks.length > 0) {
-      config.blocks[config.blocks.length - 1].majorBreak = 30;
+  /**
+   * Show/hide the blocks section based on loop and flowtime modes, swap
+   * the fixed work/break fields for the flowtime ones, and show the loop
+   * options only in loop mode.
+   */
+  function updateBlocksVisibility() {
+    var flow = isFlowtime();
+    if (config.loop || flow) {
+      elBlocksSection.style.display = 'none';
+    } else {
+      elBlocksSection.style.display = '';
     }
-    config.blocks.push({ cycles: 1, majorBreak: 0 });
-    saveConfig();
-    renderBlocks();
-    activePreset = detectPreset();
-    updatePresetButtons();
-  });
+    elLoopFields.style.display = config.loop && !flow ? '' : 'none';
+    elCfgWork.closest('.field-row').style.display = flow ? 'none' : '';
+    elCfgBreak.closest('.field-row').style.display = flow ? 'none' : '';
+    elFlowtimeFields.style.display = flow ? '' : 'none';
+  }
 
 
   /* ================================================================
-     DRAWER
+     TONE DESIGNER
+     Custom tones built from oscillator layers, each with a waveform, a
+     note sequence, a duration, an attack and a gain. They are saved in
+     config (so they travel with export/import), rendered like the
+     built-in tones and offered next to them in every tone selector.
      ================================================================ */
 
-  /** Open the settings drawer, auto-pausing the timer if running. */
-  function openDrawer() {
-    drawerOpen = true;
-    elDrawer.classList.add('open');
-    elDrawer.setAttribute('aria-hidden', 'false');
-    elBackdrop.classList.add('open');
-    elSettingsToggle.classList.add('active');
-    document.body.classList.add('drawer-open');
+  /** @type {?{id: string, name: string, layers: Array<Object>}} Tone being edited, or null. */
+  var toneDraft = null;
 
-    if (state === 'running') {
-      wasRunningBeforeDrawer = true;
-      pause();
-    } else {
-      wasRunningBeforeDrawer = false;
-    }
+  /** Render the list of saved custom tones. */
+  function renderCustomTones() {
+    elCustomTonesList.innerHTML = '';
+    config.customTones.forEach(function (tone) {
+      var row = document.createElement('div');
+      row.className = 'block-row custom-tone-row';
+      row.setAttribute('data-id', tone.id);
+
+      var play = document.createElement('button');
+      play.className = 'tone-btn custom-tone-play';
+      play.textContent = '\u25b6 ' + tone.name;
+      play.setAttribute('aria-label', 'Preview ' + tone.name);
+
+      var edit = document.createElement('button');
+      edit.className = 'text-btn custom-tone-edit';
+      edit.textContent = 'edit';
+
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'block-remove';
+      removeBtn.setAttribute('aria-label', 'Delete tone ' + tone.name);
+      removeBtn.textContent = '\u00d7';
+
+      row.appendChild(play);
+      row.appendChild(edit);
+      row.appendChild(removeBtn);
+      elCustomTonesList.appendChild(row);
+    });
+    elAddCustomTone.style.display = config.customTones.length < CUSTOM_TONE_LIMIT && !toneDraft ? '' : 'none';
   }
 
-  /** Close the settings drawer, resuming the timer if it was auto-paused. */
-  function closeDrawer() {
-    drawerOpen = false;
-    elDrawer.classList.remove('open');
-    elDrawer.setAttribute('aria-hidden', 'true');
-    elBackdrop.classList.remove('open');
-    elSettingsToggle.classList.remove('active');
-    document.body.classList.remove('drawer-open');
-
-    if (wasRunningBeforeDrawer && state === 'paused') {
-      resume();
-      wasRunningBeforeDrawer = false;
+  /**
+   * Open the designer on a saved tone, or on a new one.
+   * @param {string} [id] - Custom tone ID to edit.
+   */
+  function openToneDesigner(id) {
+    var saved = null;
+    for (var i = 0; i < config.customTones.length; i++) {
+      if (config.customTones[i].id === id) saved = config.customTones[i];
     }
+    toneDraft = saved ? deepClone(saved) : {
+      id: 'tone-' + Date.now().toString(36),
+      name: 'Tone ' + (config.customTones.length + 1),
+      layers: [{ wave: 'sine', notes: 'C5 E5 G5', duration: 600, attack: 10, gain: 0.4 }]
+    };
+    elToneDesigner.style.display = '';
+    renderToneDesigner();
+    renderCustomTones();
+    elToneDesignerName.select();
   }
 
-  /** Toggle the settings drawer open/closed. */
-  function toggleDrawer() {
-    if (drawerOpen) closeDrawer();
-    else openDrawer();
+  /** Close the designer, discarding unsaved changes. */
+  function closeToneDesigner() {
+    toneDraft = null;
+    elToneDesigner.style.display = 'none';
+    renderCustomTones();
   }
 
-  elSettingsToggle.addEventListener('click', toggleDrawer);
-  elBackdrop.addEventListener('click', closeDrawer);
-  elDrawerClose.addEventListener('click', closeDrawer);
-
+  /** Render the designer's fields from the draft. */
+  function renderToneDesigner() {
+    elToneDesignerName.value = toneDraft.name;
+    elToneDesignerLayers.innerHTML = '';
+    toneDraft.layers.forEach(function (layer, i) {
+      var row = document.createElement('div');
+      row.className = 'block-row tone-layer-row';
+      row.setAttribute('data-index', i);
 
-  /* ================================================================
-     FOCUS MODE
-     ================================================================ */
+      var notes = document.createElement('input');
+      notes.type = 'text';
+      notes.className = 'tone-layer-notes';
+      notes.value = layer.notes;
+      notes.placeholder = 'C5 E5 G5 or Hz';
+      notes.setAttribute('aria-label', 'Notes');
+
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'block-remove';
+      removeBtn.setAttribute('aria-label', 'Remove layer');
+      removeBtn.textContent = '\u00d7';
+      removeBtn.disabled = toneDraft.layers.length === 1;
+
+      var options = document.createElement('div');
+      options.className = 'block-overrides';
+      options.appendChild(buildSelect('tone-layer-wave', TONE_WAVES, layer.wave, 'Waveform'));
+      options.appendChild(toneLayerNumber('tone-layer-duration', layer.duration, 50, TONE_MAX_MS, 'ms', 'Duration'));
+      options.appendChild(toneLayerNumber('tone-layer-attack', layer.attack, 0, 1000, 'ms in', 'Attack'));
+
+      var gain = document.createElement('input');
+      gain.type = 'range';
+      gain.className = 'tone-layer-gain';
+      gain.min = '0';
+      gain.max = '1';
+      gain.step = '0.05';
+      gain.value = layer.gain;
+      gain.setAttribute('aria-label', 'Gain');
+      options.appendChild(gain);
+
+      row.appendChild(blockLabel('layer ' + (i + 1)));
+      row.appendChild(notes);
+      row.appendChild(removeBtn);
+      row.appendChild(options);
+      elToneDesignerLayers.appendChild(row);
+    });
+    elToneDesignerAddLayer.style.display = toneDraft.layers.length < TONE_LAYER_LIMIT ? '' : 'none';
+  }
 
-  /** Enter fullscreen focus mode, hiding all chrome. */
-  function enterFocusMode() {
-    if (focusMode) return;
-    focusMode = true;
-    document.body.classList.add('focus-mode');
+  /**
+   * A small label span for a designer row.
+   * @param {string} text - Label text.
+   * @returns {HTMLSpanElement} The label.
+   */
+  function blockLabel(text) {
+    var span = document.createElement('span');
+    span.className = 'block-label';
+    span.textContent = text;
+    return span;
+  }
 
-    // Try browser fullscreen
-    var el = document.documentElement;
-    if (el.requestFullscreen) el.requestFullscreen().catch(function () {});
-    else if (el.webkitRequestFullscreen) el.webkitRequestFullscreen();
+  /**
+   * A number input with a unit, for a layer setting.
+   * @param {string} className - Class for the input.
+   * @param {number} value - Current value.
+   * @param {number} min - Minimum.
+   * @param {number} max - Maximum.
+   * @param {string} unit - Unit shown after it.
+   * @param {string} label - Accessible label.
+   * @returns {HTMLSpanElement} Wrapper holding the input and unit.
+   */
+  function toneLayerNumber(className, value, min, max, unit, label) {
+    var wrap = document.createElement('span');
+    wrap.className = 'tone-layer-field';
+    var input = document.createElement('input');
+    input.type = 'number';
+    input.className = className;
+    input.min = min;
+    input.max = max;
+    input.value = value;
+    input.setAttribute('aria-label', label);
+    wrap.appendChild(input);
+    wrap.appendChild(blockLabel(unit));
+    return wrap;
+  }
 
-    // Show exit hint briefly
-    elFocusHint.classList.add('visible');
-    clearTimeout(focusHintTimerId);
-    focusHintTimerId = setTimeout(function () {
-      elFocusHint.classList.remove('visible');
-    }, 2000);
+  /** Read the designer's fields back into the draft. */
+  function toneDraftFromForm() {
+    toneDraft.name = elToneDesignerName.value;
+    var rows = elToneDesignerLayers.querySelectorAll('.tone-layer-row');
+    toneDraft.layers = [];
+    for (var i = 0; i < rows.length; i++) {
+      toneDraft.layers.push({
+        wave: rows[i].querySelector('.tone-layer-wave').value,
+        notes: rows[i].querySelector('.tone-layer-notes').value,
+        duration: rows[i].querySelector('.tone-layer-duration').value,
+        attack: rows[i].querySelector('.tone-layer-attack').value,
+        gain: rows[i].querySelector('.tone-layer-gain').value
+      });
+    }
   }
 
-  /** Exit fullscreen focus mode, restoring UI chrome. */
-  function exitFocusMode() {
-    if (!focusMode) return;
-    focusMode = false;
-    document.body.classList.remove('focus-mode');
-    elFocusHint.classList.remove('visible');
+  /**
+   * The draft as a saveable tone.
+   * @returns {?{id: string, name: string, layers: Array<Object>}} Clean tone, or null if no layer has a playable note.
+   */
+  function cleanToneDraft() {
+    toneDraftFromForm();
+    return sanitizeCustomTones([toneDraft])[0] || null;
+  }
 
-    if (document.fullscreenElement || document.webkitFullscreenElement) {
-      if (document.exitFullscreen) document.exitFullscreen().catch(function () {});
-      else if (document.webkitExitFullscreen) document.webkitExitFullscreen();
+  /**
+   * Play a rendered buffer once, for previews.
+   * @param {AudioBuffer} buf - Rendered tone.
+   * @param {number} volume - Playback volume (0-1).
+   */
+  function playPreviewBuffer(buf, volume) {
+    if (liveCtx && liveCtx.state !== 'closed') {
+      liveCtx.resume().then(function () {
+        startToneBuffer(buf, volume);
+      }).catch(function () {});
+      return;
     }
+    var url = URL.createObjectURL(audioBufferToWav(buf));
+    var audio = new Audio(url);
+    audio.volume = volume;
+    audio.onended = function () { URL.revokeObjectURL(url); };
+    audio.play().catch(function () {});
   }
 
-  /** Toggle focus mode on/off. */
-  function toggleFocusMode() {
-    if (focusMode) exitFocusMode();
-    else enterFocusMode();
-  }
+  elAddCustomTone.addEventListener('click', function () {
+    openToneDesigner();
+  });
 
-  elFocusToggle.addEventListener('click', toggleFocusMode);
-  elHelpToggle.addEventListener('click', toggleHints);
+  elCustomTonesList.addEventListener('click', function (e) {
+    var row = e.target.closest('.custom-tone-row');
+    if (!row) return;
+    var id = row.getAttribute('data-id');
+    if (e.target.closest('.custom-tone-play')) {
+      ensureLiveContext();
+      playTone(id, true);
+    } else if (e.target.closest('.custom-tone-edit')) {
+      openToneDesigner(id);
+    } else if (e.target.closest('.block-remove')) {
+      config.customTones = config.customTones.filter(function (t) { return t.id !== id; });
+      fixToneRefs();
+      saveConfig();
+      updateCustomTones(true);
+      if (toneDraft && toneDraft.id === id) closeToneDesigner();
+      renderCustomTones();
+      syncSoundUI();
+      renderSegmentTypes();
+    }
+  });
 
-  // Detect when user exits fullscreen externally (Esc in browser)
-  document.addEventListener('fullscreenchange', function () {
-    if (!document.fullscreenElement && focusMode) {
-      focusMode = false;
-      document.body.classList.remove('focus-mode');
-      elFocusHint.classList.remove('visible');
+  elToneDesignerLayers.addEventListener('click', function (e) {
+    var removeBtn = e.target.closest('.block-remove');
+    if (!removeBtn || toneDraft.layers.length === 1) return;
+    toneDraftFromForm();
+    toneDraft.layers.splice(parseInt(removeBtn.closest('.tone-layer-row').getAttribute('data-index'), 10), 1);
+    renderToneDesigner();
+  });
+
+  elToneDesignerAddLayer.addEventListener('click', function () {
+    toneDraftFromForm();
+    if (toneDraft.layers.length >= TONE_LAYER_LIMIT) return;
+    toneDraft.layers.push({ wave: 'triangle', notes: 'C4', duration: 600, attack: 10, gain: 0.2 });
+    renderToneDesigner();
+  });
+
+  elToneDesignerPreview.addEventListener('click', function () {
+    var tone = cleanToneDraft();
+    if (!tone) {
+      showToast('Add a note to preview', false, false);
+      return;
     }
+    ensureLiveContext();
+    renderToneBuffer(customToneDef(tone)).then(function (buf) {
+      playPreviewBuffer(buf, config.sound.volume);
+    }).catch(function () {});
   });
 
-  document.addEventListener('webkitfullscreenchange', function () {
-    if (!document.webkitFullscreenElement && focusMode) {
-      focusMode = false;
-      document.body.classList.remove('focus-mode');
-      elFocusHint.classList.remove('visible');
+  elToneDesignerSave.addEventListener('click', function () {
+    var tone = cleanToneDraft();
+    if (!tone) {
+      showToast('Add a note to save the tone', false, false);
+      return;
     }
+    var replaced = false;
+    config.customTones = config.customTones.map(function (t) {
+      if (t.id !== tone.id) return t;
+      replaced = true;
+      return tone;
+    });
+    if (!replaced) config.customTones.push(tone);
+    saveConfig();
+    updateCustomTones(true);
+    closeToneDesigner();
+    syncSoundUI();
+    renderSegmentTypes();
   });
 
+  elToneDesignerCancel.addEventListener('click', closeToneDesigner);
+
 
   /* ================================================================
-     ACCENT PICKER
+     SOUND FILES
+     The user's own WAV/MP3/OGG files as tones. The audio is kept in
+     IndexedDB and its name and trim in config.customSounds; each is
+     decoded once, trimmed (to SOUND_MAX_SECONDS at most) and registered
+     in toneBuffers/toneURLs, so it plays like any built-in tone. A file
+     that can't be decoded plays SOUND_FALLBACK_TONE instead.
      ================================================================ */
 
-  /** Build the accent color picker dots in the settings drawer. */
-  function buildAccentPicker() {
-    var currentAccent = elRoot.getAttribute('data-accent');
-    elAccentPicker.innerHTML = '';
+  /** @type {Object<string, AudioBuffer>} Decoded, untrimmed sound files by ID. */
+  var decodedSounds = {};
+  /** @type {Object<string, string>} Trim each sound file was last registered with, by ID. */
+  var registeredSounds = {};
+  /** @type {Object<string, string>} Load state of each sound file: loading | ready | failed. */
+  var soundStatus = {};
 
-    ACCENTS.forEach(function (name) {
-      var dot = document.createElement('button');
-      dot.className = 'accent-dot' + (name === currentAccent ? ' active' : '');
-      dot.setAttribute('role', 'radio');
-      dot.setAttribute('aria-checked', name === currentAccent ? 'true' : 'false');
-      dot.setAttribute('aria-label', name);
-      dot.setAttribute('data-color', name);
-      dot.style.backgroundColor = 'var(--' + name + ')';
-      dot.addEventListener('click', function () {
-        setAccent(name);
+  /**
+   * Decode an audio file.
+   * @param {ArrayBuffer} bytes - File contents (left intact).
+   * @returns {Promise<AudioBuffer>} Rejects if the browser can't decode it.
+   */
+  function decodeSound(bytes) {
+    var ctx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(1, 1, 44100);
+    return new Promise(function (resolve, reject) {
+      // Older Safari only has the callback form
+      var p = ctx.decodeAudioData(bytes.slice(0), resolve, reject);
+      if (p && p.then) p.then(resolve, reject);
+    });
+  }
+
+  /**
+   * Copy part of a decoded sound into a new buffer.
+   * @param {AudioBuffer} buf - Whole sound.
+   * @param {number} start - Start (seconds).
+   * @param {number} end - End (seconds).
+   * @returns {AudioBuffer} The trimmed sound.
+   */
+  function trimSound(buf, start, end) {
+    var from = Math.floor(start * buf.sampleRate);
+    var length = Math.max(1, Math.min(buf.length, Math.ceil(end * buf.sampleRate)) - from);
+    var ctx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(1, 1, buf.sampleRate);
+    var out = ctx.createBuffer(buf.numberOfChannels, length, buf.sampleRate);
+    for (var ch = 0; ch < buf.numberOfChannels; ch++) {
+      out.getChannelData(ch).set(buf.getChannelData(ch).subarray(from, from + length));
+    }
+    return out;
+  }
+
+  /**
+   * Bring the registered sound files in line with config.customSounds:
+   * deleted ones are dropped, and new, re-trimmed or failed ones are
+   * (re)loaded from IndexedDB.
+   */
+  function updateSoundFiles() {
+    var ids = config.customSounds.map(function (s) { return s.id; });
+    for (var id in soundStatus) {
+      if (ids.indexOf(id) !== -1) continue;
+      delete soundStatus[id];
+      delete registeredSounds[id];
+      delete decodedSounds[id];
+      dropToneAudio(id);
+    }
+    config.customSounds.forEach(function (sound) {
+      var trim = sound.trimStart + '-' + sound.trimEnd;
+      if (soundStatus[sound.id] === 'loading') return;
+      if (soundStatus[sound.id] === 'ready' && registeredSounds[sound.id] === trim) return;
+      soundStatus[sound.id] = 'loading';
+      var decoded = decodedSounds[sound.id] ? Promise.resolve(decodedSounds[sound.id])
+        : readSoundData(sound.id).then(function (rec) {
+          if (!rec) throw new Error('missing');
+          return decodeSound(rec.data);
+        });
+      decoded.then(function (buf) {
+        var current = findSound(sound.id);
+        if (!current) return;
+        decodedSounds[sound.id] = buf;
+        var trimmed = trimSound(buf, current.trimStart, current.trimEnd);
+        toneBuffers[sound.id] = trimmed;
+        if (toneURLs[sound.id]) URL.revokeObjectURL(toneURLs[sound.id]);
+        toneURLs[sound.id] = URL.createObjectURL(audioBufferToWav(trimmed));
+        registeredSounds[sound.id] = current.trimStart + '-' + current.trimEnd;
+        soundStatus[sound.id] = 'ready';
+        if (registeredSounds[sound.id] !== trim) updateSoundFiles();
+      }).catch(function () {
+        if (!findSound(sound.id)) return;
+        soundStatus[sound.id] = 'failed';
+        dropToneAudio(sound.id);
+      }).then(renderSoundFiles);
+    });
+  }
+
+  /**
+   * Forget a tone's rendered audio.
+   * @param {string} id - Tone name.
+   */
+  function dropToneAudio(id) {
+    delete toneBuffers[id];
+    if (toneURLs[id]) URL.revokeObjectURL(toneURLs[id]);
+    delete toneURLs[id];
+  }
+
+  /**
+   * Look up a sound file's config entry.
+   * @param {string} id - Sound ID.
+   * @returns {?Object} The entry, or null.
+   */
+  function findSound(id) {
+    for (var i = 0; i < config.customSounds.length; i++) {
+      if (config.customSounds[i].id === id) return config.customSounds[i];
+    }
+    return null;
+  }
+
+  /**
+   * Read one sound file's record from IndexedDB.
+   * @param {string} id - Sound ID.
+   * @returns {Promise<?{id: string, type: string, data: ArrayBuffer}>} The record, or null.
+   */
+  function readSoundData(id) {
+    return openDb().then(function (db) {
+      if (!db) return null;
+      return new Promise(function (resolve) {
+        var req = db.transaction(STORE_SOUNDS, 'readonly').objectStore(STORE_SOUNDS).get(id);
+        req.onsuccess = function () { resolve(req.result || null); };
+        req.onerror = function () { resolve(null); };
       });
-      elAccentPicker.appendChild(dot);
     });
   }
 
   /**
-   * Set the active accent color, updating the DOM and localStorage.
-   * @param {string} name - Accent color name from ACCENTS.
+   * Read the records of every sound file in config, for export.
+   * @returns {Promise<Array<{id: string, type: string, data: ArrayBuffer}>>} Records found.
    */
-  function setAccent(name) {
-    elRoot.setAttribute('data-accent', name);
-    localStorage.setItem(LS_ACCENT, name);
-
-    var dots = elAccentPicker.querySelectorAll('.accent-dot');
-    for (var i = 0; i < dots.length; i++) {
-      var isActive = dots[i].getAttribute('data-color') === name;
-      dots[i].classList.toggle('active', isActive);
-      dots[i].setAttribute('aria-checked', isActive ? 'true' : 'false');
-    }
+  function readAllSoundData() {
+    return Promise.all(config.customSounds.map(function (s) {
+      return readSoundData(s.id);
+    })).then(function (records) {
+      return records.filter(Boolean);
+    });
   }
 
+  /**
+   * Write sound file records to IndexedDB, and delete any not in config.
+   * @param {Array<{id: string, type: string, data: ArrayBuffer}>} records - Records to store.
+   * @returns {Promise<boolean>} Whether the write went through.
+   */
+  function writeSoundData(records) {
+    return openDb().then(function (db) {
+      if (!db) return false;
+      return new Promise(function (resolve) {
+        var tx = db.transaction(STORE_SOUNDS, 'readwrite');
+        var store = tx.objectStore(STORE_SOUNDS);
+        records.forEach(function (rec) { store.put(rec); });
+        var req = store.getAllKeys();
+        req.onsuccess = function () {
+          req.result.forEach(function (id) {
+            if (!findSound(id)) store.delete(id);
+          });
+        };
+        tx.oncomplete = function () { resolve(true); };
+        tx.onerror = tx.onabort = function () { resolve(false); };
+      });
+    });
+  }
 
-  /* ================================================================
-     THEME TOGGLE
-     ================================================================ */
-
-  /** Toggle between mocha (dark) and latte (light) themes. */
-  function toggleTheme() {
-    var current = elRoot.getAttribute('data-theme');
-    var next = current === 'mocha' ? 'latte' : 'mocha';
-    elRoot.setAttribute('data-theme', next);
-    localStorage.setItem(LS_THEME, next);
-    updateThemeLabel();
+  /**
+   * Store the sound files embedded in an imported config.
+   * @param {?Array<{id: string, type: string, data: string}>} sounds - Embedded sounds (base64 data).
+   * @returns {Promise} Settles once stored.
+   */
+  function storeImportedSounds(sounds) {
+    var records = [];
+    (Array.isArray(sounds) ? sounds : []).forEach(function (s) {
+      if (!s || !findSound(s.id) || typeof s.data !== 'string') return;
+      try {
+        records.push({ id: s.id, type: String(s.type || ''), data: base64ToArrayBuffer(s.data) });
+      } catch (e) { /* skip a corrupt entry; it plays the fallback tone */ }
+    });
+    // Embedded data replaces whatever was stored under the same ID
+    records.forEach(function (rec) { delete decodedSounds[rec.id]; delete soundStatus[rec.id]; });
+    return writeSoundData(records);
+  }
 
-    /* Sync the meta theme-color tag so the browser chrome matches */
-    var meta = document.querySelector('meta[name="theme-color"]');
-    if (meta) meta.content = next === 'latte' ? '#eff1f5' : '#1e1e2e';
+  /**
+   * Base64-encode binary data.
+   * @param {ArrayBuffer} buffer - Data.
+   * @returns {string} Base64 text.
+   */
+  function arrayBufferToBase64(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var chunks = [];
+    // Chunked so fromCharCode's argument list stays small
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+    }
+    return btoa(chunks.join(''));
   }
 
-  /** Update the theme switch button label to reflect current theme. */
-  function updateThemeLabel() {
-    var t = elRoot.getAttribute('data-theme');
-    elThemeSwitch.textContent = t === 'mocha' ? 'switch to light' : 'switch to dark';
+  /**
+   * Decode base64 text to binary data.
+   * @param {string} text - Base64 text.
+   * @returns {ArrayBuffer} Data.
+   */
+  function base64ToArrayBuffer(text) {
+    var binary = atob(text);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
   }
 
-  elThemeSwitch.addEventListener('click', toggleTheme);
+  /** Render the list of imported sound files with their trim fields. */
+  function renderSoundFiles() {
+    elSoundFilesList.innerHTML = '';
+    config.customSounds.forEach(function (sound) {
+      var row = document.createElement('div');
+      row.className = 'block-row sound-file-row';
+      row.setAttribute('data-id', sound.id);
+
+      var play = document.createElement('button');
+      play.className = 'tone-btn sound-file-play';
+      play.textContent = '\u25b6 ' + sound.name;
+      play.setAttribute('aria-label', 'Preview ' + sound.name);
+
+      var removeBtn = document.createElement('button');
+      removeBtn.className = 'block-remove';
+      removeBtn.setAttribute('aria-label', 'Delete sound ' + sound.name);
+      removeBtn.textContent = '\u00d7';
+
+      var options = document.createElement('div');
+      options.className = 'block-overrides';
+      if (soundStatus[sound.id] === 'failed') {
+        options.appendChild(blockLabel('can\u2019t play this file \u2014 using ' + SOUND_FALLBACK_TONE));
+      } else {
+        options.appendChild(soundTrimNumber('sound-file-start', sound.trimStart, sound.duration, 'Trim start'));
+        options.appendChild(blockLabel('to'));
+        options.appendChild(soundTrimNumber('sound-file-end', sound.trimEnd, sound.duration, 'Trim end'));
+        options.appendChild(blockLabel('s of ' + sound.duration.toFixed(1)));
+      }
 
+      row.appendChild(play);
+      row.appendChild(removeBtn);
+      row.appendChild(options);
+      elSoundFilesList.appendChild(row);
+    });
+    elAddSoundFile.style.display = config.customSounds.length < SOUND_FILE_LIMIT ? '' : 'none';
+    elEmbedSoundsRow.style.display = config.customSounds.length ? '' : 'none';
+  }
 
-  /* ================================================================
-     SOUND UI
-     ================================================================ */
+  /**
+   * A seconds input for one end of a sound's trim.
+   * @param {string} className - Class for the input.
+   * @param {number} value - Current value (seconds).
+   * @param {number} max - Length of the sound (seconds).
+   * @param {string} label - Accessible label.
+   * @returns {HTMLInputElement} The input.
+   */
+  function soundTrimNumber(className, value, max, label) {
+    var input = document.createElement('input');
+    input.type = 'number';
+    input.className = className;
+    input.min = 0;
+    input.max = max;
+    input.step = 0.1;
+    input.value = value;
+    input.setAttribute('aria-label', label);
+    return input;
+  }
 
   /**
-   * Build a tone selector grid in a container element.
-   * @param {HTMLElement} container - The element to populate with tone buttons.
-   * @param {string} selectedTone - Currently selected tone name.
-   * @param {function(string): void} onSelect - Callback when a tone is selected.
+   * Import an audio file as a sound: decode it to check it plays, store
+   * it, and trim it to the length cap.
+   * @param {File} file - Chosen file.
    */
-  function buildToneSelector(container, selectedTone, onSelect) {
-    container.innerHTML = '';
-    for (var i = 0; i < TONE_NAMES.length; i++) {
-      (function (name) {
-        var btn = document.createElement('button');
-        btn.className = 'tone-btn' + (name === selectedTone ? ' active' : '');
-        btn.textContent = name;
-        btn.setAttribute('data-tone', name);
-        btn.addEventListener('click', function () {
-          // Ensure AudioContext on user gesture
-          ensureLiveContext();
-          // Preview the tone (bypasses sound-enabled check)
-          playTone(name, true);
-          // Update selection
-          onSelect(name);
-          var btns = container.querySelectorAll('.tone-btn');
-          for (var j = 0; j < btns.length; j++) {
-            btns[j].classList.toggle('active', btns[j].getAttribute('data-tone') === name);
+  function addSoundFile(file) {
+    if (config.customSounds.length >= SOUND_FILE_LIMIT) return;
+    if (file.size > SOUND_FILE_MAX_BYTES) {
+      showToast('Sound files can be up to ' + Math.round(SOUND_FILE_MAX_BYTES / 1048576) + ' MB', false, false);
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+      var bytes = reader.result;
+      decodeSound(bytes).then(function (buf) {
+        var sound = sanitizeCustomSounds([{
+          id: 'sound-' + Date.now().toString(36),
+          name: file.name.replace(/\.[^.]+$/, ''),
+          duration: buf.duration,
+          trimStart: 0,
+          trimEnd: buf.duration
+        }])[0];
+        config.customSounds.push(sound);
+        decodedSounds[sound.id] = buf;
+        return writeSoundData([{ id: sound.id, type: file.type, data: bytes }]).then(function (stored) {
+          if (!stored) {
+            config.customSounds = config.customSounds.filter(function (s) { return s.id !== sound.id; });
+            delete decodedSounds[sound.id];
+            showToast('Couldn\u2019t store the sound file', false, false);
+            return;
+          }
+          saveConfig();
+          updateSoundFiles();
+          renderSoundFiles();
+          syncSoundUI();
+          renderSegmentTypes();
+          if (buf.duration > SOUND_MAX_SECONDS) {
+            showToast('Trimmed to the first ' + SOUND_MAX_SECONDS + ' seconds', false, false);
           }
         });
-        container.appendChild(btn);
-      })(TONE_NAMES[i]);
-    }
-  }
-
-  /** Synchronize all sound/behavior UI controls with the current config. */
-  function syncSoundUI() {
-    var snd = config.sound || deepClone(DEFAULT_SOUND);
-    elSoundToggle.checked = snd.enabled;
-    elVolume.value = snd.volume;
-    elVolumeNum.value = Math.round(snd.volume * 100);
-    elNotificationsToggle.checked = !!config.notifications;
-    elAutoContinueToggle.checked = config.autoContinue !== false;
-    elLoopToggle.checked = !!config.loop;
-    updateBlocksVisibility();
-    buildToneSelector(elWorkToneSelector, snd.workTone, function (name) {
-      config.sound.workTone = name;
-      saveConfig();
-    });
-    buildToneSelector(elBreakToneSelector, snd.breakTone, function (name) {
-      config.sound.breakTone = name;
-      saveConfig();
-    });
+      }).catch(function () {
+        showToast('Couldn\u2019t decode that audio file', false, false);
+      });
+    };
+    reader.readAsArrayBuffer(file);
   }
 
-  elSoundToggle.addEventListener('change', function () {
-    config.sound.enabled = this.checked;
-    saveConfig();
-  });
-
-  elVolume.addEventListener('input', function () {
-    config.sound.volume = parseFloat(this.value);
-    elVolumeNum.value = Math.round(config.sound.volume * 100);
-    saveConfig();
-  });
-
-  // Preview tone on slider release
-  elVolume.addEventListener('change', function () {
-    ensureLiveContext();
-    playTone(config.sound.workTone, true);
-  });
-
-  elVolumeNum.addEventListener('input', function () {
-    var pct = clamp(parseInt(this.value, 10) || 0, 0, 100);
-    config.sound.volume = pct / 100;
-    elVolume.value = config.sound.volume;
-    saveConfig();
+  elAddSoundFile.addEventListener('click', function () {
+    elSoundFileInput.click();
   });
 
-  elVolumeNum.addEventListener('change', function () {
-    var pct = clamp(parseInt(this.value, 10) || 0, 0, 100);
-    this.value = pct;
-    config.sound.volume = pct / 100;
-    elVolume.value = config.sound.volume;
-    saveConfig();
-    ensureLiveContext();
-    playTone(config.sound.workTone, true);
+  elSoundFileInput.addEventListener('change', function () {
+    if (elSoundFileInput.files.length) addSoundFile(elSoundFileInput.files[0]);
+    elSoundFileInput.value = '';
   });
 
-  elNotificationsToggle.addEventListener('change', function () {
-    if (this.checked && 'Notification' in window && Notification.permission === 'default') {
-      var toggle = this;
-      Notification.requestPermission().then(function (perm) {
-        if (perm !== 'granted') {
-          toggle.checked = false;
-          config.notifications = false;
-        } else {
-          config.notifications = true;
-        }
-        saveConfig();
-      });
-    } else {
-      config.notifications = this.checked;
+  elSoundFilesList.addEventListener('click', function (e) {
+    var row = e.target.closest('.sound-file-row');
+    if (!row) return;
+    var id = row.getAttribute('data-id');
+    if (e.target.closest('.sound-file-play')) {
+      ensureLiveContext();
+      playTone(id, true);
+    } else if (e.target.closest('.block-remove')) {
+      config.customSounds = config.customSounds.filter(function (s) { return s.id !== id; });
+      fixToneRefs();
       saveConfig();
+      writeSoundData([]);
+      updateSoundFiles();
+      renderSoundFiles();
+      syncSoundUI();
+      renderSegmentTypes();
     }
   });
 
-  elAutoContinueToggle.addEventListener('change', function () {
-    config.autoContinue = this.checked;
+  elSoundFilesList.addEventListener('change', function (e) {
+    var row = e.target.closest('.sound-file-row');
+    var sound = row && findSound(row.getAttribute('data-id'));
+    if (!sound) return;
+    var trim = clampTrim(sound.duration,
+      parseFloat(row.querySelector('.sound-file-start').value) || 0,
+      parseFloat(row.querySelector('.sound-file-end').value) || sound.duration);
+    sound.trimStart = trim.start;
+    sound.trimEnd = trim.end;
     saveConfig();
+    updateSoundFiles();
+    renderSoundFiles();
   });
 
-  elLoopToggle.addEventListener('change', function () {
-    config.loop = this.checked;
+  elEmbedSoundsToggle.addEventListener('change', function () {
+    config.sound.embedFiles = elEmbedSoundsToggle.checked;
     saveConfig();
-    updateBlocksVisibility();
   });
 
-  /** Show/hide the blocks section based on loop mode. */
-  function updateBlocksVisibility() {
-    if (config.loop) {
-      elBlocksSection.style.display = 'none';
-    } else {
-      elBlocksSection.style.display = '';
-    }
-  }
-
 
   /* ================================================================
      CONFIG FORM CHANGE HANDLERS
      ================================================================ */
 
-  elCfgWork.addEventListener('input', configFromForm);
-  elCfgBreak.addEventListener('input', configFromForm);
+  elCfgWork.addEventListener('input', function () {
+    configFromForm();
+    updateBlockPlaceholders();
+  });
+  elCfgBreak.addEventListener('input', function () {
+    configFromForm();
+    updateBlockPlaceholders();
+  });
+  elFlowtimeToggle.addEventListener('change', function () {
+    configFromForm();
+    updateBlocksVisibility();
+  });
+  [elCfgFlowRatio, elCfgFlowMin, elCfgFlowMax].forEach(function (input) {
+    input.addEventListener('change', function () {
+      configFromForm();
+      formFromConfig();
+    });
+  });
 
   // Preset buttons
   for (var i = 0; i < elPresetBtns.length; i++) {
@@ -2036,6 +7155,131 @@
   }
 
 
+  /* ================================================================
+     IDLE DETECTION
+     Auto-pause focus segments when the user walks away. Keyboard and
+     pointer activity in any tab counts as presence. Where the Idle
+     Detection API is granted, system-wide idle state is used instead, so
+     working in another app doesn't count as being away. The pause is
+     backdated to when the user left; on return they choose what the
+     time away was.
+     ================================================================ */
+
+  /** Record keyboard/pointer activity, and offer the return prompt after an idle pause. */
+  function noteActivity() {
+    var now = Date.now();
+    lastActivity = now;
+    if (!isLeader && now - lastActivitySent > ACTIVITY_SYNC_INTERVAL) {
+      lastActivitySent = now;
+      postSync({ type: 'activity' });
+    }
+    if (idleAway && engine.state === 'paused' && idlePromptedFor !== idleAway.since) {
+      promptIdleReturn();
+    }
+  }
+
+  ['keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart'].forEach(function (type) {
+    document.addEventListener(type, noteActivity, { passive: true });
+  });
+
+  /** Leader check, once a second: pause if there has been no activity for the configured time. */
+  function checkIdle() {
+    if (!isLeader || !config.idle.enabled || idleAbort) return;
+    if (Date.now() - lastActivity >= config.idle.minutes * 60 * 1000) {
+      idlePause(lastActivity);
+    }
+  }
+
+  /**
+   * Pause a running focus segment because the user went idle.
+   * @param {number} since - When the user was last seen (ms). Never
+   *   backdated past the start of the current segment.
+   */
+  function idlePause(since) {
+    var seg = engine.timeline[engine.currentIndex];
+    if (engine.state !== 'running' || !seg || !isFocusType(seg.type)) return;
+    var segStart = engine.targetTime - seg.duration * 1000;
+    since = Math.min(Date.now(), Math.max(since, segStart));
+    idleAway = { since: since, index: engine.currentIndex };
+    pause(since);
+  }
+
+  /** Ask the returning user what to do with the time they were away. */
+  function promptIdleReturn() {
+    idlePromptedFor = idleAway.since;
+    var away = formatDuration((Date.now() - idleAway.since) / 1000);
+    showPrompt('Paused \u2014 away for ' + away, [
+      { label: 'discard', onClick: function () { dispatch('idleDiscard'); } },
+      { label: 'keep', onClick: function () { dispatch('idleKeep'); } },
+      { label: 'count as break', onClick: function () { dispatch('idleBreak'); } }
+    ]);
+  }
+
+  /** Hide a return prompt this tab is showing once the idle pause has been resolved. */
+  function syncIdlePrompt() {
+    if (idleAway || idlePromptedFor === null) return;
+    idlePromptedFor = null;
+    hideToast();
+  }
+
+  /**
+   * Resolve an idle pause and resume the segment.
+   * @param {string} choice - discard (the time away is not worked, as
+   *   paused), keep (count it as worked) or break (log it as a break taken).
+   */
+  function resolveIdle(choice) {
+    if (!idleAway || engine.state !== 'paused' || idleAway.index !== engine.currentIndex) return;
+    var now = Date.now();
+    var since = idleAway.since;
+    var awaySec = Math.max(0, Math.round((now - since) / 1000));
+
+    if (choice === 'break') {
+      var asBreak = { segType: 'break', label: phaseLabel('break'), focus: false, planned: awaySec, overtime: 0 };
+      asBreak.actual = 0;
+      logEvent('segmentStart', since, asBreak);
+      asBreak.actual = awaySec;
+      logEvent('segmentEnd', now, asBreak);
+    }
+    // Kept time away counts as worked, as if the segment had never paused
+    resume(choice === 'keep' ? since : undefined);
+  }
+
+  /** Stop the system idle detector, if running. */
+  function stopIdleDetector() {
+    if (idleAbort) idleAbort.abort();
+    idleAbort = null;
+  }
+
+  /**
+   * (Re)start system idle detection in the leader tab when enabled and
+   * permitted. Until it is running, in-page activity is used instead.
+   */
+  function startIdleDetector() {
+    stopIdleDetector();
+    if (!isLeader || !config.idle.enabled || !config.idle.system) return;
+    if (typeof IdleDetector === 'undefined') return;
+
+    var threshold = Math.max(60 * 1000, config.idle.minutes * 60 * 1000);
+    var controller = new AbortController();
+    var detector = new IdleDetector();
+    detector.addEventListener('change', function () {
+      if (detector.userState === 'idle') {
+        idlePause(Date.now() - threshold);
+      } else if (detector.screenState === 'locked') {
+        idlePause(Date.now());
+      } else {
+        lastActivity = Date.now();
+      }
+    });
+    // Set before start() settles, so stopping in the meantime still aborts it
+    idleAbort = controller;
+    detector.start({ threshold: threshold, signal: controller.signal }).catch(function () {
+      // Permission not granted — fall back to in-page activity
+      if (idleAbort === controller) idleAbort = null;
+    });
+  }
+
+
   /* ================================================================
      KEYBOARD SHORTCUT HINTS
      ================================================================ */
@@ -2045,27 +7289,31 @@
     var items = [];
 
     // Context-dependent shortcuts
-    if (state === 'idle') {
+    if (engine.state === 'idle') {
       items.push(['Space', 'start']);
-    } else if (state === 'running') {
+    } else if (engine.state === 'running') {
       items.push(['Space', 'pause']);
-      items.push(['S', 'skip']);
+      items.push(['S', engine.timeline[engine.currentIndex].open ? 'end work' : isOvertime() ? 'end' : 'skip']);
+      items.push(['+/\u2212', 'adjust']);
       items.push(['R', 'reset']);
-    } else if (state === 'paused') {
+    } else if (engine.state === 'paused') {
       items.push(['Space', 'resume']);
-      items.push(['S', 'skip']);
+      items.push(['S', engine.timeline[engine.currentIndex].open ? 'end work' : isOvertime() ? 'end' : 'skip']);
+      items.push(['+/\u2212', 'adjust']);
       items.push(['R', 'reset']);
-    } else if (state === 'waiting') {
+    } else if (engine.state === 'waiting') {
       items.push(['Space', 'continue']);
       items.push(['S', 'skip']);
+      items.push(['+/\u2212', 'adjust']);
       items.push(['R', 'reset']);
-    } else if (state === 'done') {
+    } else if (engine.state === 'done') {
       items.push(['Space', 'restart']);
     }
 
     // Always available
     items.push(['T', 'theme']);
     items.push([',', 'settings']);
+    items.push(['I', 'stats']);
     items.push(['F', 'focus']);
     items.push(['?', 'shortcuts']);
 
@@ -2120,26 +7368,52 @@
       return;
     }
 
+    // A focused progress dot handles its own Enter/Space (native button click)
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.classList &&
+        e.target.classList.contains('progress-dot')) {
+      return;
+    }
+
     // Ensure AudioContext is initialized on user gesture
     ensureLiveContext();
 
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS): undo / redo timer actions
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+      e.preventDefault();
+      dispatch(e.shiftKey ? 'redo' : 'undo');
+      return;
+    }
+
+    // Leave browser shortcuts alone: Ctrl+R / Cmd+R must reload, not reset
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
     switch (e.key) {
       case ' ':
         e.preventDefault();
-        if (state === 'idle') start();
-        else if (state === 'running' || state === 'paused') togglePause();
-        else if (state === 'waiting') continueFromWaiting();
-        else if (state === 'done') reset();
+        if (engine.state === 'idle') dispatch('start');
+        else if (engine.state === 'running' || engine.state === 'paused') dispatch('togglePause');
+        else if (engine.state === 'waiting') dispatch('continue');
+        else if (engine.state === 'done') dispatch('reset');
         break;
 
       case 's':
       case 'S':
-        if (state === 'running' || state === 'paused' || state === 'waiting') skip();
+        if (engine.state === 'running' || engine.state === 'paused' || engine.state === 'waiting') dispatch('skip');
+        break;
+
+      case '+':
+      case '=':
+        if (engine.state === 'running' || engine.state === 'paused' || engine.state === 'waiting') dispatch('extend');
+        break;
+
+      case '-':
+      case '_':
+        if (engine.state === 'running' || engine.state === 'paused' || engine.state === 'waiting') dispatch('shorten');
         break;
 
       case 'r':
       case 'R':
-        if (state !== 'idle') reset();
+        if (engine.state !== 'idle') dispatch('reset');
         break;
 
       case 't':
@@ -2156,6 +7430,11 @@
         toggleDrawer();
         break;
 
+      case 'i':
+      case 'I':
+        toggleStats();
+        break;
+
       case '?':
         toggleHints();
         break;
@@ -2163,35 +7442,146 @@
       case 'Escape':
         if (focusMode) exitFocusMode();
         else if (drawerOpen) closeDrawer();
+        else if (statsOpen) closeStats();
         else if (hintsVisible) hideHints();
         break;
     }
   });
 
 
+  /* ================================================================
+     APP UPDATES
+     sw.js caches the app for offline use. A new version installs in the
+     background and then waits; the prompt to switch to it only appears
+     while no session is in progress, and is held back until the session
+     ends otherwise. Only the tab that accepts reloads. The worker also
+     shows notifications and relays their action buttons back here.
+     ================================================================ */
+
+  /** @type {?ServiceWorkerRegistration} Active registration, for showing notifications. */
+  var swRegistration = null;
+  /** @type {?ServiceWorker} Installed update waiting to take over. */
+  var updateWorker = null;
+  /** @type {boolean} Whether the update prompt is on screen. */
+  var updatePromptOpen = false;
+  /** @type {boolean} Whether this tab asked the update to take over (and should reload). */
+  var updateAccepted = false;
+
+  /** Register the service worker and watch for updates. */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).then(function (reg) {
+      // A first install has no controller yet — that is not an update
+      if (reg.waiting && navigator.serviceWorker.controller) updateReady(reg.waiting);
+      reg.addEventListener('updatefound', function () {
+        var sw = reg.installing;
+        if (!sw) return;
+        sw.addEventListener('statechange', function () {
+          if (sw.state === 'installed' && navigator.serviceWorker.controller) updateReady(sw);
+        });
+      });
+    }).catch(function () {});
+
+    navigator.serviceWorker.ready.then(function (reg) {
+      swRegistration = reg;
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', function () {
+      if (updateAccepted) location.reload();
+    });
+
+    // A notification button was pressed — dispatch forwards it to the leader
+    navigator.serviceWorker.addEventListener('message', function (e) {
+      var msg = e.data || {};
+      if (msg.type === 'notification-action' && NOTIFICATION_ACTIONS.indexOf(msg.action) !== -1) {
+        dispatch(msg.action);
+      }
+    });
+  }
+
+  /**
+   * Note an installed update and offer it when the time is right.
+   * @param {ServiceWorker} sw - The waiting worker.
+   */
+  function updateReady(sw) {
+    updateWorker = sw;
+    offerUpdate();
+  }
+
+  /**
+   * Whether a session is under way (running, paused or waiting) — in this
+   * tab or, for followers, in the leader.
+   * @returns {boolean}
+   */
+  function sessionInProgress() {
+    return engine.state !== 'idle' && engine.state !== 'done';
+  }
+
+  /** Show the update prompt, unless there is no update or a session is in progress. */
+  function offerUpdate() {
+    if (!updateWorker || updateAccepted || sessionInProgress()) return;
+    updatePromptOpen = true;
+    showPrompt('A new version of Focus is ready', [
+      { label: 'reload', onClick: applyUpdate },
+      { label: 'later', onClick: function () { updatePromptOpen = false; } }
+    ]);
+  }
+
+  /** Let the waiting update take over; the controllerchange handler reloads. */
+  function applyUpdate() {
+    updatePromptOpen = false;
+    if (!updateWorker || sessionInProgress()) return;
+    updateAccepted = true;
+    updateWorker.postMessage({ type: 'skipWaiting' });
+  }
+
+  // Offer a held-back update once the session ends; withdraw it if one starts.
+  // Followers see the leader's state changes as they load them.
+  engine.on('stateChange', function (e) {
+    if (e.to === 'idle' || e.to === 'done') {
+      offerUpdate();
+    } else if (updatePromptOpen) {
+      updatePromptOpen = false;
+      hideToast();
+    }
+  });
+
+
   /* ================================================================
      INIT
      ================================================================ */
 
   loadConfig();
   formFromConfig();
+  renderSegmentTypes();
   renderBlocks();
   renderCustomPresets();
+  renderSchedules();
   buildAccentPicker();
   updateThemeLabel();
   syncSoundUI();
+  renderCustomTones();
+  renderSoundFiles();
   initToneBlobs();
+  updateSoundFiles();
+  registerServiceWorker();
 
-  // Set idle state
-  state = 'idle';
+  // Start idle; the tab that wins leader election restores any checkpointed session
   updateDisplay();
+  initTabSync();
 
   // Ensure preset buttons reflect activePreset after all init is done
   activePreset = detectPreset();
   updatePresetButtons();
+  refreshGoal();
 
-  // Clock always ticks
+  // Clock always ticks; scheduled starts, idle time and the goal day are checked on the same beat
   updateClock();
-  clockIntervalId = setInterval(updateClock, 1000);
+  clockIntervalId = setInterval(function () {
+    updateClock();
+    checkSchedules();
+    checkIdle();
+    checkGoalDay();
+  }, 1000);
 
 })();
@@ -0,0 +1,90 @@
+/**
+ * Focus — service worker.
+ *
+ * Precaches the app shell and its bundled fonts so Focus launches and
+ * runs with no network. Assets are served cache-first; bumping
+ * CACHE_VERSION ships a new build. A new worker waits until the page
+ * asks it to take over (see APP UPDATES in script.js), so an update
+ * never swaps code out from under a running session.
+ *
+ * It also shows the timer's notifications, so they can carry action
+ * buttons: a chosen action is posted to a Focus tab as
+ * {type: 'notification-action', action}, which runs it as a timer action.
+ *
+ * @file Offline cache, update handoff and notification actions.
+ */
+'use strict';
+
+/**
+ * @constant {string} Cache name. Bump it whenever any file in CORE_ASSETS
+ * changes; otherwise installed clients keep serving the old copy.
+ */
+var CACHE_VERSION = 'focus-v5';
+
+/** @constant {Array<string>} Files the app can't run without, fonts included. */
+var CORE_ASSETS = [
+  './',
+  'index.html',
+  'style.css',
+  'engine.js',
+  'script.js',
+  'timer-worker.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'icon-192.png',
+  'icon-512.png',
+  'fonts/jetbrains-mono-latin-300-normal.woff2',
+  'fonts/jetbrains-mono-latin-400-normal.woff2',
+  'fonts/jetbrains-mono-latin-500-normal.woff2',
+  'fonts/instrument-serif-latin-400-italic.woff2'
+];
+
+self.addEventListener('install', function (e) {
+  e.waitUntil(caches.open(CACHE_VERSION).then(function (cache) {
+    return cache.addAll(CORE_ASSETS);
+  }));
+});
+
+self.addEventListener('activate', function (e) {
+  e.waitUntil(caches.keys().then(function (keys) {
+    return Promise.all(keys.map(function (key) {
+      if (key !== CACHE_VERSION) return caches.delete(key);
+    }));
+  }).then(function () {
+    return self.clients.claim();
+  }));
+});
+
+// The page accepted an update prompt
+self.addEventListener('message', function (e) {
+  if (e.data && e.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', function (e) {
+  var req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+
+  e.respondWith(caches.match(req, { ignoreSearch: req.mode === 'navigate' }).then(function (hit) {
+    if (hit) return hit;
+    return fetch(req).catch(function (err) {
+      // Offline: any navigation within scope gets the app shell
+      if (req.mode === 'navigate') return caches.match('index.html');
+      throw err;
+    });
+  }));
+});
+
+// Action buttons go to a Focus tab (which forwards them to the leader); the body focuses one
+self.addEventListener('notificationclick', function (e) {
+  var action = e.action;
+  e.notification.close();
+  e.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (list) {
+    var client = list.filter(function (c) { return c.focused; })[0] || list[0];
+    if (!client) return self.clients.openWindow('./');
+    if (action) {
+      client.postMessage({ type: 'notification-action', action: action });
+      return;
+    }
+    return client.focus();
+  }));
+});
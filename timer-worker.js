@@ -0,0 +1,91 @@
+/**
+ * Focus — timer worker.
+ *
+ * Runs the engine's timeouts and intervals off the main thread. Browsers
+ * throttle main-thread timers in hidden tabs (to once a minute after a
+ * while in Chrome); dedicated workers are left alone, so a segment end
+ * scheduled here lands on time and reaches the page as a message.
+ *
+ * A once-a-second sweep also fires anything overdue, which bounds the
+ * error when a timeout was held up anyway (e.g. the machine slept).
+ *
+ * Protocol — page to worker:
+ *   { cmd: 'set', id, due, every? }   fire at wall-clock `due` (ms), then
+ *                                     every `every` ms if given
+ *   { cmd: 'clear', id }
+ * Worker to page:
+ *   { id, due, firedAt }              a timer fired; firedAt - due is its drift
+ *
+ * @file Background-safe timers for the timer engine.
+ */
+(function () {
+  'use strict';
+
+  /** @constant {number} Interval (ms) of the overdue-timer sweep. */
+  var SWEEP_INTERVAL = 1000;
+
+  /** @type {Object<string, {due: number, every: number, timeoutId: number}>} Pending timers by ID. */
+  var timers = {};
+  /** @type {?number} setInterval ID for the sweep, running while any timer is pending. */
+  var sweepId = null;
+
+  /**
+   * Arm the native timeout for a pending timer.
+   * @param {string} id - Timer ID.
+   */
+  function arm(id) {
+    var t = timers[id];
+    clearTimeout(t.timeoutId);
+    t.timeoutId = setTimeout(function () { check(id); }, Math.max(0, t.due - Date.now()));
+  }
+
+  /**
+   * Fire a timer if it is due; re-arm it otherwise (timeouts can fire early).
+   * Intervals are rescheduled from their due time, skipping any missed beats.
+   * @param {string} id - Timer ID.
+   */
+  function check(id) {
+    var t = timers[id];
+    if (!t) return;
+    var now = Date.now();
+    if (now < t.due) {
+      arm(id);
+      return;
+    }
+    self.postMessage({ id: id, due: t.due, firedAt: now });
+    if (t.every) {
+      t.due += t.every * Math.max(1, Math.ceil((now - t.due + 1) / t.every));
+      arm(id);
+    } else {
+      clearTimeout(t.timeoutId);
+      delete timers[id];
+    }
+    updateSweep();
+  }
+
+  /** Run the sweep only while there are timers to watch. */
+  function updateSweep() {
+    var pending = Object.keys(timers).length > 0;
+    if (pending && sweepId === null) {
+      sweepId = setInterval(function () {
+        for (var id in timers) check(id);
+      }, SWEEP_INTERVAL);
+    } else if (!pending && sweepId !== null) {
+      clearInterval(sweepId);
+      sweepId = null;
+    }
+  }
+
+  self.onmessage = function (e) {
+    var msg = e.data || {};
+    if (msg.cmd === 'set') {
+      if (timers[msg.id]) clearTimeout(timers[msg.id].timeoutId);
+      timers[msg.id] = { due: msg.due, every: msg.every || 0, timeoutId: null };
+      arm(msg.id);
+    } else if (msg.cmd === 'clear' && timers[msg.id]) {
+      clearTimeout(timers[msg.id].timeoutId);
+      delete timers[msg.id];
+    }
+    updateSweep();
+  };
+})();